@@ -67,8 +67,20 @@ class NodeS7 {
             return;
         }
 
-        this._group.readAllItems().then(data => {
-            cb(false, data);
+        // like nodeS7 did, items that couldn't be read have "BAD 255" as their value,
+        // and the error of the first one is still passed as the error of the call
+        this._group.readAllItems({ vqt: true }).then(data => {
+            let err = false;
+            let values = {};
+            for (const tag of Object.keys(data)) {
+                if (data[tag].quality === 'good') {
+                    values[tag] = data[tag].value;
+                } else {
+                    values[tag] = 'BAD 255';
+                    err = err || data[tag].error;
+                }
+            }
+            cb(err, values);
         }).catch(e => {
             cb(e, {});
         });
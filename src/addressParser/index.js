@@ -0,0 +1,171 @@
+//@ts-check
+/*
+  Copyright: (c) 2018-2020, Guilherme Francescon Cittolin <gfcittolin@gmail.com>
+  GNU General Public License v3.0+ (see LICENSE or https://www.gnu.org/licenses/gpl-3.0.txt)
+*/
+
+const util = require('util');
+const debug = util.debuglog('nodes7');
+
+const AddressParserNodeS7 = require('./nodes7.js');
+const AddressParserStep7 = require('./step7.js');
+const AddressParserS7200 = require('./s7200.js');
+const { AddressParserLogo0BA7, AddressParserLogo0BA8 } = require('./logo.js');
+const NodeS7Error = require('../errors.js');
+
+/**
+ * An address parser, translating an address string into the properties
+ * of an item (`areaCode`, `offset`, `readTransportCode`, ...), as
+ * returned by the built-in NODES7 parser. It may be either an object
+ * with a `parse` method or the parse function itself. Addresses that
+ * cannot be read, like peripheral outputs, have `writeOnly` set
+ * @typedef {{parse: function(string): object}|function(string): object} AddressParser
+ */
+
+/** The properties an address parser must always return */
+const REQUIRED_PROPS = ['datatype', 'dtypelen', 'offset', 'readTransportCode', 'writeTransportCode', 'areaCode', 'byteLength'];
+
+/** Formats that come with the library and cannot be replaced */
+const BUILTIN_FORMATS = ['nodes7', 'step7', 's7200', 'logo-0ba7', 'logo-0ba8'];
+
+/** @type {Map<string,AddressParser>} */
+const parsers = new Map();
+parsers.set('nodes7', AddressParserNodeS7);
+parsers.set('step7', AddressParserStep7);
+parsers.set('s7200', AddressParserS7200);
+parsers.set('logo-0ba7', AddressParserLogo0BA7);
+parsers.set('logo-0ba8', AddressParserLogo0BA8);
+
+/**
+ * Registers a custom address parser, that can then be selected
+ * by its name on the `addressFormat` option of S7Item and S7ItemGroup
+ *
+ * @param {string} name the name of the address format
+ * @param {AddressParser} parser the parser itself
+ * @throws {NodeS7Error} ERR_INVALID_ARGUMENT - when the name is already taken or the parser is invalid
+ */
+function registerAddressParser(name, parser) {
+    debug('registerAddressParser', name);
+
+    if (typeof name !== 'string' || !name || name === 'auto') {
+        throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Invalid address format name "${name}"`);
+    }
+    if (parsers.has(name)) {
+        throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Address format "${name}" is already registered`);
+    }
+    if (typeof parser !== 'function' && !(parser && typeof parser.parse === 'function')) {
+        throw new NodeS7Error('ERR_INVALID_ARGUMENT', "Parser must be a function or an object with a parse() method");
+    }
+
+    parsers.set(name, parser);
+}
+
+/**
+ * Removes a previously registered custom address parser
+ *
+ * @param {string} name the name of the address format
+ * @throws {NodeS7Error} ERR_INVALID_ARGUMENT - when trying to remove a built-in format
+ */
+function unregisterAddressParser(name) {
+    debug('unregisterAddressParser', name);
+
+    if (BUILTIN_FORMATS.includes(name)) {
+        throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Cannot unregister built-in address format "${name}"`);
+    }
+
+    parsers.delete(name);
+}
+
+/**
+ * Gets a registered address parser by its name
+ *
+ * @param {string} name the name of the address format
+ * @returns {AddressParser|undefined}
+ */
+function getAddressParser(name) {
+    return parsers.get(name);
+}
+
+/**
+ * Validates and completes the properties returned by a parser
+ * @private
+ * @param {object} props the properties returned by the parser
+ * @param {string} address the address being parsed
+ * @param {string} format the name of the address format
+ */
+function normalizeProps(props, address, format) {
+    if (!props || typeof props !== 'object') {
+        throw new NodeS7Error('ERR_PARSE_UNKNOWN_FORMAT', `Address parser "${format}" returned no result for "${address}"`, { item: address });
+    }
+
+    for (const prop of REQUIRED_PROPS) {
+        if (props[prop] === undefined) {
+            throw new NodeS7Error('ERR_PARSE_UNKNOWN_FORMAT', `Address parser "${format}" did not return "${prop}" for "${address}"`, { item: address });
+        }
+    }
+
+    let result = Object.assign({
+        bitOffset: 0,
+        arrayLength: 1,
+        dbNumber: undefined
+    }, props);
+
+    if (result.byteLengthWrite === undefined) {
+        result.byteLengthWrite = result.arrayLength * result.dtypelen;
+    }
+    if (result.byteLengthWithFill === undefined) {
+        result.byteLengthWithFill = result.byteLength + (result.byteLength % 2);
+    }
+
+    return result;
+}
+
+/**
+ * Parses an address with the parser registered with the given format name.
+ * The "auto" format tries the NODES7 syntax first and then the STEP7 one.
+ * It parses timers and counters as the S7-300/400 ones
+ *
+ * @param {string} address the address to be parsed
+ * @param {string} [format='auto'] the name of the address format
+ * @returns {object} the properties of the item
+ * @throws {NodeS7Error} ERR_INVALID_ARGUMENT - when the format is unknown
+ * @throws {NodeS7Error} any of the errors thrown by the parser itself
+ */
+function parseAddress(address, format = 'auto') {
+    debug('parseAddress', address, format);
+
+    if (format === 'auto') {
+        try {
+            return AddressParserNodeS7.parse(address);
+        } catch (e) {
+            // try the STEP7 syntax, reporting the error of the format that recognized the address
+            let step7Addr;
+            try {
+                step7Addr = AddressParserStep7.translate(address);
+            } catch (e2) {
+                throw (e.code === 'ERR_PARSE_UNKNOWN_FORMAT' && e2.code !== 'ERR_PARSE_UNKNOWN_FORMAT') ? e2 : e;
+            }
+            return AddressParserNodeS7.parse(step7Addr);
+        }
+    }
+
+    let parser = parsers.get(format);
+    if (!parser) {
+        throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Unknown address format "${format}"`);
+    }
+
+    let props = typeof parser === 'function' ? parser(address) : parser.parse(address);
+
+    // built-in parsers are trusted to return the complete set of properties
+    if (BUILTIN_FORMATS.includes(format)) {
+        return props;
+    }
+    return normalizeProps(props, address, format);
+}
+
+module.exports = {
+    registerAddressParser,
+    unregisterAddressParser,
+    getAddressParser,
+    parseAddress
+};
@@ -0,0 +1,154 @@
+//@ts-check
+/*
+  Copyright: (c) 2018-2020, Guilherme Francescon Cittolin <gfcittolin@gmail.com>
+  GNU General Public License v3.0+ (see LICENSE or https://www.gnu.org/licenses/gpl-3.0.txt)
+*/
+
+const util = require('util');
+const debug = util.debuglog('nodes7');
+
+const AddressParserNodeS7 = require('./nodes7.js');
+const NodeS7Error = require('../errors.js');
+
+/**
+ * Regex to match LOGO! blocks (e.g. I3, Q2, AI1, NAQ4)
+ * Match 1: Block type
+ * Match 2: Block number, starting at 1
+ */
+const REGEX_LOGO_BLOCK = /^(NAI|NAQ|NI|NQ|AI|AQ|AM|I|Q|M)(\d+)$/;
+
+/**
+ * Regex to match VM addresses (e.g. V10.3, VB10, VW10, VD10)
+ * Match 1: Size (B, W, D), empty for bits
+ * Match 2: Address
+ * Match 3: Bit address
+ */
+const REGEX_LOGO_VM = /^V([BWD]?)(\d+)(?:\.(\d+))?$/;
+
+/** The DB that LOGO! exposes its VM as */
+const LOGO_VM_DB = 1;
+
+/** Block types that are packed in bits, the others are 16-bit signed words */
+const DIGITAL_BLOCKS = ['I', 'Q', 'M', 'NI', 'NQ'];
+
+/**
+ * The VM offset and number of blocks of each block type
+ * @typedef {Object<string,{offset: number, count: number}>} LogoMemoryMap
+ */
+
+/** @type {LogoMemoryMap} */
+const MEMORY_MAP_0BA7 = {
+    I: { offset: 923, count: 24 },
+    AI: { offset: 926, count: 8 },
+    Q: { offset: 942, count: 16 },
+    AQ: { offset: 944, count: 2 },
+    M: { offset: 948, count: 27 },
+    AM: { offset: 952, count: 16 }
+};
+
+/** @type {LogoMemoryMap} */
+const MEMORY_MAP_0BA8 = {
+    I: { offset: 1024, count: 24 },
+    AI: { offset: 1032, count: 8 },
+    Q: { offset: 1064, count: 20 },
+    AQ: { offset: 1072, count: 8 },
+    M: { offset: 1104, count: 64 },
+    AM: { offset: 1118, count: 64 },
+    NI: { offset: 1246, count: 64 },
+    NAI: { offset: 1262, count: 32 },
+    NQ: { offset: 1390, count: 64 },
+    NAQ: { offset: 1406, count: 16 }
+};
+
+/**
+ * Parse addresses of Siemens LOGO! modules, that expose their
+ * VM as DB1 and their I/O and flags at fixed offsets of it that
+ * depend on the generation of the module. Blocks are addressed
+ * by their number as on LOGO!Soft (e.g. `I3`, `AQ1`, `NI2`), and
+ * the VM as on the LOGO! parameter list (e.g. `V10.3`, `VW12`)
+ */
+class AddressParserLogo {
+
+    /**
+     * @param {string} version the name of the LOGO! generation
+     * @param {LogoMemoryMap} memoryMap the VM offsets of the blocks
+     */
+    constructor(version, memoryMap) {
+        this._version = version;
+        this._memoryMap = memoryMap;
+    }
+
+    /**
+     * Translates a LOGO! address to the NODES7 format
+     *
+     * @param {string} address the address to be translated
+     * @returns {string} the address in the NODES7 format
+     * @throws {NodeS7Error} ERR_PARSE_ADDR_OFFSET - Block number is out of range
+     * @throws {NodeS7Error} ERR_PARSE_AREA - Block type is not available on this generation
+     * @throws {NodeS7Error} ERR_PARSE_BIT_OFFSET - Bit offset is missing
+     * @throws {NodeS7Error} ERR_PARSE_INVALID_BIT_OFFSET - Bit offset is specified in a type that doesn't support it
+     * @throws {NodeS7Error} ERR_PARSE_UNKNOWN_FORMAT - Basic format of a LOGO! address cannot be identified
+     */
+    translate(address) {
+        debug("S7Item translateAddress_Logo", this._version, address);
+
+        let addr = address.replace(/\s+/g, '').toUpperCase();
+        let match, result;
+
+        if ((match = addr.match(REGEX_LOGO_BLOCK))) {
+            let [, type, num] = match;
+            let number = parseInt(num);
+            let block = this._memoryMap[type];
+
+            if (!block) {
+                throw new NodeS7Error('ERR_PARSE_AREA', `Block type "${type}" is not available on LOGO! ${this._version} on "${address}"`, { item: address });
+            }
+            if (number < 1 || number > block.count) {
+                throw new NodeS7Error('ERR_PARSE_ADDR_OFFSET', `Block number out of range 1-${block.count} on "${address}"`, { item: address });
+            }
+
+            if (DIGITAL_BLOCKS.includes(type)) {
+                let bit = number - 1;
+                result = `DB${LOGO_VM_DB},X${block.offset + (bit >> 3)}.${bit & 7}`;
+            } else {
+                result = `DB${LOGO_VM_DB},I${block.offset + (number - 1) * 2}`;
+            }
+
+        } else if ((match = addr.match(REGEX_LOGO_VM))) {
+            let [, size, offset, bitAddr] = match;
+
+            if (size === '' && bitAddr === undefined) {
+                throw new NodeS7Error('ERR_PARSE_BIT_OFFSET', `Bit address offset required on "${address}"`, { item: address });
+            }
+            if (size !== '' && bitAddr !== undefined) {
+                throw new NodeS7Error('ERR_PARSE_INVALID_BIT_OFFSET', `Invalid use of bit address offset on "${address}"`, { item: address });
+            }
+
+            result = size === ''
+                ? `DB${LOGO_VM_DB},X${offset}.${bitAddr}`
+                : `DB${LOGO_VM_DB},${size === 'D' ? 'DW' : size}${offset}`;
+
+        } else {
+            throw new NodeS7Error('ERR_PARSE_UNKNOWN_FORMAT', `Could not parse item "${address}", invalid address format`, { item: address });
+        }
+
+        debug("S7Item translateAddress_Logo result", result);
+        return result;
+    }
+
+    /**
+     *
+     * @param {string} address the address to be parsed
+     * @throws {NodeS7Error} any of the errors thrown by translate() or by the NODES7 address parser
+     */
+    parse(address) {
+        debug("S7Item parseAddress_Logo", this._version, address);
+
+        return AddressParserNodeS7.parse(this.translate(address));
+    }
+}
+
+module.exports = {
+    AddressParserLogo0BA7: new AddressParserLogo('0BA7', MEMORY_MAP_0BA7),
+    AddressParserLogo0BA8: new AddressParserLogo('0BA8', MEMORY_MAP_0BA8)
+};
@@ -13,16 +13,22 @@ const NodeS7Error = require('../errors.js');
 
 /**
  * Regex to match the address format of addresses
- * Match 1: DB Number
- * Match 2: Type
- * Match 3: Address
- * Match 4: Bit address / Array length
- * Match 5: Array length (for fields that need bit address)
+ * Match 1: Block type (DB, or DI for instance DBs)
+ * Match 2: DB Number
+ * Match 3: Type (S5TIME is the only type with a digit in it)
+ * Match 4: Address
+ * Match 5: Bit address / Array length
+ * Match 6: Array length (for fields that need bit address)
  */
-const REGEX_NODES7_ADDR = /^(?:DB(\d+),)?([A-Z]+)(\d+)(?:\.(\d+))?(?:\.(\d+))?$/;
+const REGEX_NODES7_ADDR = /^(?:(DB|DI)(\d+),)?([A-Z]*S5TIME|[A-Z]+)(\d+)(?:\.(\d+))?(?:\.(\d+))?$/;
 
 /**
  * Parse address strings according to NodeS7 rules
+ *
+ * Bits of words and double words are addressed with the `WX` and `DX` types,
+ * numbered from the least significant bit (e.g. `DB3,WX20.11`, `MDX10.30`).
+ * Note that `DB3,W20.11` is NOT a bit of a word: the number after the dot
+ * of non-bit types is the array length, so it is an array of 11 WORDs
  */
 class AddressParserNodeS7 {
 
@@ -37,7 +43,7 @@ class AddressParserNodeS7 {
      * @throws {NodeS7Error} ERR_PARSE_DB_NUMBER - Number of a DB is unknown or invalid
      * @throws {NodeS7Error} ERR_PARSE_INVALID_ARR_LEN - Array length of an array specification is invalid
      * @throws {NodeS7Error} ERR_PARSE_INVALID_BIT_OFFSET - Bit offset is specified in a type that doesn't support it
-     * @throws {NodeS7Error} ERR_PARSE_STRING_LEN - String length specified is missing or is invalid
+     * @throws {NodeS7Error} ERR_PARSE_STRING_LEN - String or buffer length specified is missing or is invalid
      * @throws {NodeS7Error} ERR_PARSE_UNKNOWN_FORMAT - Basic format of a NODES7 address format cannot be identified
      */
     parse(address) {
@@ -51,11 +57,12 @@ class AddressParserNodeS7 {
         debug("S7Item parseAddress_NodeS7 match", match);
 
         // variables for the fields extracted from the address string
-        let match_db = match[1];
-        let match_area = match[2];
-        let match_addr = match[3];
-        let match_bitAddr = parseInt(match[4]);
-        let match_arrLen = parseInt(match[5]);
+        let match_block = match[1];
+        let match_db = match[2];
+        let match_area = match[3];
+        let match_addr = match[4];
+        let match_bitAddr = parseInt(match[5]);
+        let match_arrLen = parseInt(match[6]);
 
         // variables for the parsed and validated fields
         let addrType, dataType, dataTypeLength, addressOffset,
@@ -83,14 +90,19 @@ class AddressParserNodeS7 {
         // extract addrType and dataType
         if (dbNumber) {
 
-            addrType = "DB";
+            // "DB" for global and "DI" for instance data blocks
+            addrType = match_block;
 
             // validate data type
             switch (match_area) {
                 case "X":
+                case "WX":
+                case "DX":
                 case "BYTE":
                 case "CHAR":
                 case "STRING":
+                case "WCHAR":
+                case "WSTRING":
                 case "INT":
                 case "DINT":
                 case "WORD":
@@ -105,8 +117,29 @@ class AddressParserNodeS7 {
                 case "DTZ":
                 case "DTL":
                 case "DTLZ":
+                case "LREAL":
+                case "LINT":
+                case "ULINT":
+                case "LWORD":
+                case "SINT":
+                case "USINT":
+                case "UINT":
+                case "UDINT":
+                case "RUINT":
+                case "RUDINT":
+                case "TIME":
+                case "LTIME":
+                case "TOD":
+                case "LTOD":
+                case "DATE":
+                case "LDT":
+                case "S5TIME":
+                case "RAW":
                     dataType = match_area;
                     break;
+                case "BUFFER":
+                    dataType = "RAW";
+                    break;
                 case "B":
                     dataType = "BYTE";
                     break;
@@ -116,6 +149,12 @@ class AddressParserNodeS7 {
                 case "S":
                     dataType = "STRING";
                     break;
+                case "WC":
+                    dataType = "WCHAR";
+                    break;
+                case "WS":
+                    dataType = "WSTRING";
+                    break;
                 case "I":
                     dataType = "INT";
                     break;
@@ -148,16 +187,63 @@ class AddressParserNodeS7 {
                 case "RR":
                     dataType = "RREAL";
                     break;
+                case "LR":
+                    dataType = "LREAL";
+                    break;
+                case "LI":
+                    dataType = "LINT";
+                    break;
+                case "ULI":
+                    dataType = "ULINT";
+                    break;
+                case "LW":
+                    dataType = "LWORD";
+                    break;
+                case "SI":
+                    dataType = "SINT";
+                    break;
+                case "USI":
+                    dataType = "USINT";
+                    break;
+                case "UI":
+                    dataType = "UINT";
+                    break;
+                case "UDI":
+                    dataType = "UDINT";
+                    break;
+                case "RUI":
+                    dataType = "RUINT";
+                    break;
+                case "RUDI":
+                    dataType = "RUDINT";
+                    break;
                 default:
                     throw new NodeS7Error('ERR_PARSE_DB_DATATYPE', `Unknown DB data type "${match_area}" for address "${address}"`, { item: address });
             }
 
         } else {
 
-            // the first char indicates the PLC area (I, Q, M, P, ...)
-            addrType = match_area.charAt(0);
-            // the data type (if area is P, skip the first char (I,E,Q,A))
-            dataType = match_area.substr(addrType === "P" ? 2 : 1);
+            if (match_area.startsWith("SM")) {
+                // S7-200 special memory (e.g. SMB28, SM0.1)
+                addrType = "SM";
+                dataType = match_area.substr(2);
+            } else if (match_area === "AIW" || match_area === "AQW") {
+                // S7-200 analog inputs/outputs, whose values are signed words
+                addrType = match_area.substr(0, 2);
+                dataType = "I";
+
+                if (addressOffset % 2) {
+                    throw new NodeS7Error('ERR_PARSE_ADDR_OFFSET', `Analog addresses must be even on "${address}"`, { item: address });
+                }
+            } else if (match_area.charAt(0) === "P") {
+                // peripheral inputs/outputs (PI/PE, PQ/PA)
+                addrType = match_area.substr(0, 2);
+                dataType = match_area.substr(2);
+            } else {
+                // the first char indicates the PLC area (I, Q, M, V, ...)
+                addrType = match_area.charAt(0);
+                dataType = match_area.substr(1);
+            }
 
             // validate address type
             switch (addrType) {
@@ -166,12 +252,24 @@ class AddressParserNodeS7 {
                     break;
                 case "A":
                     addrType = "Q";
-                case "P":
+                    break;
+                case "PE":
+                    addrType = "PI";
+                    break;
+                case "PA":
+                    addrType = "PQ";
+                    break;
+                case "PI":
+                case "PQ":
                 case "I":
                 case "Q":
                 case "M":
                 case "T":
                 case "C":
+                case "V":
+                case "SM":
+                case "AI":
+                case "AQ":
                     break;
                 default:
                     throw new NodeS7Error('ERR_PARSE_AREA', `Unknown address type "${addrType}" for address "${address}"`, { item: address });
@@ -188,12 +286,19 @@ class AddressParserNodeS7 {
                         dataType = "X";
                     }
                     break;
+                case "WX":
+                case "DX":
+                    // bits of a WORD/DWORD, handled below
+                    break;
                 case "B":
                     dataType = "BYTE";
                     break;
                 case "C":
                     dataType = "CHAR";
                     break;
+                case "WC":
+                    dataType = "WCHAR";
+                    break;
                 case "I":
                     dataType = "INT";
                     break;
@@ -226,13 +331,77 @@ class AddressParserNodeS7 {
                 case "RR":
                     dataType = "RREAL";
                     break;
+                case "LR":
+                    dataType = "LREAL";
+                    break;
+                case "LI":
+                    dataType = "LINT";
+                    break;
+                case "ULI":
+                    dataType = "ULINT";
+                    break;
+                case "LW":
+                    dataType = "LWORD";
+                    break;
+                case "SI":
+                    dataType = "SINT";
+                    break;
+                case "USI":
+                    dataType = "USINT";
+                    break;
+                case "UI":
+                    dataType = "UINT";
+                    break;
+                case "UDI":
+                    dataType = "UDINT";
+                    break;
+                case "RUI":
+                    dataType = "RUINT";
+                    break;
+                case "RUDI":
+                    dataType = "RUDINT";
+                    break;
+                case "TIME":
+                case "LTIME":
+                case "TOD":
+                case "LTOD":
+                case "DATE":
+                case "LDT":
+                case "S5TIME":
+                case "RAW":
+                    // no short forms for these
+                    break;
+                case "BUFFER":
+                    dataType = "RAW";
+                    break;
                 default:
                     throw new NodeS7Error('ERR_PARSE_DATATYPE', `Unknown data type "${dataType}" for address "${address}"`, { item: address });
             }
         }
 
         // handle array lengths and bit address
-        if (dataType === "X") {
+        if (dataType === "WX" || dataType === "DX") {
+            // a bit of a WORD/DWORD, numbered from its least significant bit (e.g. DB3,WX20.11)
+            let wordLength = dataType === "WX" ? 2 : 4;
+
+            if (isNaN(match_bitAddr)) {
+                throw new NodeS7Error('ERR_PARSE_BIT_OFFSET', `Bit address offset required for data type "${dataType}" on "${address}"`, { item: address });
+            }
+            if (match_bitAddr >= wordLength * 8) {
+                throw new NodeS7Error('ERR_PARSE_BIT_OFFSET', `Bit address offset out of range 0-${wordLength * 8 - 1} on "${address}"`, { item: address });
+            }
+            if (!isNaN(match_arrLen)) {
+                throw new NodeS7Error('ERR_PARSE_INVALID_ARR_LEN', `Arrays are not supported for data type "${dataType}" on "${address}"`, { item: address });
+            }
+
+            // S7 is big-endian, so the least significant byte is the last one.
+            // From here on, it's the same as addressing the bit directly
+            addressOffset += wordLength - 1 - (match_bitAddr >> 3);
+            bitAddressOffset = match_bitAddr & 7;
+            arrayLength = 1;
+            dataType = "X";
+
+        } else if (dataType === "X") {
             if (isNaN(match_bitAddr)) {
                 throw new NodeS7Error('ERR_PARSE_BIT_OFFSET', `Bit address offset required for data type "X" on "${address}"`, { item: address });
             }
@@ -247,13 +416,31 @@ class AddressParserNodeS7 {
                 arrayLength = 1;
             }
 
-        } else if (dataType === "STRING") {
+        } else if (dataType === "STRING" || dataType === "WSTRING") {
             // match_bitAddr is the string length for string types
             if (isNaN(match_bitAddr) || match_bitAddr < 1) {
-                throw new NodeS7Error('ERR_PARSE_STRING_LEN', `String length required for data type "STRING" on "${address}"`, { item: address });
+                throw new NodeS7Error('ERR_PARSE_STRING_LEN', `String length required for data type "${dataType}" on "${address}"`, { item: address });
             }
 
-            dataTypeLength = match_bitAddr + 2; //strings have 2 extra bytes for string length
+            if (dataType === "STRING") {
+                dataTypeLength = match_bitAddr + 2; //strings have 2 extra bytes for string length
+            } else {
+                dataTypeLength = (match_bitAddr * 2) + 4; //wstrings have 2-byte chars and 4 extra bytes for string length
+            }
+            bitAddressOffset = 0;
+            arrayLength = match_arrLen;
+
+            if (isNaN(arrayLength) || arrayLength < 1) {
+                arrayLength = 1;
+            }
+
+        } else if (dataType === "RAW") {
+            // match_bitAddr is the length in bytes for raw buffers
+            if (isNaN(match_bitAddr) || match_bitAddr < 1) {
+                throw new NodeS7Error('ERR_PARSE_STRING_LEN', `Buffer length required for data type "${dataType}" on "${address}"`, { item: address });
+            }
+
+            dataTypeLength = match_bitAddr;
             bitAddressOffset = 0;
             arrayLength = match_arrLen;
 
@@ -288,6 +475,13 @@ class AddressParserNodeS7 {
                 break;
             case "DT":
             case "DTZ":
+            case "LREAL":
+            case "LINT":
+            case "ULINT":
+            case "LWORD":
+            case "LTIME":
+            case "LTOD":
+            case "LDT":
                 dataTypeLength = 8;
                 break;
             case "REAL":
@@ -296,12 +490,21 @@ class AddressParserNodeS7 {
             case "RREAL":
             case "RDWORD":
             case "RDINT":
+            case "UDINT":
+            case "RUDINT":
+            case "TIME":
+            case "TOD":
                 dataTypeLength = 4;
                 break;
             case "INT":
             case "WORD":
             case "RINT":
             case "RWORD":
+            case "UINT":
+            case "RUINT":
+            case "WCHAR":
+            case "DATE":
+            case "S5TIME":
             case "TIMER":
             case "COUNTER":
                 dataTypeLength = 2;
@@ -309,10 +512,14 @@ class AddressParserNodeS7 {
             case "X":
             case "BYTE":
             case "CHAR":
+            case "SINT":
+            case "USINT":
                 dataTypeLength = 1;
                 break;
             case "STRING":
-                // For strings, arrayLength and dtypelen were assigned during parsing.
+            case "WSTRING":
+            case "RAW":
+                // For strings and buffers, arrayLength and dtypelen were assigned during parsing.
                 break;
             default:
                 // we have validated the dataType before, so we should never reach this
@@ -327,9 +534,11 @@ class AddressParserNodeS7 {
 
         switch (addrType) {
             case "DB":
-            case "DI":
                 areaCode = constants.proto.area.DB;
                 break;
+            case "DI":
+                areaCode = constants.proto.area.DI;
+                break;
             case "I":
             case "E":
                 areaCode = constants.proto.area.INPUTS;
@@ -341,9 +550,23 @@ class AddressParserNodeS7 {
             case "M":
                 areaCode = constants.proto.area.FLAGS;
                 break;
-            case "P":
+            case "PI":
+            case "PQ":
+                // both share the same area, PQ is distinguished for being write-only
                 areaCode = constants.proto.area.PERIPHALS;
                 break;
+            case "V":
+                areaCode = constants.proto.area.V;
+                break;
+            case "SM":
+                areaCode = constants.proto.area.SYSFLAGS;
+                break;
+            case "AI":
+                areaCode = constants.proto.area.ANAIN;
+                break;
+            case "AQ":
+                areaCode = constants.proto.area.ANAOUT;
+                break;
             case "C":
                 areaCode = constants.proto.area.COUNTER;
                 readTransportCode = constants.proto.transport.DATE;
@@ -375,7 +598,8 @@ class AddressParserNodeS7 {
         byteLengthWithFill += byteLengthWithFill % 2;
 
         let result = {
-            addrtype: addrType,
+            // peripheral inputs and outputs are both of the "P" type
+            addrtype: addrType === "PI" || addrType === "PQ" ? "P" : addrType,
             datatype: dataType,
             dtypelen: dataTypeLength,
             offset: addressOffset,
@@ -390,6 +614,11 @@ class AddressParserNodeS7 {
             byteLengthWithFill: byteLengthWithFill
         };
 
+        // but outputs are told apart for being write-only
+        if (addrType === "PQ") {
+            result.writeOnly = true;
+        }
+
         debug("S7Item parseAddress_NodeS7 result", result);
         return result;
     }
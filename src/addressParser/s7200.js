@@ -0,0 +1,45 @@
+//@ts-check
+/*
+  Copyright: (c) 2018-2020, Guilherme Francescon Cittolin <gfcittolin@gmail.com>
+  GNU General Public License v3.0+ (see LICENSE or https://www.gnu.org/licenses/gpl-3.0.txt)
+*/
+
+const util = require('util');
+const debug = util.debuglog('nodes7');
+
+const NodeS7Error = require('../errors.js');
+const AddressParserNodeS7 = require('./nodes7.js');
+
+/**
+ * Parse address strings of S7-200 and S7-200 SMART PLCs. The syntax is the
+ * same of the NODES7 format, that also understands the S7-200 areas (V, SM,
+ * AI/AQ). Analog inputs and outputs (`AIW`, `AQW`) are read and written with
+ * the BYTE transport, as two bytes per word, like the other areas
+ *
+ * Timers (e.g. `T37`) and counters (e.g. `C5`) are rejected: the S7-200 keeps
+ * them on areas of its own, whose element count and reply format haven't been
+ * verified against a PLC yet. Note that the NODES7 and "auto" formats parse
+ * them as S7-300/400 timers and counters, which the S7-200 doesn't have
+ */
+class AddressParserS7200 {
+
+    /**
+     *
+     * @param {string} address the address to be parsed
+     * @throws {NodeS7Error} ERR_PARSE_AREA - when addressing timers or counters
+     * @throws {NodeS7Error} any of the errors thrown by the NODES7 address parser
+     */
+    parse(address) {
+        debug("S7Item parseAddress_S7200", address);
+
+        let props = AddressParserNodeS7.parse(address);
+
+        if (props.addrtype === 'T' || props.addrtype === 'C') {
+            throw new NodeS7Error('ERR_PARSE_AREA', `S7-200 timers and counters are not supported on "${address}"`, { item: address });
+        }
+
+        return props;
+    }
+}
+
+module.exports = new AddressParserS7200();
@@ -0,0 +1,134 @@
+//@ts-check
+/*
+  Copyright: (c) 2018-2020, Guilherme Francescon Cittolin <gfcittolin@gmail.com>
+  GNU General Public License v3.0+ (see LICENSE or https://www.gnu.org/licenses/gpl-3.0.txt)
+*/
+
+const util = require('util');
+const debug = util.debuglog('nodes7');
+
+const AddressParserNodeS7 = require('./nodes7.js');
+const NodeS7Error = require('../errors.js');
+
+/**
+ * Regex to match DB addresses (e.g. DB10.DBX4.3, DB10.DBW6)
+ * Match 1: DB Number
+ * Match 2: Size (X, B, W, D)
+ * Match 3: Address
+ * Match 4: Bit address
+ */
+const REGEX_STEP7_DB = /^DB(\d+)\.DB([XBWD])(\d+)(?:\.(\d+))?$/;
+
+/**
+ * Regex to match I/Q/M addresses (e.g. I0.1, MW20, QD8, I0.0:P)
+ * Match 1: Area (I, E, Q, A, M)
+ * Match 2: Size (X, B, W, D), empty for bits
+ * Match 3: Address
+ * Match 4: Bit address
+ * Match 5: TIA Portal's peripheral access suffix
+ */
+const REGEX_STEP7_AREA = /^([IEQAM])([XBWD]?)(\d+)(?:\.(\d+))?(:P)?$/;
+
+/**
+ * Regex to match peripheral addresses (e.g. PIW256, PQB0)
+ * Match 1: Area (I, E, Q, A)
+ * Match 2: Size (B, W, D)
+ * Match 3: Address
+ */
+const REGEX_STEP7_PERIPHERAL = /^P([IEQA])([BWD])(\d+)$/;
+
+/**
+ * Regex to match timers and counters (e.g. T5, C3, Z3)
+ * Match 1: Type (T, C, Z)
+ * Match 2: Number
+ */
+const REGEX_STEP7_TIMER_COUNTER = /^([TCZ])(\d+)$/;
+
+/**
+ * Parse address strings according to the syntax used by STEP7 and
+ * TIA Portal (e.g. `DB10.DBX4.3`, `%MW20`, `E0.1`). Addresses are
+ * translated to the NODES7 format and then parsed by it, so both
+ * formats yield the same result for the same memory area
+ */
+class AddressParserStep7 {
+
+    /**
+     * Translates an address in the STEP7 syntax to the NODES7 format
+     *
+     * @param {string} address the address to be translated
+     * @returns {string} the address in the NODES7 format
+     * @throws {NodeS7Error} ERR_PARSE_BIT_OFFSET - Bit offset is missing
+     * @throws {NodeS7Error} ERR_PARSE_INVALID_BIT_OFFSET - Bit offset is specified in a type that doesn't support it
+     * @throws {NodeS7Error} ERR_PARSE_UNKNOWN_FORMAT - Basic format of a STEP7 address cannot be identified
+     */
+    translate(address) {
+        debug("S7Item translateAddress_Step7", address);
+
+        // whitespaces are common on STEP7 (e.g. "I 0.1"), and "%" is the IEC prefix of TIA Portal
+        let addr = address.replace(/\s+/g, '').replace(/^%/, '');
+        let match, result;
+
+        /**
+         * validates the presence of the bit address according to the size
+         * @param {string} size
+         * @param {string} bitAddr
+         */
+        const checkBitAddress = (size, bitAddr) => {
+            if ((size === 'X' || size === '') && bitAddr === undefined) {
+                throw new NodeS7Error('ERR_PARSE_BIT_OFFSET', `Bit address offset required on "${address}"`, { item: address });
+            }
+            if (size !== 'X' && size !== '' && bitAddr !== undefined) {
+                throw new NodeS7Error('ERR_PARSE_INVALID_BIT_OFFSET', `Invalid use of bit address offset on "${address}"`, { item: address });
+            }
+        }
+
+        if ((match = addr.match(REGEX_STEP7_DB))) {
+            let [, db, size, offset, bitAddr] = match;
+            checkBitAddress(size, bitAddr);
+
+            result = `DB${db},${size}${offset}${bitAddr !== undefined ? `.${bitAddr}` : ''}`;
+
+        } else if ((match = addr.match(REGEX_STEP7_AREA))) {
+            let [, area, size, offset, bitAddr, peripheral] = match;
+            checkBitAddress(size, bitAddr);
+
+            if (peripheral && area === 'M') {
+                throw new NodeS7Error('ERR_PARSE_AREA', `Peripheral access is not available for flags on "${address}"`, { item: address });
+            }
+
+            if (size === 'X') size = '';
+            result = `${peripheral ? 'P' : ''}${area}${size}${offset}${bitAddr !== undefined ? `.${bitAddr}` : ''}`;
+
+        } else if ((match = addr.match(REGEX_STEP7_PERIPHERAL))) {
+            let [, area, size, offset] = match;
+
+            result = `P${area}${size}${offset}`;
+
+        } else if ((match = addr.match(REGEX_STEP7_TIMER_COUNTER))) {
+            let [, type, number] = match;
+
+            // "Z" is the german mnemonic for counters
+            result = `${type === 'T' ? 'T' : 'C'}${number}`;
+
+        } else {
+            throw new NodeS7Error('ERR_PARSE_UNKNOWN_FORMAT', `Could not parse item "${address}", invalid address format`, { item: address });
+        }
+
+        debug("S7Item translateAddress_Step7 result", result);
+        return result;
+    }
+
+    /**
+     *
+     * @param {string} address the address to be parsed
+     * @throws {NodeS7Error} ERR_PARSE_UNKNOWN_FORMAT - Basic format of a STEP7 address cannot be identified
+     * @throws {NodeS7Error} any of the errors thrown by the NODES7 address parser
+     */
+    parse(address) {
+        debug("S7Item parseAddress_Step7", address);
+
+        return AddressParserNodeS7.parse(this.translate(address));
+    }
+}
+
+module.exports = new AddressParserStep7();
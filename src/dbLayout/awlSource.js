@@ -0,0 +1,425 @@
+//@ts-check
+/*
+  Copyright: (c) 2018-2020, Guilherme Francescon Cittolin <gfcittolin@gmail.com>
+  GNU General Public License v3.0+ (see LICENSE or https://www.gnu.org/licenses/gpl-3.0.txt)
+*/
+
+const util = require('util');
+const debug = util.debuglog('nodes7');
+
+const NodeS7Error = require('../errors.js');
+
+/**
+ * A data type, as declared on a source file. Elementary types have a `dataType`
+ * (and a `length` for strings), structs have `members`, UDT references have the
+ * `name` of the UDT and arrays have `dims` and the type of their `element`
+ * @typedef {object} TypeDecl
+ * @property {'elementary'|'struct'|'udt'|'array'} kind
+ * @property {string} [dataType]
+ * @property {number} [length]
+ * @property {string} [name]
+ * @property {Array<MemberDecl>} [members]
+ * @property {Array<Array<number>>} [dims]
+ * @property {TypeDecl} [element]
+ */
+
+/**
+ * @typedef {object} MemberDecl
+ * @property {string} name
+ * @property {TypeDecl} type
+ */
+
+/**
+ * A block (DB or UDT) declared on a source file
+ * @typedef {object} BlockDecl
+ * @property {'DB'|'UDT'} blockType
+ * @property {string} name the name of the block (e.g. "DB10", "UDT5" or its symbolic name)
+ * @property {number} [number] the number of the block, when declared by number
+ * @property {boolean} optimized whether the block has optimized access (TIA Portal)
+ * @property {TypeDecl} type
+ */
+
+/** Data types that are declared with a length (e.g. `STRING[20]`) */
+const STRING_TYPES = ['STRING', 'WSTRING'];
+
+/** The length of strings declared without one */
+const DEFAULT_STRING_LENGTH = 254;
+
+/**
+ * Splits the source into tokens, skipping comments. Attributes
+ * in curly braces (TIA Portal) are returned as a single token
+ * @private
+ * @param {string} source
+ */
+function tokenize(source) {
+    let tokens = [];
+    let line = 1;
+    let i = 0;
+
+    const error = (msg) => new NodeS7Error('ERR_PARSE_SOURCE', `${msg} on line ${line}`, { line });
+
+    while (i < source.length) {
+        let c = source[i];
+
+        if (c === '\n') {
+            line++;
+            i++;
+        } else if (/\s/.test(c)) {
+            i++;
+        } else if (source.startsWith('//', i)) {
+            while (i < source.length && source[i] !== '\n') i++;
+        } else if (source.startsWith('(*', i)) {
+            let end = source.indexOf('*)', i + 2);
+            if (end < 0) throw error("Unterminated comment");
+            line += source.slice(i, end).split('\n').length - 1;
+            i = end + 2;
+        } else if (c === '{' || c === '"' || c === "'") {
+            let close = c === '{' ? '}' : c;
+            let end = source.indexOf(close, i + 1);
+            // quotes are escaped by doubling them
+            while (c === "'" && end >= 0 && source[end + 1] === "'") {
+                end = source.indexOf(close, end + 2);
+            }
+            if (end < 0) throw error(`Unterminated "${c}"`);
+
+            let value = source.slice(i + 1, end);
+            tokens.push({ type: c === '{' ? 'attr' : c === '"' ? 'name' : 'string', value, line });
+            line += value.split('\n').length - 1;
+            i = end + 1;
+        } else {
+            let match = source.slice(i).match(/^(?:\.\.|:=|[A-Za-z0-9_#]+)/);
+            let value = match ? match[0] : c;
+            tokens.push({ type: /^[A-Za-z0-9_#]/.test(value) ? 'word' : 'punct', value, line });
+            i += value.length;
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Recursive-descent parser of STEP7 AWL/SCL source files
+ * @private
+ */
+class SourceParser {
+
+    /**
+     * @param {string} source
+     */
+    constructor(source) {
+        this.tokens = tokenize(source);
+        this.pos = 0;
+    }
+
+    peek(ahead = 0) {
+        return this.tokens[this.pos + ahead];
+    }
+
+    next() {
+        let token = this.tokens[this.pos++];
+        if (!token) {
+            let last = this.tokens[this.tokens.length - 1];
+            throw new NodeS7Error('ERR_PARSE_SOURCE', "Unexpected end of source", { line: last && last.line });
+        }
+        return token;
+    }
+
+    /**
+     * whether the next token is the given keyword or punctuation
+     * @param {string} value
+     */
+    is(value, ahead = 0) {
+        let token = this.peek(ahead);
+        return !!token && token.type !== 'name' && token.type !== 'string' && String(token.value).toUpperCase() === value;
+    }
+
+    /**
+     * @param {string} value
+     */
+    accept(value) {
+        if (this.is(value)) {
+            this.pos++;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * @param {string} value
+     */
+    expect(value) {
+        let token = this.next();
+        if (token.type === 'name' || token.type === 'string' || token.value.toUpperCase() !== value) {
+            this.fail(`Expected "${value}" but found "${token.value}"`, token);
+        }
+    }
+
+    fail(msg, token = this.peek()) {
+        let line = token && token.line;
+        throw new NodeS7Error('ERR_PARSE_SOURCE', `${msg} on line ${line}`, { line });
+    }
+
+    /**
+     * Skips tokens until the given keyword, consuming it
+     * @param {string} value
+     */
+    skipUntil(value) {
+        while (!this.is(value)) this.next();
+        this.pos++;
+    }
+
+    /**
+     * Parses a block reference, like `DB 10`, `DB10`, `UDT 5` or `"Name"`
+     * @param {string} prefix DB, UDT or FB
+     */
+    parseBlockName(prefix) {
+        let token = this.next();
+        if (token.type === 'name') {
+            return { name: token.value };
+        }
+
+        let word = token.value.toUpperCase();
+        let number;
+        if (word === prefix && this.peek() && /^\d+$/.test(this.peek().value)) {
+            number = parseInt(this.next().value);
+        } else if (word.startsWith(prefix) && /^\d+$/.test(word.slice(prefix.length))) {
+            number = parseInt(word.slice(prefix.length));
+        } else {
+            this.fail(`Invalid block name "${token.value}"`, token);
+        }
+        return { name: `${prefix}${number}`, number };
+    }
+
+    /**
+     * @returns {Array<BlockDecl>}
+     */
+    parse() {
+        let blocks = [];
+        while (this.peek()) {
+            if (this.accept('TYPE')) {
+                blocks.push(this.parseType());
+            } else if (this.accept('DATA_BLOCK')) {
+                blocks.push(this.parseDataBlock());
+            } else if (this.is('FUNCTION_BLOCK') || this.is('FUNCTION') || this.is('ORGANIZATION_BLOCK')) {
+                // code blocks may share the file with the data blocks
+                let end = `END_${this.next().value.toUpperCase()}`;
+                this.skipUntil(end);
+            } else {
+                this.fail(`Unexpected "${this.peek().value}"`);
+            }
+        }
+        return blocks;
+    }
+
+    /**
+     * Parses the header of a block (TITLE, VERSION, attributes, ...)
+     * until the start of its declaration
+     * @param {BlockDecl} block
+     */
+    parseHeader(block) {
+        let token;
+        while ((token = this.peek())) {
+            if (token.type === 'attr') {
+                if (/S7_Optimized_Access\s*:=\s*'TRUE'/i.test(token.value)) {
+                    block.optimized = true;
+                }
+                this.pos++;
+            } else if (this.is('TITLE') || this.is('VERSION') || this.is('AUTHOR') || this.is('FAMILY') || this.is('NAME')) {
+                // the value of these properties spans the rest of the line
+                let line = token.line;
+                while (this.peek() && this.peek().line === line) this.pos++;
+            } else if (token.type === 'word' && ['KNOW_HOW_PROTECT', 'NON_RETAIN', 'READ_ONLY', 'UNLINKED', 'CODE_VERSION1'].includes(token.value.toUpperCase())) {
+                this.pos++;
+            } else {
+                return;
+            }
+        }
+    }
+
+    /**
+     * @returns {BlockDecl}
+     */
+    parseType() {
+        let { name, number } = this.parseBlockName('UDT');
+        /** @type {BlockDecl} */
+        let block = { blockType: 'UDT', name, number, optimized: false, type: null };
+        debug('SourceParser parseType', name);
+
+        this.parseHeader(block);
+        if (this.is('STRUCT')) {
+            block.type = this.parseDataType();
+            this.accept(';');
+        } else {
+            this.fail(`Expected "STRUCT" on UDT "${name}"`);
+        }
+        this.expect('END_TYPE');
+
+        return block;
+    }
+
+    /**
+     * @returns {BlockDecl}
+     */
+    parseDataBlock() {
+        let { name, number } = this.parseBlockName('DB');
+        /** @type {BlockDecl} */
+        let block = { blockType: 'DB', name, number, optimized: false, type: null };
+        debug('SourceParser parseDataBlock', name);
+
+        this.parseHeader(block);
+
+        if (this.is('STRUCT')) {
+            block.type = this.parseDataType();
+            this.accept(';');
+        } else if (this.accept('VAR')) {
+            if (!this.accept('RETAIN')) this.accept('NON_RETAIN');
+            block.type = { kind: 'struct', members: this.parseMembers('END_VAR') };
+        } else if (this.is('FB') || this.is('SFB') || /^S?FB\d+$/i.test(this.peek().value)) {
+            this.fail(`Instance data block "${name}" is not supported`);
+        } else if (this.peek().type === 'name' || /^UDT/i.test(this.peek().value)) {
+            block.type = this.parseDataType();
+        } else {
+            this.fail(`Expected a declaration on data block "${name}"`);
+        }
+        this.parseHeader(block);
+
+        // the initial values are of no interest for the layout
+        this.expect('BEGIN');
+        this.skipUntil('END_DATA_BLOCK');
+
+        return block;
+    }
+
+    /**
+     * Parses the members of a struct until the given keyword
+     * @param {string} end
+     * @returns {Array<MemberDecl>}
+     */
+    parseMembers(end) {
+        let members = [];
+        while (!this.accept(end)) {
+            let token = this.next();
+            if (token.type === 'attr') continue;
+            if (token.type !== 'word' && token.type !== 'name') {
+                this.fail(`Unexpected "${token.value}"`, token);
+            }
+
+            let name = token.value;
+            while (this.peek() && this.peek().type === 'attr') this.pos++;
+            this.expect(':');
+
+            let type = this.parseDataType();
+
+            // skip the initial value
+            if (this.accept(':=')) {
+                while (!this.is(';')) this.next();
+            }
+            this.expect(';');
+
+            debug('SourceParser parseMembers', name, type.kind);
+            members.push({ name, type });
+        }
+        return members;
+    }
+
+    /**
+     * @returns {TypeDecl}
+     */
+    parseDataType() {
+        let token = this.next();
+
+        if (token.type === 'name') {
+            return { kind: 'udt', name: token.value };
+        }
+        if (token.type !== 'word') {
+            this.fail(`Unexpected "${token.value}"`, token);
+        }
+
+        let word = token.value.toUpperCase();
+
+        if (word === 'STRUCT') {
+            let members = this.parseMembers('END_STRUCT');
+            return { kind: 'struct', members };
+        }
+
+        if (word === 'ARRAY') {
+            let dims = [];
+            this.expect('[');
+            do {
+                let low = this.parseInteger();
+                this.expect('..');
+                let high = this.parseInteger();
+                if (high < low) {
+                    this.fail(`Invalid array limits [${low}..${high}]`, token);
+                }
+                dims.push([low, high]);
+            } while (this.accept(','));
+            this.expect(']');
+            this.expect('OF');
+
+            let element = this.parseDataType();
+            if (element.kind === 'array') {
+                this.fail("Arrays of arrays are not supported", token);
+            }
+            return { kind: 'array', dims, element };
+        }
+
+        if (word === 'UDT' || /^UDT\d+$/.test(word)) {
+            this.pos--;
+            return { kind: 'udt', name: this.parseBlockName('UDT').name };
+        }
+
+        if (STRING_TYPES.includes(word)) {
+            let length = DEFAULT_STRING_LENGTH;
+            if (this.accept('[')) {
+                length = this.parseInteger();
+                this.expect(']');
+            }
+            return { kind: 'elementary', dataType: word, length };
+        }
+
+        return { kind: 'elementary', dataType: word };
+    }
+
+    parseInteger() {
+        let negative = this.accept('-');
+        let token = this.next();
+        if (!/^\d+$/.test(token.value)) {
+            this.fail(`Expected a number but found "${token.value}"`, token);
+        }
+        return (negative ? -1 : 1) * parseInt(token.value);
+    }
+}
+
+/**
+ * Parses the source of data blocks and UDTs, as exported by STEP7 (AWL)
+ * or TIA Portal (DB/UDT sources). Initial values and the actual values of
+ * the `BEGIN` section are ignored, as well as any code blocks
+ *
+ * @param {string} source the content of the source file
+ * @returns {Array<BlockDecl>} the declared blocks
+ * @throws {NodeS7Error} ERR_PARSE_SOURCE - when the source cannot be parsed
+ */
+function parseAwlSource(source) {
+    debug('parseAwlSource');
+    return new SourceParser(source).parse();
+}
+
+/**
+ * Parses the declaration of a single data type (e.g. `Array[1..2] of "UDT"`),
+ * as found on sources and on the interface of blocks
+ *
+ * @param {string} text the declaration of the data type
+ * @returns {TypeDecl}
+ * @throws {NodeS7Error} ERR_PARSE_SOURCE - when the declaration cannot be parsed
+ */
+function parseTypeDecl(text) {
+    let parser = new SourceParser(text);
+    let type = parser.parseDataType();
+    if (parser.peek()) {
+        parser.fail(`Unexpected "${parser.peek().value}" on data type "${text}"`);
+    }
+    return type;
+}
+
+module.exports = { parseAwlSource, parseTypeDecl };
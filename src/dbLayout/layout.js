@@ -0,0 +1,363 @@
+//@ts-check
+/*
+  Copyright: (c) 2018-2020, Guilherme Francescon Cittolin <gfcittolin@gmail.com>
+  GNU General Public License v3.0+ (see LICENSE or https://www.gnu.org/licenses/gpl-3.0.txt)
+*/
+
+const util = require('util');
+const debug = util.debuglog('nodes7');
+
+const NodeS7Error = require('../errors.js');
+
+/** @typedef {import('./awlSource.js').TypeDecl} TypeDecl */
+
+/**
+ * A member of a block with its absolute position. Elementary members
+ * and arrays of them have a `dataType`, structs have `members` and
+ * arrays of structs have one struct per element in `elements`
+ * @typedef {object} LayoutNode
+ * @property {string} name
+ * @property {'elementary'|'struct'|'array'} kind
+ * @property {number} offset the byte offset of the member
+ * @property {number} bitOffset the bit offset of BOOL members
+ * @property {number} size the size of the member in bytes (0 for a single BOOL)
+ * @property {string} [dataType]
+ * @property {number} [length] the max length of strings
+ * @property {Array<Array<number>>} [dims] the limits of each array dimension
+ * @property {number} [count] the number of elements of an array
+ * @property {number} [stride] the distance in bytes (bits, for BOOL) between array elements
+ * @property {string} [udt] the name of the UDT a struct is an instance of
+ * @property {Array<LayoutNode>} [members]
+ * @property {Array<LayoutNode>} [elements]
+ */
+
+/**
+ * The size in bytes and the type code on the NODES7 address
+ * format of each elementary data type. BOOLs have size 0
+ */
+const ELEMENTARY_TYPES = {
+    BOOL: { size: 0, code: 'X' },
+    BYTE: { size: 1, code: 'B' },
+    CHAR: { size: 1, code: 'C' },
+    SINT: { size: 1, code: 'SI' },
+    USINT: { size: 1, code: 'USI' },
+    WORD: { size: 2, code: 'W' },
+    INT: { size: 2, code: 'I' },
+    UINT: { size: 2, code: 'UI' },
+    WCHAR: { size: 2, code: 'WC' },
+    DATE: { size: 2, code: 'DATE' },
+    S5TIME: { size: 2, code: 'S5TIME' },
+    DWORD: { size: 4, code: 'DW' },
+    DINT: { size: 4, code: 'DI' },
+    UDINT: { size: 4, code: 'UDI' },
+    REAL: { size: 4, code: 'R' },
+    TIME: { size: 4, code: 'TIME' },
+    TOD: { size: 4, code: 'TOD' },
+    LREAL: { size: 8, code: 'LR' },
+    LINT: { size: 8, code: 'LI' },
+    ULINT: { size: 8, code: 'ULI' },
+    LWORD: { size: 8, code: 'LW' },
+    LTIME: { size: 8, code: 'LTIME' },
+    LTOD: { size: 8, code: 'LTOD' },
+    LDT: { size: 8, code: 'LDT' },
+    DT: { size: 8, code: 'DT' },
+    DTL: { size: 12, code: 'DTL' },
+    STRING: { size: 2, code: 'S' },
+    WSTRING: { size: 4, code: 'WS' }
+};
+
+/** Long names of some of the data types */
+const TYPE_ALIASES = {
+    TIME_OF_DAY: 'TOD',
+    LTIME_OF_DAY: 'LTOD',
+    DATE_AND_TIME: 'DT'
+};
+
+/**
+ * Resolves aliases and validates an elementary data type
+ * @private
+ * @param {string} dataType
+ */
+function normalizeType(dataType) {
+    let type = TYPE_ALIASES[dataType] || dataType;
+    if (!ELEMENTARY_TYPES[type]) {
+        throw new NodeS7Error('ERR_PARSE_DATATYPE', `Unsupported data type "${dataType}"`);
+    }
+    return type;
+}
+
+/**
+ * The size in bytes of an elementary type, including the header of strings
+ * @private
+ * @param {string} dataType
+ * @param {number} [length]
+ */
+function elementarySize(dataType, length) {
+    if (dataType === 'STRING') return length + 2;
+    if (dataType === 'WSTRING') return length * 2 + 4;
+    return ELEMENTARY_TYPES[dataType].size;
+}
+
+/**
+ * Keeps track of the next free position while members are being laid out,
+ * applying the alignment rules of S7 blocks with standard (non-optimized) access
+ * @private
+ */
+class Cursor {
+
+    constructor(byte = 0) {
+        this.byte = byte;
+        this.bit = 0;
+    }
+
+    /** moves to the start of the next byte, if in the middle of one */
+    alignByte() {
+        if (this.bit > 0) {
+            this.byte++;
+            this.bit = 0;
+        }
+    }
+
+    /** moves to the next even byte */
+    alignWord() {
+        this.alignByte();
+        this.byte += this.byte % 2;
+    }
+}
+
+/**
+ * Computes the layout of a data type at the position of the cursor
+ * @private
+ * @param {string} name
+ * @param {TypeDecl} type
+ * @param {Cursor} cursor
+ * @param {function(string): TypeDecl} resolveUdt
+ * @param {Array<string>} udtStack the UDTs being expanded, for detecting recursion
+ * @returns {LayoutNode}
+ */
+function layoutType(name, type, cursor, resolveUdt, udtStack) {
+    switch (type.kind) {
+        case 'elementary': {
+            let dataType = normalizeType(type.dataType);
+            let size = elementarySize(dataType, type.length);
+            /** @type {LayoutNode} */
+            let node = { name, kind: 'elementary', dataType, offset: 0, bitOffset: 0, size };
+            if (type.length !== undefined) node.length = type.length;
+
+            if (dataType === 'BOOL') {
+                node.offset = cursor.byte;
+                node.bitOffset = cursor.bit;
+                cursor.bit++;
+                if (cursor.bit > 7) cursor.alignByte();
+                return node;
+            }
+
+            // only single-byte types may start on an odd address
+            if (ELEMENTARY_TYPES[dataType].size === 1) {
+                cursor.alignByte();
+            } else {
+                cursor.alignWord();
+            }
+            node.offset = cursor.byte;
+            cursor.byte += size;
+            return node;
+        }
+
+        case 'udt': {
+            if (udtStack.includes(type.name)) {
+                throw new NodeS7Error('ERR_PARSE_SOURCE', `Recursive declaration of UDT "${type.name}"`);
+            }
+            let udt = resolveUdt(type.name);
+            let node = layoutType(name, udt, cursor, resolveUdt, udtStack.concat(type.name));
+            node.udt = type.name;
+            return node;
+        }
+
+        case 'struct': {
+            cursor.alignWord();
+            let start = cursor.byte;
+            let members = type.members.map(m => layoutType(m.name, m.type, cursor, resolveUdt, udtStack));
+            // structs always occupy an even number of bytes
+            cursor.alignWord();
+            return { name, kind: 'struct', offset: start, bitOffset: 0, size: cursor.byte - start, members };
+        }
+
+        case 'array': {
+            cursor.alignWord();
+            let start = cursor.byte;
+            let count = type.dims.reduce((acc, [low, high]) => acc * (high - low + 1), 1);
+            /** @type {LayoutNode} */
+            let node = { name, kind: 'array', offset: start, bitOffset: 0, size: 0, dims: type.dims, count };
+
+            if (type.element.kind === 'elementary') {
+                let dataType = normalizeType(type.element.dataType);
+                let size = elementarySize(dataType, type.element.length);
+                node.dataType = dataType;
+                if (type.element.length !== undefined) node.length = type.element.length;
+
+                if (dataType === 'BOOL') {
+                    // bits are packed, and the stride is given in bits
+                    node.stride = 1;
+                    cursor.byte += Math.ceil(count / 8);
+                } else {
+                    // every element of more than one byte starts on an even address
+                    node.stride = ELEMENTARY_TYPES[dataType].size === 1 ? size : size + (size % 2);
+                    cursor.byte += node.stride * count;
+                }
+            } else {
+                node.elements = [];
+                for (let i = 0; i < count; i++) {
+                    node.elements.push(layoutType(`[${arrayIndexes(type.dims, i).join(',')}]`, type.element, cursor, resolveUdt, udtStack));
+                }
+                node.stride = count > 1 ? node.elements[1].offset - node.elements[0].offset : node.elements[0].size;
+            }
+
+            cursor.alignWord();
+            node.size = cursor.byte - start;
+            return node;
+        }
+
+        default:
+            throw new NodeS7Error('ERR_PARSE_SOURCE', `Unknown declaration of "${name}"`);
+    }
+}
+
+/**
+ * Returns the indexes of each dimension of the n-th element of an array
+ * @param {Array<Array<number>>} dims the limits of each dimension
+ * @param {number} n the position of the element, starting at zero
+ * @returns {Array<number>}
+ */
+function arrayIndexes(dims, n) {
+    let indexes = [];
+    for (let d = dims.length - 1; d >= 0; d--) {
+        let [low, high] = dims[d];
+        let len = high - low + 1;
+        indexes.unshift(low + (n % len));
+        n = Math.floor(n / len);
+    }
+    return indexes;
+}
+
+/**
+ * Computes the absolute offset of every member of a block, following the
+ * alignment rules of blocks with standard (non-optimized) access:
+ *  - BOOLs are packed bitwise
+ *  - BYTE, CHAR, SINT and USINT start at the next free byte
+ *  - every other type, STRINGs, structs and arrays start at an even byte
+ *  - structs and arrays occupy an even number of bytes
+ *
+ * @param {string} name the name of the block
+ * @param {TypeDecl} type the declaration of the block
+ * @param {function(string): TypeDecl} resolveUdt returns the declaration of a UDT by its name
+ * @returns {LayoutNode}
+ * @throws {NodeS7Error} ERR_PARSE_DATATYPE - when an unsupported data type is used
+ * @throws {NodeS7Error} ERR_PARSE_SOURCE - when a UDT is declared recursively
+ */
+function computeLayout(name, type, resolveUdt) {
+    debug('computeLayout', name);
+    return layoutType(name, type, new Cursor(), resolveUdt, []);
+}
+
+/**
+ * Builds the NODES7 address of an elementary member or of an array of them
+ * @private
+ * @param {number} dbNumber
+ * @param {LayoutNode} node
+ * @param {number} [count] the number of elements, for arrays
+ */
+function buildAddress(dbNumber, node, count = 1) {
+    let addr = `DB${dbNumber},${ELEMENTARY_TYPES[node.dataType].code}${node.offset}`;
+    if (node.dataType === 'BOOL') {
+        addr += `.${node.bitOffset}`;
+    } else if (node.length !== undefined) {
+        addr += `.${node.length}`;
+    }
+    if (count > 1 || (count === 1 && node.kind === 'array' && node.dataType === 'BOOL')) {
+        addr += `.${count}`;
+    }
+    return addr;
+}
+
+/**
+ * Whether the elements of an array of elementary types are contiguous,
+ * so that the array can be accessed as a single NODES7 item
+ * @private
+ * @param {LayoutNode} node
+ */
+function isContiguousArray(node) {
+    return node.dataType === 'BOOL' || node.stride === elementarySize(node.dataType, node.length);
+}
+
+/**
+ * Returns the elementary members of an array, each one as a separate node
+ * @param {LayoutNode} node an array of elementary types
+ * @returns {Array<LayoutNode>}
+ */
+function expandArray(node) {
+    let res = [];
+    for (let i = 0; i < node.count; i++) {
+        let bits = node.dataType === 'BOOL' ? node.bitOffset + i : 0;
+        res.push({
+            name: `[${arrayIndexes(node.dims, i).join(',')}]`,
+            kind: 'elementary',
+            dataType: node.dataType,
+            length: node.length,
+            offset: node.dataType === 'BOOL' ? node.offset + (bits >> 3) : node.offset + i * node.stride,
+            bitOffset: bits & 7,
+            size: elementarySize(node.dataType, node.length)
+        });
+    }
+    return res;
+}
+
+/**
+ * Generates a NODES7 address for every elementary member of a layout. Arrays
+ * of elementary types get a single array address when possible
+ *
+ * @param {LayoutNode} layout the layout of the block, as returned by `computeLayout()`
+ * @param {number} dbNumber the number of the DB
+ * @param {string} [prefix] the prefix of the tag names, defaults to the name of the layout
+ * @returns {Array<{name: string, address: string, dataType: string}>}
+ */
+function layoutToTags(layout, dbNumber, prefix = layout.name) {
+    let tags = [];
+
+    /**
+     * @param {LayoutNode} node
+     * @param {string} path
+     */
+    const visit = (node, path) => {
+        if (node.kind === 'elementary') {
+            tags.push({ name: path, address: buildAddress(dbNumber, node), dataType: node.dataType });
+        } else if (node.kind === 'struct') {
+            for (const member of node.members) {
+                visit(member, path ? `${path}.${member.name}` : member.name);
+            }
+        } else if (node.elements) {
+            for (const element of node.elements) {
+                visit(element, `${path}${element.name}`);
+            }
+        } else if (isContiguousArray(node)) {
+            tags.push({ name: path, address: buildAddress(dbNumber, node, node.count), dataType: node.dataType });
+        } else {
+            for (const element of expandArray(node)) {
+                visit(element, `${path}${element.name}`);
+            }
+        }
+    };
+
+    visit(layout, prefix);
+    return tags;
+}
+
+module.exports = {
+    ELEMENTARY_TYPES,
+    TYPE_ALIASES,
+    computeLayout,
+    layoutToTags,
+    buildAddress,
+    isContiguousArray,
+    expandArray,
+    arrayIndexes
+};
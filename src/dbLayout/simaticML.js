@@ -0,0 +1,216 @@
+//@ts-check
+/*
+  Copyright: (c) 2018-2020, Guilherme Francescon Cittolin <gfcittolin@gmail.com>
+  GNU General Public License v3.0+ (see LICENSE or https://www.gnu.org/licenses/gpl-3.0.txt)
+*/
+
+const util = require('util');
+const debug = util.debuglog('nodes7');
+
+const { parseTypeDecl } = require('./awlSource.js');
+const NodeS7Error = require('../errors.js');
+
+/** @typedef {import('./awlSource.js').TypeDecl} TypeDecl */
+/** @typedef {import('./awlSource.js').MemberDecl} MemberDecl */
+/** @typedef {import('./awlSource.js').BlockDecl} BlockDecl */
+
+/**
+ * @typedef {object} XmlElement
+ * @property {string} name
+ * @property {Object<string,string>} attrs
+ * @property {Array<XmlElement>} children
+ * @property {string} text
+ */
+
+const XML_ENTITIES = { quot: '"', amp: '&', lt: '<', gt: '>', apos: "'" };
+
+/**
+ * The element of each kind of block that can be imported
+ */
+const BLOCK_ELEMENTS = {
+    'SW.Blocks.GlobalDB': 'DB',
+    'SW.Types.PlcStruct': 'UDT'
+};
+
+/**
+ * @private
+ * @param {string} str
+ */
+function decodeEntities(str) {
+    return str.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (m, ent) => {
+        if (ent[0] === '#') {
+            return String.fromCodePoint(ent[1] === 'x' || ent[1] === 'X' ? parseInt(ent.slice(2), 16) : parseInt(ent.slice(1)));
+        }
+        return XML_ENTITIES[ent] !== undefined ? XML_ENTITIES[ent] : m;
+    });
+}
+
+/**
+ * A minimal XML parser, enough for the documents exported by TIA Portal.
+ * Namespaces are ignored, and DTDs are not supported
+ * @private
+ * @param {string} xml
+ * @returns {XmlElement} the root element
+ */
+function parseXml(xml) {
+    /** @type {XmlElement} */
+    let root = { name: '', attrs: {}, children: [], text: '' };
+    let stack = [root];
+    let re = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<!DOCTYPE[^>]*>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/y;
+    let match;
+
+    while (re.lastIndex < xml.length) {
+        match = re.exec(xml);
+        if (!match) {
+            throw new NodeS7Error('ERR_PARSE_SOURCE', `Invalid XML near "${xml.substr(re.lastIndex, 20)}"`);
+        }
+
+        let [, cdata, closeTag, openTag, attrText, selfClose, text] = match;
+        let current = stack[stack.length - 1];
+
+        if (cdata !== undefined) {
+            current.text += cdata;
+        } else if (text !== undefined) {
+            current.text += decodeEntities(text);
+        } else if (closeTag) {
+            if (stack.length < 2 || current.name !== closeTag) {
+                throw new NodeS7Error('ERR_PARSE_SOURCE', `Unexpected closing tag "${closeTag}"`);
+            }
+            stack.pop();
+        } else if (openTag) {
+            let attrs = {};
+            let attrRe = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+            let attr;
+            while ((attr = attrRe.exec(attrText))) {
+                attrs[attr[1]] = decodeEntities(attr[2] !== undefined ? attr[2] : attr[3]);
+            }
+
+            let elm = { name: openTag, attrs, children: [], text: '' };
+            current.children.push(elm);
+            if (!selfClose) stack.push(elm);
+        }
+    }
+
+    if (stack.length > 1) {
+        throw new NodeS7Error('ERR_PARSE_SOURCE', `Unclosed XML element "${stack[stack.length - 1].name}"`);
+    }
+    return root;
+}
+
+/**
+ * @private
+ * @param {XmlElement} elm
+ * @param {string} name
+ */
+function child(elm, name) {
+    return elm.children.find(c => c.name === name);
+}
+
+/**
+ * Returns the members declared inside of a member element,
+ * either directly (structs) or in sections (UDT instances)
+ * @private
+ * @param {XmlElement} elm
+ * @returns {Array<XmlElement>}
+ */
+function childMembers(elm) {
+    let members = elm.children.filter(c => c.name === 'Member');
+    let sections = child(elm, 'Sections');
+    if (sections) {
+        for (const section of sections.children.filter(c => c.name === 'Section')) {
+            members = members.concat(section.children.filter(c => c.name === 'Member'));
+        }
+    }
+    return members;
+}
+
+/**
+ * Converts a Member element to its declaration
+ * @private
+ * @param {XmlElement} elm
+ * @returns {MemberDecl}
+ */
+function parseMember(elm) {
+    let name = elm.attrs.Name;
+    let datatype = elm.attrs.Datatype;
+    if (!name || !datatype) {
+        throw new NodeS7Error('ERR_PARSE_SOURCE', "Member without name or data type");
+    }
+
+    let nested = childMembers(elm);
+
+    // structs are declared by their members, and arrays of them by their
+    // element type. Parse the array limits with a placeholder element type
+    let structMatch = datatype.match(/^(Array\s*\[.*\]\s*of\s+)?Struct$/i);
+    /** @type {TypeDecl} */
+    let type = parseTypeDecl(structMatch ? `${structMatch[1] || ''}Byte` : datatype);
+
+    // UDT instances come with their members, so the UDT itself is not required
+    let structType = structMatch || nested.length ? { kind: 'struct', members: nested.map(parseMember) } : null;
+    if (structType) {
+        if (type.kind === 'array') {
+            type.element = structType;
+        } else {
+            type = structType;
+        }
+    }
+
+    debug('SimaticML parseMember', name, datatype);
+    return { name, type };
+}
+
+/**
+ * Parses the interface of blocks exported by TIA Portal Openness (SimaticML).
+ * Global DBs and PLC data types (UDTs) are imported, any other block is
+ * ignored. Data blocks keep the information whether they have optimized access
+ *
+ * @param {string} xml the content of the exported XML document
+ * @returns {Array<BlockDecl>} the blocks found on the document
+ * @throws {NodeS7Error} ERR_PARSE_SOURCE - when the document cannot be parsed
+ */
+function parseSimaticML(xml) {
+    debug('parseSimaticML');
+
+    let root = parseXml(xml);
+    let blocks = [];
+
+    /**
+     * @param {XmlElement} elm
+     */
+    const visit = (elm) => {
+        let blockType = BLOCK_ELEMENTS[elm.name];
+        if (!blockType) {
+            elm.children.forEach(visit);
+            return;
+        }
+
+        let attrList = child(elm, 'AttributeList');
+        let nameElm = attrList && child(attrList, 'Name');
+        let iface = attrList && child(attrList, 'Interface');
+        if (!nameElm || !iface) {
+            throw new NodeS7Error('ERR_PARSE_SOURCE', `Missing name or interface on "${elm.name}"`);
+        }
+
+        let numberElm = child(attrList, 'Number');
+        let layoutElm = child(attrList, 'MemoryLayout');
+
+        let members = [];
+        let sections = child(iface, 'Sections');
+        for (const section of (sections ? sections.children : []).filter(c => c.name === 'Section')) {
+            members = members.concat(section.children.filter(c => c.name === 'Member').map(parseMember));
+        }
+
+        blocks.push({
+            blockType,
+            name: nameElm.text.trim(),
+            number: numberElm ? parseInt(numberElm.text) : undefined,
+            optimized: !!layoutElm && layoutElm.text.trim() === 'Optimized',
+            type: { kind: 'struct', members }
+        });
+    };
+
+    visit(root);
+    return blocks;
+}
+
+module.exports = { parseSimaticML };
@@ -16,7 +16,7 @@
  *  - `ERR_ILLEGAL_STATE`: Internal condition required for executing an action is not fulfilled
  *  - `ERR_INTERRUPTED`: Pending job has been interrupted (e.g. by a disconnection)
  *  - `ERR_INVALID_ARGUMENT`: A supplied parameter of a called function is out of specification 
- *  - `ERR_ITEM_TOO_BIG`: Item being written does not fit a single write request
+ *  - `ERR_ITEM_TOO_BIG`: Item being written does not fit a single write request and cannot be split
  *  - `ERR_NOT_CONNECTED`: Trying to perform an operation that requires communication to the PLC, but no connection is currently established
  *  - `ERR_PARSE_ADDR_OFFSET`: Address parsing: Byte offset of an address is invalid
  *  - `ERR_PARSE_AREA`: Address parsing: Area addressed is unknown or invalid
@@ -26,10 +26,12 @@
  *  - `ERR_PARSE_DB_NUMBER`: Address parsing: Number of a DB is unknown or invalid
  *  - `ERR_PARSE_INVALID_ARR_LEN`: Address parsing: Array length of an array specification is invalid
  *  - `ERR_PARSE_INVALID_BIT_OFFSET`: Address parsing: Bit offset is specified in a type that doesn't support it
- *  - `ERR_PARSE_STRING_LEN`: Address parsing: String length specified is missing or is invalid
+ *  - `ERR_PARSE_SOURCE`: Source parsing: Declaration of a DB or UDT source is invalid or unsupported
+ *  - `ERR_PARSE_STRING_LEN`: Address parsing: String or buffer length specified is missing or is invalid
  *  - `ERR_PARSE_UNKNOWN_FORMAT`: Address parsing: Basic format of a NODES7 address format cannot be identified
  *  - `ERR_TIMEOUT`: Communication timeout
  *  - `ERR_UNEXPECTED_RESPONSE`: Unexpected or invalid data received from the device. Usually causes the current connection to be terminated
+ *  - `ERR_VERIFY_MISMATCH`: Data read back after a verified write differs from the written one
  */
 class NodeS7Error extends Error {
 
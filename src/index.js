@@ -10,7 +10,14 @@ const S7Connection = require('./s7connection.js');
 const S7Endpoint = require('./s7endpoint.js');
 const S7Item = require('./s7item.js');
 const S7ItemGroup = require('./s7itemGroup.js');
+const S7ScanScheduler = require('./s7scanScheduler.js');
+const S7ReadCoordinator = require('./s7readCoordinator.js');
+const S7RecipeManager = require('./s7recipeManager.js');
+const S7TagDatabase = require('./s7tagDatabase.js');
+const S7DbLayout = require('./s7dbLayout.js');
+const S7StructItem = require('./s7structItem.js');
 const s7constants = require('./constants.json');
+const { registerAddressParser, unregisterAddressParser, getAddressParser } = require('./addressParser/index.js');
 
 module.exports = {
     S7Parser,
@@ -19,5 +26,14 @@ module.exports = {
     S7Endpoint,
     S7Item,
     S7ItemGroup,
-    s7constants
+    S7ScanScheduler,
+    S7ReadCoordinator,
+    S7RecipeManager,
+    S7TagDatabase,
+    S7DbLayout,
+    S7StructItem,
+    s7constants,
+    registerAddressParser,
+    unregisterAddressParser,
+    getAddressParser
 };
\ No newline at end of file
@@ -0,0 +1,307 @@
+//@ts-check
+/*
+  Copyright: (c) 2018-2020, Guilherme Francescon Cittolin <gfcittolin@gmail.com>
+  GNU General Public License v3.0+ (see LICENSE or https://www.gnu.org/licenses/gpl-3.0.txt)
+*/
+
+const fs = require('fs');
+const util = require('util');
+const debug = util.debuglog('nodes7');
+
+const S7Item = require('./s7item.js');
+const S7StructItem = require('./s7structItem.js');
+const { parseAwlSource } = require('./dbLayout/awlSource.js');
+const { parseSimaticML } = require('./dbLayout/simaticML.js');
+const { computeLayout, layoutToTags } = require('./dbLayout/layout.js');
+const NodeS7Error = require('./errors.js');
+
+const readFile = util.promisify(fs.readFile);
+
+/** @typedef {import('./s7itemGroup.js')} S7ItemGroup */
+/** @typedef {import('./dbLayout/awlSource.js').BlockDecl} BlockDecl */
+/** @typedef {import('./dbLayout/awlSource.js').TypeDecl} TypeDecl */
+/** @typedef {import('./dbLayout/layout.js').LayoutNode} LayoutNode */
+
+/**
+ * Holds the declarations of data blocks and UDTs, and computes the absolute
+ * offsets of their members, so that items can be generated for them instead
+ * of keeping track of the offsets by hand.
+ *
+ * Only blocks with standard (non-optimized) access have fixed offsets
+ * that can be accessed by this library
+ */
+class S7DbLayout {
+
+    constructor() {
+        debug('new S7DbLayout');
+
+        /** @type {Map<string,BlockDecl>} */
+        this._blocks = new Map();
+    }
+
+    /**
+     * The names of the loaded data blocks
+     * @returns {Array<string>}
+     */
+    get blockNames() {
+        return Array.from(this._blocks.values()).filter(b => b.blockType === 'DB').map(b => b.name);
+    }
+
+    /**
+     * The names of the loaded UDTs
+     * @returns {Array<string>}
+     */
+    get typeNames() {
+        return Array.from(this._blocks.values()).filter(b => b.blockType === 'UDT').map(b => b.name);
+    }
+
+    /**
+     * Loads the declarations of a STEP7 AWL or TIA Portal DB/UDT source.
+     * Blocks with the same name of already loaded ones replace them
+     *
+     * @param {string} content the content of the source file
+     * @returns {Array<string>} the names of the loaded blocks
+     * @throws {NodeS7Error} ERR_PARSE_SOURCE - when the source cannot be parsed
+     */
+    loadSource(content) {
+        debug('S7DbLayout loadSource');
+
+        return this._addBlocks(parseAwlSource(content));
+    }
+
+    /**
+     * Loads the interface of the global DBs and PLC data types of a
+     * TIA Portal Openness (SimaticML) XML export. Blocks with optimized
+     * access are loaded too, and their members are listed by
+     * {@link S7DbLayout#getOptimizedMembers}, as they cannot be accessed
+     * by their absolute address
+     *
+     * @param {string} content the content of the XML document
+     * @returns {Array<string>} the names of the loaded blocks
+     * @throws {NodeS7Error} ERR_PARSE_SOURCE - when the document cannot be parsed
+     */
+    loadSimaticML(content) {
+        debug('S7DbLayout loadSimaticML');
+
+        return this._addBlocks(parseSimaticML(content));
+    }
+
+    /**
+     * @private
+     * @param {Array<BlockDecl>} blocks
+     */
+    _addBlocks(blocks) {
+        for (const block of blocks) {
+            this._blocks.set(block.name, block);
+        }
+        return blocks.map(b => b.name);
+    }
+
+    /**
+     * Reads a source file or a SimaticML XML export and loads its declarations.
+     * XML documents are recognized by their content
+     *
+     * @param {string} filename the path of the file
+     * @returns {Promise<Array<string>>} the names of the loaded blocks
+     */
+    async loadFile(filename) {
+        debug('S7DbLayout loadFile', filename);
+
+        let data = await readFile(filename);
+        // STEP7 writes sources in the Windows codepage, TIA Portal in UTF-8 with BOM
+        let hasBom = data[0] === 0xef && data[1] === 0xbb && data[2] === 0xbf;
+        let isXml = data.toString('latin1', hasBom ? 3 : 0, 64).trim().startsWith('<');
+        let content = hasBom ? data.toString('utf8', 3) : data.toString(isXml ? 'utf8' : 'latin1');
+
+        return isXml ? this.loadSimaticML(content) : this.loadSource(content);
+    }
+
+    /**
+     * Lists the members of the loaded DBs with optimized access. These
+     * have no fixed offset and cannot be read or written by this library
+     *
+     * @returns {Array<{block: string, members: Array<string>}>}
+     */
+    getOptimizedMembers() {
+        let res = [];
+        for (const block of this._blocks.values()) {
+            if (block.blockType === 'DB' && block.optimized) {
+                res.push({ block: block.name, members: this._memberPaths(block) });
+            }
+        }
+        return res;
+    }
+
+    /**
+     * Lists the paths of the elementary members of a block, without computing offsets
+     * @private
+     * @param {BlockDecl} block
+     * @returns {Array<string>}
+     */
+    _memberPaths(block) {
+        let paths = [];
+
+        /**
+         * @param {TypeDecl} type
+         * @param {string} path
+         * @param {Array<string>} udtStack
+         */
+        const visit = (type, path, udtStack) => {
+            if (type.kind === 'array' && type.element.kind !== 'elementary') {
+                visit(type.element, `${path}[${type.dims.map(([low, high]) => `${low}..${high}`).join(',')}]`, udtStack);
+            } else if (type.kind === 'struct') {
+                type.members.forEach(m => visit(m.type, path ? `${path}.${m.name}` : m.name, udtStack));
+            } else if (type.kind === 'udt' && this._blocks.has(type.name) && !udtStack.includes(type.name)) {
+                visit(this._blocks.get(type.name).type, path, udtStack.concat(type.name));
+            } else {
+                paths.push(path);
+            }
+        };
+
+        visit(block.type, block.name, []);
+        return paths;
+    }
+
+    /**
+     * Gets a block by its name, also accepting "DB 10" and "UDT 5"
+     * @private
+     * @param {string} name
+     * @returns {BlockDecl}
+     */
+    _getBlock(name) {
+        let block = this._blocks.get(name) || this._blocks.get(String(name).replace(/\s+/g, '').toUpperCase());
+        if (!block) {
+            throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Unknown block "${name}"`, { block: name });
+        }
+        return block;
+    }
+
+    /**
+     * Computes the layout of a DB or UDT, with the absolute offset of each member
+     *
+     * @param {string} name the name of the block (e.g. "DB10" or its symbolic name)
+     * @returns {LayoutNode}
+     * @throws {NodeS7Error} ERR_INVALID_ARGUMENT - when the block is unknown or has optimized access
+     */
+    getLayout(name) {
+        debug('S7DbLayout getLayout', name);
+
+        let block = this._getBlock(name);
+        if (block.optimized) {
+            throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Block "${name}" has optimized access and no fixed offsets`, { block: name, members: this._memberPaths(block) });
+        }
+
+        return computeLayout(block.name, block.type, udtName => {
+            let udt = this._blocks.get(udtName);
+            if (!udt || udt.blockType !== 'UDT') {
+                throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Unknown UDT "${udtName}" used by "${name}"`, { block: udtName });
+            }
+            return udt.type;
+        });
+    }
+
+    /**
+     * Gets the number of a DB, from the options or from its declaration
+     * @private
+     * @param {BlockDecl} block
+     * @param {number} [dbNumber]
+     */
+    _getDbNumber(block, dbNumber) {
+        if (block.blockType !== 'DB') {
+            throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Block "${block.name}" is not a data block`, { block: block.name });
+        }
+        let number = dbNumber !== undefined ? dbNumber : block.number;
+        if (number === undefined) {
+            throw new NodeS7Error('ERR_PARSE_DB_NUMBER', `The number of the data block "${block.name}" must be supplied`, { block: block.name });
+        }
+        return number;
+    }
+
+    /**
+     * Generates the NODES7 address of each member of a DB, that can
+     * be added as tags to a S7TagDatabase or used directly on a S7ItemGroup.
+     * Struct members are named by their path (e.g. `Motors[1].Speed`)
+     *
+     * @param {string} name the name of the DB
+     * @param {object} [opts]
+     * @param {number} [opts.dbNumber] the number of the DB, required when it's declared by its symbolic name
+     * @param {string} [opts.prefix] the prefix of the tag names, defaults to the name of the DB
+     * @returns {Array<{name: string, address: string, dataType: string}>}
+     */
+    getTags(name, opts) {
+        debug('S7DbLayout getTags', name, opts);
+        opts = opts || {};
+
+        let block = this._getBlock(name);
+        let layout = this.getLayout(name);
+        let dbNumber = this._getDbNumber(block, opts.dbNumber);
+        let prefix = opts.prefix !== undefined ? opts.prefix : block.name;
+
+        return layoutToTags(layout, dbNumber, prefix);
+    }
+
+    /**
+     * Adds every member of a DB as an item of a group, named by its path,
+     * so that they're returned by `readAllItems()` and may be written
+     * by name with `writeItems()`
+     *
+     * @param {S7ItemGroup} group the group to add the items to
+     * @param {string} name the name of the DB
+     * @param {object} [opts] the same options of {@link S7DbLayout#getTags}
+     * @returns {Array<string>} the names of the added items
+     */
+    addToGroup(group, name, opts) {
+        debug('S7DbLayout addToGroup', name, opts);
+
+        let items = this.getTags(name, opts).map(t => new S7Item(t.name, t.address, { addressFormat: 'nodes7' }));
+        group.addItems(items);
+        return items.map(i => i.name);
+    }
+
+    /**
+     * Creates an item that reads a whole DB or one of its struct members
+     * (e.g. a UDT instance) as a nested object
+     *
+     * @param {string} name the name of the DB
+     * @param {string} [member] the path of the member (e.g. `Motors[1]`), or the whole DB if omitted
+     * @param {object} [opts]
+     * @param {number} [opts.dbNumber] the number of the DB, required when it's declared by its symbolic name
+     * @param {string} [opts.itemName] the name of the item, defaults to the path of the member
+     * @returns {S7StructItem}
+     */
+    createStructItem(name, member, opts) {
+        debug('S7DbLayout createStructItem', name, member, opts);
+        opts = opts || {};
+
+        let block = this._getBlock(name);
+        let node = this.getLayout(name);
+        let dbNumber = this._getDbNumber(block, opts.dbNumber);
+        let path = block.name;
+
+        if (member) {
+            // split "a.b[1,2].c" into "a", "b", "[1,2]", "c"
+            for (const key of member.match(/[^.[\]]+|\[[^\]]*\]/g) || []) {
+                let next;
+                if (key.startsWith('[')) {
+                    let index = key.replace(/\s+/g, '');
+                    next = node.elements && node.elements.find(e => e.name === index);
+                } else {
+                    next = node.members && node.members.find(m => m.name === key);
+                }
+                if (!next) {
+                    throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Unknown member "${member}" of block "${name}"`, { block: name, member });
+                }
+                node = next;
+            }
+            path = `${path}.${member}`;
+        }
+
+        if (node.kind !== 'struct') {
+            throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Member "${member}" of block "${name}" is not a struct`, { block: name, member });
+        }
+
+        return new S7StructItem(opts.itemName || path, dbNumber, node);
+    }
+}
+
+module.exports = S7DbLayout;
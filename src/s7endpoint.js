@@ -13,6 +13,7 @@ const isoOnTcp = require('iso-on-tcp');
 
 const S7Item = require('./s7item');
 const S7Connection = require('./s7connection.js');
+const S7ReadCoordinator = require('./s7readCoordinator.js');
 const NodeS7Error = require('./errors.js');
 
 const CONN_DISCONNECTED = 0;
@@ -70,6 +71,15 @@ const CONN_DISCONNECTING = 3;
  * @param {*} e the error
  */
 
+/**
+ * Connection parameters of devices that don't follow
+ * the rack/slot convention of S7 PLCs
+ */
+const PRESETS = {
+    // LOGO! 0BA7/0BA8 as a server, with the default TSAPs of LOGO!Soft
+    logo: { srcTSAP: 0x0100, dstTSAP: 0x0200 }
+};
+
 /**
  * Represents a S7 PLC, handling the connection to it and
  * allowing to call methods that act on it
@@ -88,9 +98,13 @@ class S7Endpoint extends EventEmitter {
      * @param {number}  [opts.slot=2] the slot on the PLC configuration
      * @param {number}  [opts.srcTSAP=0x0100] the source TSAP, when connecting using TSAP method
      * @param {number}  [opts.dstTSAP=0x0102] the destination TSAP, when connecting using TSAP method
+     * @param {string}  [opts.preset] the connection parameters of a kind of device, used as defaults for
+     * the other options. Available presets: "logo" (LOGO! 0BA7 and newer)
      * @param {GetTransport} [opts.customTransport] allows supplying a custom function for getting a transport stream to the PLC. See {@link GetTransport}
      * @param {number}  [opts.autoReconnect=5000] the time to wait before trying to connect to the PLC again, in ms. If set to 0, disables the functionality
      * @param {object}  [opts.s7ConnOpts] the {@link S7Connection} constructor options, allowing to fine-tune specific parameters
+     * @param {boolean|object} [opts.mergeReads=false] whether concurrent calls to {@link S7Endpoint#readVars} (e.g. by multiple
+     * {@link S7ItemGroup}s) should be merged into shared requests. An object enables it with the options of {@link S7ReadCoordinator}
      * 
      * @throws {Error} Will throw an error if invalid options are passed
      */
@@ -101,12 +115,31 @@ class S7Endpoint extends EventEmitter {
 
         opts = opts || {};
 
+        if (opts.preset !== undefined) {
+            let preset = PRESETS[opts.preset];
+            if (!preset) {
+                throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Unknown preset "${opts.preset}"`);
+            }
+            // options left undefined (e.g. forwarded from a config) keep the preset value
+            let merged = Object.assign({}, preset);
+            for (const [key, value] of Object.entries(opts)) {
+                if (value !== undefined) merged[key] = value;
+            }
+            opts = merged;
+        }
+
         /** @type {GetTransport} */
         this._getTransport = opts.customTransport || (() => this._createIsoTransport());
 
         this._autoReconnect = opts.autoReconnect !== undefined ? opts.autoReconnect : 5000;
         this._connOptsS7 = opts.s7ConnOpts || {};
 
+        this._readCoordinator = null;
+        if (opts.mergeReads) {
+            this._readCoordinator = new S7ReadCoordinator(items => this._readVarsDirect(items), () => this._pduSize,
+                typeof opts.mergeReads === 'object' ? opts.mergeReads : {});
+        }
+
         let dstTSAP;
         if (typeof opts.dstTSAP === 'number') {
             dstTSAP = opts.dstTSAP;
@@ -474,6 +507,14 @@ class S7Endpoint extends EventEmitter {
         return this._pduSize;
     }
 
+    /**
+     * The currently negotiated number of parallel jobs
+     * @returns {number}
+     */
+    get parallelJobs() {
+        return this.isConnected ? this._connection.parallelJobs : null;
+    }
+
 
     /**
      * Reads multiple values from multiple PLC areas. Care must be
@@ -495,6 +536,24 @@ class S7Endpoint extends EventEmitter {
             throw new NodeS7Error('ERR_NOT_CONNECTED', "Not connected");
         }
 
+        if (this._readCoordinator) {
+            return await this._readCoordinator.read(items);
+        }
+
+        return await this._readVarsDirect(items);
+    }
+
+    /**
+     * Sends a READ_VAR request with the items of {@link S7Endpoint#readVars}
+     * @private
+     * @param {object[]} items
+     * @returns {Promise<object>}
+     */
+    async _readVarsDirect(items) {
+        if (this._connectionState !== CONN_CONNECTED) {
+            throw new NodeS7Error('ERR_NOT_CONNECTED', "Not connected");
+        }
+
         let arr = [];
         for (const item of items) {
             //first 3 bits for bit address is irrelevant for transports other than BIT
@@ -644,15 +703,24 @@ class S7Endpoint extends EventEmitter {
      * @param {number} items[].length the number of elements to read (according to transport)
      * @param {number} items[].dataTransport the transport of the buffer being written
      * @param {Buffer} items[].data the buffer to be written
+     * @param {boolean} [items[].writeOnly] whether the item cannot be read back, like peripheral outputs (see {@link S7Item#isWriteOnly})
+     * @param {object} [opts]
+     * @param {boolean} [opts.verify=false] whether to read back the successfully written items and compare them with the written data
      * @returns {Promise<object>}
+     * @throws {NodeS7Error} ERR_INVALID_ARGUMENT - when verifying writes of write-only items, as reading peripheral outputs returns the inputs
+     * @throws {NodeS7Error} ERR_VERIFY_MISMATCH - when the data read back differs from the written one
      */
-    async writeVars(items) {
-        debug('S7Endpoint writeMultiVars', items);
+    async writeVars(items, opts) {
+        debug('S7Endpoint writeMultiVars', items, opts);
 
         if (this._connectionState !== CONN_CONNECTED) {
             throw new NodeS7Error('ERR_NOT_CONNECTED', "Not connected");
         }
 
+        if (opts && opts.verify && items.some(item => item.writeOnly)) {
+            throw new NodeS7Error('ERR_INVALID_ARGUMENT', "Writes of write-only items cannot be verified");
+        }
+
         let param = [], data = [];
         for (const item of items) {
             //first 3 bits for bit address is irrelevant for transports other than BIT
@@ -672,7 +740,50 @@ class S7Endpoint extends EventEmitter {
             });
         }
 
-        return await this._connection.requestWriteVar(param, data);
+        let results = await this._connection.requestWriteVar(param, data);
+
+        if (opts && opts.verify) {
+            await this._verifyWrite(items, results);
+        }
+
+        return results;
+    }
+
+    /**
+     * Reads back the items successfully written by {@link S7Endpoint#writeVars}
+     * and compares them byte by byte with the written data
+     * @private
+     * @param {object[]} items the written items
+     * @param {object[]} results the response of the write request
+     */
+    async _verifyWrite(items, results) {
+        let written = items.filter((item, i) => results[i] && results[i].returnCode === constants.proto.retval.DATA_OK);
+        if (!written.length) return;
+
+        let readback = await this.readVars(written.map(item => ({
+            area: item.area,
+            db: item.db,
+            transport: item.transport,
+            address: item.address,
+            length: item.length
+        })));
+        debug('S7Endpoint _verifyWrite response', readback);
+
+        written.forEach((item, i) => {
+            let res = readback[i];
+            let info = { area: item.area, db: item.db, transport: item.transport, address: item.address, length: item.length };
+
+            if (!res || res.returnCode !== constants.proto.retval.DATA_OK) {
+                let code = res ? res.returnCode : 'ERR_UNEXPECTED_RESPONSE';
+                let errDescr = res ? constants.proto.retvalDesc[code] || '<Unknown return code>' : 'Empty response';
+                throw new NodeS7Error(code, `Verification read error of Area [${item.area}] DB [${item.db}] Addr [${item.address}] Len [${item.length}]: ${errDescr}`, info);
+            }
+
+            if (!res.data.equals(item.data)) {
+                throw new NodeS7Error('ERR_VERIFY_MISMATCH', `Data read back from Area [${item.area}] DB [${item.db}] Addr [${item.address}] Len [${item.length}] differs from the written one`,
+                    Object.assign(info, { expected: item.data, actual: res.data }));
+            }
+        });
     }
 
     /**
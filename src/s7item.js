@@ -10,7 +10,7 @@ const constants = require('./constants.json');
 const util = require('util');
 const debug = util.debuglog('nodes7');
 
-const AddressParserNodeS7 = require('./addressParser/nodes7.js');
+const { parseAddress } = require('./addressParser/index.js');
 const NodeS7Error = require('./errors.js');
 
 class S7Item extends EventEmitter {
@@ -19,21 +19,219 @@ class S7Item extends EventEmitter {
      * 
      * @param {string} name name of this item
      * @param {string} address address of this item
-     * @param {object} [opts] custom options (not used for now)
+     * @param {object} [opts] custom options
+     * @param {string} [opts.addressFormat='auto'] the syntax of the address: "nodes7" (e.g. `DB10,X4.3`), 
+     * "step7" (e.g. `DB10.DBX4.3`), "s7200" (NODES7 for S7-200 PLCs, rejecting timers and counters),
+     * "logo-0ba7" and "logo-0ba8" (LOGO! blocks and VM, e.g. `Q2`, `AI1`, `VW10`),
+     * "auto" for trying "nodes7" and "step7", in this order, or the name of a parser
+     * registered with `registerAddressParser()`
+     * @param {Object<number,string>} [opts.enum] names of the values of an integer item (e.g. `{ 0: 'Stopped', 1: 'Running' }`).
+     * The value of the item is the name of its state, or the number when it has no name. Names or numbers may be written
+     * @param {Object<number,string>} [opts.bitmask] names of the bits of an integer item, starting at the least significant one
+     * (e.g. `{ 0: 'Fault', 3: 'Running' }`). The value of the item is the list of names of the bits that are set, and writing
+     * a list of names clears the bits not on it, including the unnamed ones. Numbers may be written too
+     * @param {object} [opts.scale] linear scaling of a numeric item, from its raw value to engineering units.
+     * Values read are scaled, and values written are converted back to the raw range (and rounded, for integer items)
+     * @param {number} opts.scale.rawLow the raw value corresponding to `engLow` (e.g. 0)
+     * @param {number} opts.scale.rawHigh the raw value corresponding to `engHigh` (e.g. 27648)
+     * @param {number} opts.scale.engLow the engineering value corresponding to `rawLow` (e.g. 0)
+     * @param {number} opts.scale.engHigh the engineering value corresponding to `rawHigh` (e.g. 100)
+     * @param {boolean} [opts.scale.clamp=false] whether values should be limited to the ranges above, both when reading and writing.
+     * Otherwise, values read may be out of the engineering range, but writing values out of it throws
+     * @param {string} [opts.unit] the engineering unit of the value (e.g. "°C"), for informational purposes
+     * @param {number} [opts.deadband] the minimum absolute difference to the last published value of a numeric item
+     * for a change to be published by the polling of a {@link S7ItemGroup}, in engineering units. Arrays are
+     * compared element by element
+     * @param {number} [opts.deadbandPercent] like `deadband`, but as a percentage of the engineering range of
+     * scaled items, or of the last published value otherwise. When both are set, a change must exceed both
+     * @param {number} [opts.minPublishInterval] the minimum time between published changes, in milliseconds
+     * @param {number} [opts.maxPublishInterval] the time after which the value is published even without changes, in milliseconds
      */
     constructor(name, address, opts) {
         debug('new S7Item', name, address, opts);
 
         super();
 
+        opts = opts || {};
+
         this._name = name;
         this._address = address;
         this._value = undefined;
 
-        this._props = AddressParserNodeS7.parse(this._address);
+        this._props = parseAddress(this._address, opts.addressFormat || 'auto');
         this._string = `S7Item ${this._name}:[${this._address}]`;
 
         this._dataBuffer = Buffer.alloc(this._props.byteLength);
+
+        this._enum = null;
+        this._bitmask = null;
+        if (opts.enum || opts.bitmask) {
+            this._initValueNames(opts.enum, opts.bitmask);
+        }
+
+        this._scale = null;
+        if (opts.scale) {
+            this._initScale(opts.scale);
+        }
+        this._unit = opts.unit;
+
+        for (const opt of ['deadband', 'deadbandPercent', 'minPublishInterval', 'maxPublishInterval']) {
+            if (opts[opt] !== undefined && (typeof opts[opt] !== 'number' || !(opts[opt] >= 0))) {
+                throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Option "${opt}" must be a non-negative number on "${this._address}"`);
+            }
+        }
+        this._deadband = opts.deadband || 0;
+        this._deadbandPercent = opts.deadbandPercent || 0;
+        this._minPublishInterval = opts.minPublishInterval || 0;
+        this._maxPublishInterval = opts.maxPublishInterval || 0;
+    }
+
+    /**
+     * Validates and stores the scaling parameters
+     * @private
+     * @param {object} scale
+     */
+    _initScale(scale) {
+        if (!INTEGER_BITS[this._props.datatype] && !FLOAT_TYPES.includes(this._props.datatype)) {
+            throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Option "scale" is only supported by numeric items on "${this._address}"`);
+        }
+        if (this._enum || this._bitmask) {
+            throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Option "scale" cannot be used together with "enum" or "bitmask" on "${this._address}"`);
+        }
+
+        let { rawLow, rawHigh, engLow, engHigh } = scale;
+        for (const val of [rawLow, rawHigh, engLow, engHigh]) {
+            if (typeof val !== 'number' || !isFinite(val)) {
+                throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Option "scale" requires numeric rawLow, rawHigh, engLow and engHigh on "${this._address}"`);
+            }
+        }
+        if (rawLow === rawHigh || engLow === engHigh) {
+            throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Option "scale" requires non-empty ranges on "${this._address}"`);
+        }
+
+        this._scale = { rawLow, rawHigh, engLow, engHigh, clamp: !!scale.clamp };
+    }
+
+    /**
+     * Validates and stores the names of the enum values or bitmask bits
+     * @private
+     * @param {Object<number,string>} [enumMap]
+     * @param {Object<number,string>} [bitmaskMap]
+     */
+    _initValueNames(enumMap, bitmaskMap) {
+        let bits = INTEGER_BITS[this._props.datatype];
+        if (!bits) {
+            throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Options "enum" and "bitmask" are only supported by integer items on "${this._address}"`);
+        }
+        if (enumMap && bitmaskMap) {
+            throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Options "enum" and "bitmask" cannot be used together on "${this._address}"`);
+        }
+
+        let entries = Object.entries(enumMap || bitmaskMap).map(([key, name]) => [Number(key), String(name)]);
+        for (const [key] of entries) {
+            if (!Number.isInteger(key) || (bitmaskMap && (key < 0 || key >= bits))) {
+                throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Invalid ${enumMap ? 'value' : 'bit'} "${key}" on "${this._address}"`);
+            }
+        }
+
+        if (enumMap) {
+            this._enum = new Map(entries);
+        } else {
+            this._bitmask = new Map(entries);
+        }
+    }
+
+    /**
+     * Converts a raw value read from the PLC to the value of the item,
+     * applying the names of the states or the scaling
+     * @private
+     * @param {*} value
+     */
+    _fromRawValue(value) {
+        if (this._scale) {
+            let { rawLow, rawHigh, engLow, engHigh, clamp } = this._scale;
+            let res = engLow + (value - rawLow) * (engHigh - engLow) / (rawHigh - rawLow);
+            return clamp ? limit(res, engLow, engHigh) : res;
+        }
+        return this._decodeValueNames(value);
+    }
+
+    /**
+     * Converts a value of the item to the raw value to be written to the PLC,
+     * the reverse of {@link S7Item#_fromRawValue}
+     * @private
+     * @param {*} value
+     */
+    _toRawValue(value) {
+        if (this._scale) {
+            if (typeof value !== 'number') {
+                throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Expected a number as the value of item "${this._name}"`);
+            }
+            let { rawLow, rawHigh, engLow, engHigh, clamp } = this._scale;
+            if (!clamp && (value < Math.min(engLow, engHigh) || value > Math.max(engLow, engHigh))) {
+                throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Value [${value}] out of the range ${engLow} - ${engHigh} of item "${this._name}"`);
+            }
+            let res = rawLow + (value - engLow) * (rawHigh - rawLow) / (engHigh - engLow);
+            if (clamp) res = limit(res, rawLow, rawHigh);
+            return INTEGER_BITS[this._props.datatype] ? Math.round(res) : res;
+        }
+        return this._encodeValueNames(value);
+    }
+
+    /**
+     * Converts a raw value to the name(s) of its state
+     * @private
+     * @param {number} value
+     */
+    _decodeValueNames(value) {
+        if (this._enum) {
+            return this._enum.has(value) ? this._enum.get(value) : value;
+        }
+
+        let names = [];
+        for (const [bit, name] of this._bitmask) {
+            if ((value >>> bit) & 1) names.push(name);
+        }
+        return names;
+    }
+
+    /**
+     * Converts the name(s) of a state to its raw value. Numbers are left untouched
+     * @private
+     * @param {*} value
+     */
+    _encodeValueNames(value) {
+        if (typeof value === 'number') return value;
+
+        /**
+         * @param {Map<number,string>} map
+         * @param {string} name
+         */
+        const findKey = (map, name) => {
+            for (const [key, n] of map) {
+                if (n === name) return key;
+            }
+            throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Unknown name "${name}" for item "${this._name}"`);
+        };
+
+        if (this._enum) {
+            return findKey(this._enum, value);
+        }
+
+        if (!Array.isArray(value)) {
+            throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Expected a number or a list of bit names for item "${this._name}"`);
+        }
+
+        let bits = INTEGER_BITS[this._props.datatype];
+        let res = 0;
+        for (const name of value) {
+            res += 2 ** findKey(this._bitmask, name);
+        }
+        // bring it back to the signed range, for signed types
+        if (SIGNED_TYPES.includes(this._props.datatype) && res >= 2 ** (bits - 1)) {
+            res -= 2 ** bits;
+        }
+        return res;
     }
 
     get name() {
@@ -86,6 +284,43 @@ class S7Item extends EventEmitter {
         return this._props.byteLengthWithFill;
     }
 
+    /**
+     * The engineering unit of the value, if configured
+     * @returns {string|undefined}
+     */
+    get unit() {
+        return this._unit;
+    }
+
+    /**
+     * The scaling parameters of the item, if configured
+     * @returns {{rawLow: number, rawHigh: number, engLow: number, engHigh: number, clamp: boolean}|null}
+     */
+    get scale() {
+        return this._scale && Object.assign({}, this._scale);
+    }
+
+    get deadband() {
+        return this._deadband;
+    }
+    get deadbandPercent() {
+        return this._deadbandPercent;
+    }
+    get minPublishInterval() {
+        return this._minPublishInterval;
+    }
+    get maxPublishInterval() {
+        return this._maxPublishInterval;
+    }
+
+    /**
+     * Whether this item can only be written, like peripheral outputs (PQ).
+     * Their `addrtype` is "P", like the one of peripheral inputs
+     */
+    get isWriteOnly() {
+        return !!this._props.writeOnly;
+    }
+
     /**
      * Calculates the buffer offsets to be used in Buffer.copy()
      * that are the memory area intersection between the memory
@@ -133,6 +368,21 @@ class S7Item extends EventEmitter {
         buffer.copy(this._dataBuffer, offsets.targetStart, offsets.sourceStart, offsets.sourceEnd);
     }
 
+    /**
+     * Decodes the value of a buffer with the data of this item, leaving
+     * the buffer and the value of the item untouched
+     * @private
+     * @param {Buffer} buffer the data of the item
+     * @returns {*} the decoded value
+     */
+    _decodeBuffer(buffer) {
+        // a view of this item with its own buffer and value
+        let view = Object.create(this);
+        view._dataBuffer = Buffer.from(buffer);
+        view.updateValueFromBuffer();
+        return view._value;
+    }
+
     /**
      * Update the item's value according to the internal buffer data.
      */
@@ -143,7 +393,7 @@ class S7Item extends EventEmitter {
         let dataOffset = 0;
 
         // parse the data
-        if (this._props.datatype === "CHAR") {
+        if (this._props.datatype === "CHAR" || this._props.datatype === "WCHAR") {
             // we handle an array of chars as a single string
             this._value = getValueByDataType(this._dataBuffer, this._props.datatype, dataOffset, dataBitOffset, this._props.arrayLength);
         } else {
@@ -151,7 +401,12 @@ class S7Item extends EventEmitter {
             this._value = []
             for (let i = 0; i < this._props.arrayLength; i++) {
                 // get the data
-                this._value.push(getValueByDataType(this._dataBuffer, this._props.datatype, dataOffset, dataBitOffset, this._props.arrayLength));
+                let length = this._props.datatype === "RAW" ? this._props.dtypelen : this._props.arrayLength;
+                this._value.push(getValueByDataType(this._dataBuffer, this._props.datatype, dataOffset, dataBitOffset, length));
+
+                if (this._enum || this._bitmask || this._scale) {
+                    this._value[i] = this._fromRawValue(this._value[i]);
+                }
 
                 // increment the offsets for the next item
                 if (this._props.datatype === "X") {
@@ -182,10 +437,28 @@ class S7Item extends EventEmitter {
 
         let b = Buffer.alloc(this._props.byteLengthWrite);
 
-        if (this._props.datatype === "CHAR") {
+        if (this._enum || this._bitmask || this._scale) {
+            if (this._props.arrayLength > 1 && Array.isArray(value)) {
+                value = value.map(v => this._toRawValue(v));
+            } else {
+                value = this._toRawValue(value);
+            }
+        }
+
+        if (this._props.datatype === "CHAR" || this._props.datatype === "WCHAR") {
             // we handle an array of chars as a single string
             bufferWriteByDataType(b, value, this._props.datatype, 0, this._props.arrayLength);
         } else {
+            // the max number of characters, for string types, or the number of bytes of raw buffers
+            let strLength;
+            if (this._props.datatype === "RAW") {
+                strLength = this._props.dtypelen;
+            } else if (this._props.datatype === "WSTRING") {
+                strLength = (this._props.dtypelen - 4) / 2;
+            } else {
+                strLength = this._props.dtypelen - 2;
+            }
+
             if (this._props.arrayLength > 1) {
                 if (!Array.isArray(value) || this._props.arrayLength !== value.length) {
                     throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Expected [${this._props.arrayLength}] values for this item`);
@@ -193,11 +466,11 @@ class S7Item extends EventEmitter {
 
                 let ptr = 0
                 for (let i = 0; i < this._props.arrayLength; i++) {
-                    bufferWriteByDataType(b, value[i], this._props.datatype, ptr, this._props.dtypelen - 2);
+                    bufferWriteByDataType(b, value[i], this._props.datatype, ptr, strLength);
                     ptr += this._props.dtypelen;
                 }
             } else {
-                bufferWriteByDataType(b, value, this._props.datatype, 0, this._props.dtypelen - 2);
+                bufferWriteByDataType(b, value, this._props.datatype, 0, strLength);
             }
         }
 
@@ -207,8 +480,13 @@ class S7Item extends EventEmitter {
     /**
      * Return a request item that may be used with readVars
      * @returns an object with properties area, db, transport, address and length
+     * @throws {NodeS7Error} ERR_INVALID_ARGUMENT - when the item is write-only
      */
     getReadItemRequest() {
+        if (this.isWriteOnly) {
+            throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Item "${this._name}" is write-only and cannot be read`, { item: this._address });
+        }
+
         // TODO doesn't work for big items, we need to split into multiple
         // items and return an array instead
         let res = {
@@ -254,6 +532,121 @@ class S7Item extends EventEmitter {
     }
 }
 
+/**
+ * Number of bits of the integer types that support enum and bitmask names
+ * @private
+ */
+const INTEGER_BITS = {
+    BYTE: 8, SINT: 8, USINT: 8,
+    INT: 16, UINT: 16, WORD: 16, RINT: 16, RUINT: 16, RWORD: 16,
+    DINT: 32, UDINT: 32, DWORD: 32, RDINT: 32, RUDINT: 32, RDWORD: 32
+};
+
+/**
+ * The signed types among INTEGER_BITS
+ * @private
+ */
+const SIGNED_TYPES = ['SINT', 'INT', 'RINT', 'DINT', 'RDINT'];
+
+/**
+ * Floating point types, that support scaling too
+ * @private
+ */
+const FLOAT_TYPES = ['REAL', 'RREAL', 'LREAL'];
+
+/**
+ * Limits a value to the range between two others, in any order
+ * @private
+ * @param {number} value
+ * @param {number} a
+ * @param {number} b
+ */
+function limit(value, a, b) {
+    return Math.min(Math.max(value, Math.min(a, b)), Math.max(a, b));
+}
+
+/**
+ * Valid value ranges of the integer types whose writes are range-checked
+ * @private
+ */
+const INTEGER_RANGES = {
+    SINT: [-128, 127],
+    USINT: [0, 255],
+    UINT: [0, 65535],
+    RUINT: [0, 65535],
+    UDINT: [0, 4294967295],
+    RUDINT: [0, 4294967295],
+    TIME: [-2147483648, 2147483647],
+    TOD: [0, 86399999],
+    S5TIME: [0, 9990000]
+};
+
+/**
+ * Valid value ranges of the 64-bit integer types, handled as BigInt
+ * @private
+ */
+const BIGINT_RANGES = {
+    LINT: [-(2n ** 63n), (2n ** 63n) - 1n],
+    ULINT: [0n, (2n ** 64n) - 1n],
+    LWORD: [0n, (2n ** 64n) - 1n],
+    LTIME: [-(2n ** 63n), (2n ** 63n) - 1n],
+    LTOD: [0n, 86399999999999n]
+};
+
+/** Time bases of the S5TIME type, in milliseconds */
+const S5TIME_BASES = [10, 100, 1000, 10000];
+/** "1990-01-01T00:00:00.000Z", the epoch of the DATE type */
+const DATE_EPOCH = 631152000000;
+const MS_PER_DAY = 86400000;
+
+/**
+ * Decodes a UTF-16BE encoded string, as used by WCHAR and WSTRING
+ * @private
+ * @param {Buffer} buffer 
+ * @param {number} start 
+ * @param {number} end 
+ */
+function decodeUTF16BE(buffer, start, end) {
+    // copy it first, as swap16 works in place
+    let b = Buffer.from(buffer.slice(start, end));
+    return b.swap16().toString('utf16le');
+}
+
+/**
+ * Encodes a string in UTF-16BE, as used by WCHAR and WSTRING
+ * @private
+ * @param {string} str 
+ */
+function encodeUTF16BE(str) {
+    return Buffer.from(str, 'utf16le').swap16();
+}
+
+/**
+ * Decodes a S5TIME word into milliseconds
+ * @private
+ * @param {number} word 
+ */
+function fromS5Time(word) {
+    let base = S5TIME_BASES[(word >> 12) & 0x03];
+    let value = (((word >> 8) & 0x0f) * 100) + fromBCD(word & 0xff);
+    return value * base;
+}
+
+/**
+ * Encodes milliseconds into a S5TIME word, using the
+ * finest time base the value fits in, rounded to it
+ * @private
+ * @param {number} ms 
+ */
+function toS5Time(ms) {
+    for (let i = 0; i < S5TIME_BASES.length; i++) {
+        let value = Math.round(ms / S5TIME_BASES[i]);
+        if (value <= 999) {
+            return (i << 12) | (Math.floor(value / 100) << 8) | toBCD(value % 100);
+        }
+    }
+}
+
 function fromBCD(n) {
     return ((n >> 4) * 10) + (n & 0xf)
 }
@@ -269,13 +662,34 @@ function toBCD(n) {
  * @param {string} type the data type
  * @param {number} offset from where to get the data
  * @param {number} bitOffset the bitOffset for boolean
- * @param {number} [length] the length for char arrays
+ * @param {number} [length] the length for char arrays, or in bytes for raw buffers
  */
 function getValueByDataType(buffer, type, offset, bitOffset, length = 1) {
     let year, month, day, hour, min, sec, ms_1, ms_2, ns;
     switch (type) {
         case "REAL":
             return buffer.readFloatBE(offset);
+        case "LREAL":
+            return buffer.readDoubleBE(offset);
+        case "LINT":
+            return buffer.readBigInt64BE(offset);
+        case "ULINT":
+        case "LWORD":
+            return buffer.readBigUInt64BE(offset);
+        case "TIME":
+            return buffer.readInt32BE(offset);
+        case "LTIME":
+            return buffer.readBigInt64BE(offset);
+        case "TOD":
+            return buffer.readUInt32BE(offset);
+        case "LTOD":
+            return buffer.readBigUInt64BE(offset);
+        case "S5TIME":
+            return fromS5Time(buffer.readUInt16BE(offset));
+        case "DATE":
+            return new Date(DATE_EPOCH + (buffer.readUInt16BE(offset) * MS_PER_DAY));
+        case "LDT":
+            return new Date(Number(buffer.readBigUInt64BE(offset) / 1000000n));
         case "DWORD":
             return buffer.readUInt32BE(offset);
         case "DINT":
@@ -287,7 +701,14 @@ function getValueByDataType(buffer, type, offset, bitOffset, length = 1) {
         case "WORD":
             return buffer.readUInt16BE(offset);
         case "BYTE":
+        case "USINT":
             return buffer.readUInt8(offset);
+        case "SINT":
+            return buffer.readInt8(offset);
+        case "UINT":
+            return buffer.readUInt16BE(offset);
+        case "UDINT":
+            return buffer.readUInt32BE(offset);
         case "CHAR":
             return buffer.toString('ascii', offset, offset + length);
         case "STRING":
@@ -296,6 +717,17 @@ function getValueByDataType(buffer, type, offset, bitOffset, length = 1) {
             let strlen = buffer.readUInt8(offset + 1);
             let len = Math.min(maxlen, strlen);
             return buffer.toString('ascii', offset + 2, offset + 2 + len);
+        case "RAW":
+            // a copy, so that the value is not changed by subsequent reads
+            return Buffer.from(buffer.subarray(offset, offset + length));
+        case "WCHAR":
+            return decodeUTF16BE(buffer, offset, offset + (length * 2));
+        case "WSTRING":
+            // data[0..1] is the max length, data[2..3] is the current length, data[4..] is the string itself
+            let wmaxlen = buffer.readUInt16BE(offset);
+            let wstrlen = buffer.readUInt16BE(offset + 2);
+            let wlen = Math.min(wmaxlen, wstrlen);
+            return decodeUTF16BE(buffer, offset + 4, offset + 4 + (wlen * 2));
         case "X":
             return !!((buffer.readUInt8(offset) >> bitOffset) & 0x01);
         case "DT":
@@ -351,6 +783,10 @@ function getValueByDataType(buffer, type, offset, bitOffset, length = 1) {
             return buffer.readInt32LE(offset);
         case "RINT":
             return buffer.readInt16LE(offset);
+        case "RUINT":
+            return buffer.readUInt16LE(offset);
+        case "RUDINT":
+            return buffer.readUInt32LE(offset);
         default:
             throw new Error(`Cannot parse data of unknown type "${this._props.datatype}" for item "${this._string}"`);
     }
@@ -363,7 +799,7 @@ function getValueByDataType(buffer, type, offset, bitOffset, length = 1) {
  * @param {*} data the Buffer containing the data
  * @param {string} type the data type
  * @param {number} offset from where to get the data
- * @param {number} [length] the length for char arrays
+ * @param {number} [length] the length for char arrays, or in bytes for raw buffers
  */
 function bufferWriteByDataType(buffer, data, type, offset, length = 1) {
 
@@ -382,12 +818,81 @@ function bufferWriteByDataType(buffer, data, type, offset, length = 1) {
         case "RINT":
         case "RWORD":
         case "BYTE":
+        case "LREAL":
+            if (typeof data !== 'number') throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Data for item of type '${type}' must be a number`);
+            break;
+        case "SINT":
+        case "USINT":
+        case "UINT":
+        case "UDINT":
+        case "RUINT":
+        case "RUDINT":
+        case "TIME":
+        case "TOD":
+        case "S5TIME":
             if (typeof data !== 'number') throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Data for item of type '${type}' must be a number`);
+            if (!Number.isInteger(data) || data < INTEGER_RANGES[type][0] || data > INTEGER_RANGES[type][1]) {
+                throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Value [${data}] out of range for item of type '${type}'`);
+            }
+            // don't round values finer than the time base they need (e.g. 12345ms on a base of 100ms)
+            if (type === "S5TIME" && fromS5Time(toS5Time(data)) !== data) {
+                throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Value [${data}] cannot be represented exactly by an item of type '${type}'`);
+            }
+            break;
+        case "LINT":
+        case "ULINT":
+        case "LWORD":
+        case "LTIME":
+        case "LTOD":
+            // 64-bit integers are handled as BigInt, but we accept safe integers too
+            if (typeof data === 'number' && Number.isSafeInteger(data)) {
+                data = BigInt(data);
+            } else if (typeof data !== 'bigint') {
+                throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Data for item of type '${type}' must be a BigInt or an integer number`);
+            }
+            if (data < BIGINT_RANGES[type][0] || data > BIGINT_RANGES[type][1]) {
+                throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Value [${data}] out of range for item of type '${type}'`);
+            }
+            break;
+        case "DATE":
+            if (!(data instanceof Date)) {
+                if (data >= DATE_EPOCH && data < DATE_EPOCH + (65536 * MS_PER_DAY)) {
+                    // is between "1990-01-01T00:00:00.000Z" and "2169-06-06T23:59:59.999Z" in JS epoch
+                    data = new Date(data);
+                } else {
+                    throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Data for item of type '${type} must be instance of Data`);
+                }
+            }
+            if (data.getTime() < DATE_EPOCH || data.getTime() >= DATE_EPOCH + (65536 * MS_PER_DAY)) {
+                throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Date [${data.toISOString()}] out of range for item of type '${type}'`);
+            }
+            break;
+        case "LDT":
+            if (!(data instanceof Date)) {
+                if (data >= 0 && data < 9223382836854) {
+                    // is between "1970-01-01T00:00:00.000Z" and "2262-04-11T23:47:16.854Z" in JS epoch
+                    data = new Date(data);
+                } else {
+                    throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Data for item of type '${type} must be instance of Data`);
+                }
+            }
+            if (data.getTime() < 0 || data.getTime() >= 9223382836854) {
+                throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Date [${data.toISOString()}] out of range for item of type '${type}'`);
+            }
             break;
         case "CHAR":
         case "STRING":
             if (typeof data !== 'string') throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Data for item of type '${type}' must be a string`);
             break;
+        case "WCHAR":
+        case "WSTRING":
+            if (typeof data !== 'string') throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Data for item of type '${type}' must be a string`);
+            if (data.length > length) throw new NodeS7Error('ERR_INVALID_ARGUMENT', `String of length [${data.length}] exceeds the max length [${length}] of item of type '${type}'`);
+            break;
+        case "RAW":
+            if (!Buffer.isBuffer(data)) throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Data for item of type '${type}' must be a Buffer`);
+            if (data.length !== length) throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Buffer of length [${data.length}] doesn't match the length [${length}] of item of type '${type}'`);
+            break;
         case "X":
             //everything is valid here, JS rules for boolean conversion will apply
             break;
@@ -422,6 +927,27 @@ function bufferWriteByDataType(buffer, data, type, offset, length = 1) {
     switch (type) {
         case "REAL":
             return buffer.writeFloatBE(data, offset);
+        case "LREAL":
+            return buffer.writeDoubleBE(data, offset);
+        case "LINT":
+            return buffer.writeBigInt64BE(data, offset);
+        case "ULINT":
+        case "LWORD":
+            return buffer.writeBigUInt64BE(data, offset);
+        case "TIME":
+            return buffer.writeInt32BE(data, offset);
+        case "LTIME":
+            return buffer.writeBigInt64BE(data, offset);
+        case "TOD":
+            return buffer.writeUInt32BE(data, offset);
+        case "LTOD":
+            return buffer.writeBigUInt64BE(data, offset);
+        case "S5TIME":
+            return buffer.writeUInt16BE(toS5Time(data), offset);
+        case "DATE":
+            return buffer.writeUInt16BE(Math.floor((data.getTime() - DATE_EPOCH) / MS_PER_DAY), offset);
+        case "LDT":
+            return buffer.writeBigUInt64BE(BigInt(data.getTime()) * 1000000n, offset);
         case "DWORD":
             return buffer.writeUInt32BE(data, offset);
         case "DINT":
@@ -433,7 +959,14 @@ function bufferWriteByDataType(buffer, data, type, offset, length = 1) {
         case "WORD":
             return buffer.writeUInt16BE(data, offset);
         case "BYTE":
+        case "USINT":
             return buffer.writeUInt8(data, offset);
+        case "SINT":
+            return buffer.writeInt8(data, offset);
+        case "UINT":
+            return buffer.writeUInt16BE(data, offset);
+        case "UDINT":
+            return buffer.writeUInt32BE(data, offset);
         case "CHAR":
             // this is supposed to be a clean buffer, no need to empty it first
             return buffer.write(data, offset, length, 'ascii');
@@ -442,6 +975,16 @@ function bufferWriteByDataType(buffer, data, type, offset, length = 1) {
             buffer.writeUInt8(length, offset);
             buffer.writeUInt8(Math.min(length, data.length), offset + 1);
             return buffer.write(data, offset + 2, length, 'ascii') + 2;
+        case "WCHAR":
+            // this is supposed to be a clean buffer, no need to empty it first
+            return encodeUTF16BE(data).copy(buffer, offset);
+        case "WSTRING":
+            // data[0..1] is the max length, data[2..3] is the current length, data[4..] is the string itself
+            buffer.writeUInt16BE(length, offset);
+            buffer.writeUInt16BE(data.length, offset + 2);
+            return encodeUTF16BE(data).copy(buffer, offset + 4) + 4;
+        case "RAW":
+            return data.copy(buffer, offset);
         case "X":
             return buffer.writeUInt8(data ? 1 : 0, offset);
         case "DT":
@@ -495,6 +1038,10 @@ function bufferWriteByDataType(buffer, data, type, offset, length = 1) {
             return buffer.writeInt16LE(data, offset);
         case "RWORD":
             return buffer.writeUInt16LE(data, offset);
+        case "RUINT":
+            return buffer.writeUInt16LE(data, offset);
+        case "RUDINT":
+            return buffer.writeUInt32LE(data, offset);
         default:
             throw new Error(`Cannot parse data of unknown type "${this._props.datatype}" for item "${this._string}"`);
     }
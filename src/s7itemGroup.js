@@ -14,6 +14,42 @@ const S7Item = require('./s7item.js');
 const S7Endpoint = require('./s7endpoint.js');
 const NodeS7Error = require('./errors.js');
 
+/** @typedef {import('./s7tagDatabase.js')} S7TagDatabase */
+/** @typedef {import('./s7scanScheduler.js')} S7ScanScheduler */
+
+/**
+ * The result of an item read on the VQT mode of {@link S7ItemGroup#readAllItems}
+ * @typedef {object} ItemResult
+ * @property {*} value the value of the item, or null if it's bad
+ * @property {'good'|'bad'} quality whether the item could be read
+ * @property {Date} timestamp when the value was received from the PLC
+ * @property {Error|null} error the cause of a bad quality, with the return code of the PLC as its `code`, if returned by it
+ */
+
+/**
+ * The outcome of a {@link S7ItemGroup#writeTransaction}
+ * @typedef {object} TransactionResult
+ * @property {boolean} committed whether all items were written
+ * @property {Array<string>} written the tags that were written successfully
+ * @property {Array<{tag: string, error: Error}>} failed the tags whose write failed, with its cause
+ * @property {Array<string>} rolledBack the tags whose previous data was restored after a failure
+ * @property {Array<{tag: string, error: Error}>} rollbackFailed the tags whose previous data could not be restored, with its cause
+ */
+
+/**
+ * The state of the change detection of {@link S7ItemGroup#publishValues},
+ * created by {@link S7ItemGroup#createChangeState}
+ * @typedef {object} ChangeState
+ * @property {boolean} vqt whether the values are {@link ItemResult}
+ * @property {Map<string,{value: *, time: number}>} lastPublished the values last published, and when, by tag
+ */
+
+const QUALITY_GOOD = 'good';
+const QUALITY_BAD = 'bad';
+
+/** How many subsets of items have their read packets kept by {@link S7ItemGroup#readItems} */
+const MAX_CACHED_SUBSETS = 32;
+
 class S7ItemGroup extends EventEmitter {
 
     /**
@@ -22,6 +58,8 @@ class S7ItemGroup extends EventEmitter {
      * @param {object} [opts]
      * @param {boolean} [opts.skipOptimization=false] whether item optimization should be skipped
      * @param {number} [opts.optimizationGap=5] how many bytes away from the last item we may still try to optimize
+     * @param {string} [opts.addressFormat='auto'] the address format of the items created by this group. See {@link S7Item}
+     * @param {S7TagDatabase} [opts.tagDatabase] a tag database used for resolving tag names. See {@link S7ItemGroup#setTagDatabase}
      */
     constructor(s7endpoint, opts) {
         debug('new S7ItemGroup');
@@ -33,10 +71,16 @@ class S7ItemGroup extends EventEmitter {
         this._endpoint = s7endpoint;
         this._skipOptimization = opts.skipOptimization;
         this._optimizationGap = opts.optimizationGap || 5;
+        this._addressFormat = opts.addressFormat;
         this._initParams();
+        this._tagDatabase = opts.tagDatabase || null;
 
         this._funcInvalidateReadPackets = () => this._invalidateReadPackets();
         this._endpoint.on('pdu-size', this._funcInvalidateReadPackets);
+
+        this._polling = null;
+        this._funcResumePolling = () => this._resumePolling();
+        this._funcPausePolling = () => this._pausePolling();
     }
 
     /**
@@ -45,9 +89,10 @@ class S7ItemGroup extends EventEmitter {
      */
     destroy() {
         debug('S7ItemGroup destroy');
+        this.stopPolling();
         this._endpoint.removeListener('pdu-size', this._funcInvalidateReadPackets);
         this._endpoint = null;
-        this._readPackets = null;
+        this._invalidateReadPackets();
         this._items.clear();
     }
 
@@ -60,6 +105,8 @@ class S7ItemGroup extends EventEmitter {
         /** @private @type {Map<string,S7Item>} */
         this._items = new Map();
         this._readPackets = null;
+        /** @private @type {Map<string,Array<Array<object>>>} */
+        this._subsetReadPackets = new Map();
         this._translationCallback = this._defaultTranslationCallback;
         this._lastRequestTime = null;
     }
@@ -74,10 +121,29 @@ class S7ItemGroup extends EventEmitter {
     }
 
     /**
-     * Prepare and optimize the read packets needed to be sent when reading this group
+     * Creates a new S7Item for the given tag, resolving it first on the
+     * tag database, if any, and then with the translation callback
+     * @private
+     * @param {string} tag 
+     * @param {object} [opts] options for the S7Item constructor
+     * @returns {S7Item}
+     */
+    _createItem(tag, opts) {
+        if (this._tagDatabase && this._tagDatabase.hasTag(tag)) {
+            return this._tagDatabase.createItem(tag, opts);
+        }
+
+        let addr = this._translationCallback(tag);
+        return new S7Item(tag, addr, Object.assign({ addressFormat: this._addressFormat }, opts));
+    }
+
+    /**
+     * Prepare and optimize the read packets needed to be sent when reading the given items
      * @private
+     * @param {Array<S7Item>} items the items to be read
+     * @returns {Array<Array<object>>} the read packets
      */
-    _prepareReadPackets() {
+    _prepareReadPackets(items) {
         debug('S7ItemGroup _prepareReadPackets');
 
         // we still don't have the pdu size, so abort computation
@@ -85,17 +151,14 @@ class S7ItemGroup extends EventEmitter {
             throw new NodeS7Error('ERR_ILLEGAL_STATE', 'PDU Size not available for optimization (not connected to the PLC yet?)');
         }
 
-        this._readPackets = [];
-
-        //get array of items
-        let items = Array.from(this._items.values());
+        let readPackets = [];
 
         if (!items.length) {
-            return;
+            return readPackets;
         }
 
         //sort them according to our rules
-        items.sort(itemListSorter);
+        items = items.slice().sort(itemListSorter);
 
         const reqHeaderSize = 12;
         const resHeaderSize = 14;
@@ -210,7 +273,7 @@ class S7ItemGroup extends EventEmitter {
 
                     //none of the conditions above met, add a new packet ...
                     packet = [];
-                    this._readPackets.push(packet);
+                    readPackets.push(packet);
 
                     pktReqLength = reqHeaderSize;
                     pktResLength = resHeaderSize;
@@ -263,9 +326,9 @@ class S7ItemGroup extends EventEmitter {
         }
 
         // pre-calculating response offsets
-        for (let i = 0; i < this._readPackets.length; i++) {
+        for (let i = 0; i < readPackets.length; i++) {
 
-            const packet = this._readPackets[i];
+            const packet = readPackets[i];
             let lengthReq = reqHeaderSize;
             let lengthRes = resHeaderSize;
             debug('S7ItemGroup _prepareReadPackets pkt  #', i);
@@ -291,6 +354,22 @@ class S7ItemGroup extends EventEmitter {
             }
             debug('S7ItemGroup _prepareReadPackets pkt  #', i, lengthReq, lengthRes);
         }
+
+        return readPackets;
+    }
+
+    /**
+     * The number of read requests needed for reading all items of this group,
+     * that depends on the items and on the negotiated PDU size
+     * 
+     * @returns {number}
+     * @throws {NodeS7Error} ERR_ILLEGAL_STATE - when not connected to the PLC yet
+     */
+    getReadRequestCount() {
+        if (!this._readPackets) {
+            this._readPackets = this._prepareReadPackets(Array.from(this._items.values()));
+        }
+        return this._readPackets.length;
     }
 
     /**
@@ -301,6 +380,7 @@ class S7ItemGroup extends EventEmitter {
         debug('S7ItemGroup _invalidateReadPackets');
 
         this._readPackets = null;
+        this._subsetReadPackets.clear();
     }
 
 
@@ -318,11 +398,14 @@ class S7ItemGroup extends EventEmitter {
             && a && b
             // same area code
             && a.areaCode === b.areaCode
-            // is of type DB, I, Q or M
+            // is of type DB, DI, I, Q, M, or the S7-200 V and SM
             && (b.areaCode === constants.proto.area.DB
+                || b.areaCode === constants.proto.area.DI
                 || b.areaCode === constants.proto.area.INPUTS
                 || b.areaCode === constants.proto.area.OUTPUTS
                 || b.areaCode === constants.proto.area.FLAGS
+                || b.areaCode === constants.proto.area.V
+                || b.areaCode === constants.proto.area.SYSFLAGS
             )
             // same DB number (or both undefined)
             && a.dbNumber === b.dbNumber
@@ -355,37 +438,75 @@ class S7ItemGroup extends EventEmitter {
         }
     }
 
+    /**
+     * Sets a tag database whose symbolic names may be used when adding or
+     * writing items. Tags not found on the database are still resolved 
+     * by the translation callback
+     * 
+     * @param {S7TagDatabase|null} db the tag database, or null to remove it
+     */
+    setTagDatabase(db) {
+        debug("S7ItemGroup setTagDatabase");
+
+        this._tagDatabase = db || null;
+    }
+
     /**
      * Add an item or a group of items to be read from "readAllItems"
      * 
-     * @param {string|S7Item|Array<string>|Array<S7Item>} tags the tag or list of tags to be added
+     * @param {string|S7Item|Array<string>|Array<S7Item>} tags the tag or list of tags to be added. Tag
+     * names are looked up on the tag database, if any, before being translated to addresses
+     * @param {object} [opts] options of the items created from tag names, like scaling and units. See {@link S7Item}
      * @throws if the supplied parameter is not a string or an array of strings
      * @throws if the format of the address of the tag is invalid
+     * @throws if the item is write-only (e.g. peripheral outputs), as it cannot be read
      */
-    addItems(tags) {
-        debug("S7ItemGroup addItems", tags);
+    addItems(tags, opts) {
+        debug("S7ItemGroup addItems", tags, opts);
 
         let tagsArr = Array.isArray(tags) ? tags : [tags];
 
+        // create all items first, so that an invalid one doesn't leave the others half-added
+        let items = [];
         for (const tag of tagsArr) {
             debug("S7ItemGroup addItems item", tag);
 
+            let item;
             if (tag instanceof S7Item){
-                this._items.set(tag.name, tag);
+                item = tag;
             } else if (typeof tag === 'string') {
-                let addr = this._translationCallback(tag);
-                let item = new S7Item(tag, addr);
-    
-                this._items.set(tag, item);
+                item = this._createItem(tag, opts);
             } else {
                 throw new NodeS7Error('ERR_INVALID_ARGUMENT', "Tags must be of type string or S7Item");
             }
+
+            if (item.isWriteOnly) {
+                throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Item "${item.name}" is write-only and cannot be read`, { item: item.address });
+            }
+            items.push(item);
+        }
+
+        for (const item of items) {
+            this._items.set(item.name, item);
         }
 
         // invalidate computed read packets
         this._invalidateReadPackets()
     }
 
+    /**
+     * Returns the engineering units of the items of this group that have one
+     * 
+     * @returns {Object<string,string>} an object with the tags as keys and their units as values
+     */
+    getUnits() {
+        let result = {};
+        this._items.forEach((item, tag) => {
+            if (item.unit !== undefined) result[tag] = item.unit;
+        });
+        return result;
+    }
+
     /**
      * Removes an item or a group of items to be read from "readAllItems"
      * 
@@ -412,57 +533,267 @@ class S7ItemGroup extends EventEmitter {
     /**
      * Writes the provided items with the provided values on the PLC
      * 
-     * Writing items whose payload's size is bigger than the max packet 
-     * size allowed by the PLC is intentionally not supported. This 
-     * would need to be split among multiple packets and could cause issues
-     * on the PLC depending on the programmed logic. You'll need to write 
-     * items individually, and if synchronization is an issue, to write 
-     * additional logic on the PLC for synchronization
+     * Contiguous items on the same area are merged into a single request
+     * part, and items whose payload's size is bigger than the max packet
+     * size allowed by the PLC are split among multiple requests. Be aware
+     * that the PLC may then process a cycle with such an item only partially
+     * written, so additional logic on the PLC for synchronization may be
+     * needed, depending on the programmed logic.
+     * 
+     * By default the requests are sent in parallel, so they may be processed
+     * by the PLC in any order. With `opts.ordered`, the items are written in
+     * the given order, sending each request only after the previous one
+     * has been completed, and stopping on the first error
+     * 
+     * With `opts.verify`, the written data is read back and compared to
+     * the buffer of each item. A mismatch rejects with an error containing
+     * the tag, the written value as `expected` and the value read back
+     * as `actual` on its `info`
      * 
      * @param {string|Array<string>} tags 
      * @param {*|Array<*>} values 
-     * @throws {NodeS7Error} ERR_ITEM_TOO_BIG - when the item being written does not fit a single write request
+     * @param {object} [opts]
+     * @param {boolean} [opts.ordered=false] whether the items must be written in the given order
+     * @param {boolean} [opts.verify=false] whether to read back the written items, confirming the PLC holds the written values
+     * @throws {NodeS7Error} ERR_ITEM_TOO_BIG - when an item that cannot be split (e.g. timers and counters) does not fit a single write request
+     * @throws {NodeS7Error} ERR_INVALID_ARGUMENT - when verifying write-only items (e.g. peripheral outputs), as they cannot be read
+     * @throws {NodeS7Error} ERR_VERIFY_MISMATCH - when the value read back of an item differs from the written one
      */
-    async writeItems(tags, values) {
-        debug("S7ItemGroup writeItems", tags, values);
-
-        // don't do write optimizations, until we're
-        // very sure on what we're doing
+    async writeItems(tags, values, opts) {
+        debug("S7ItemGroup writeItems", tags, values, opts);
 
         if (this._endpoint === null) {
             throw new Error('Already destroyed');
         }
 
-        if (typeof tags === 'string') {
-            tags = [tags];
-        } else if (!Array.isArray(tags)) {
-            throw new NodeS7Error('ERR_INVALID_ARGUMENT', "Parameter tags must be a string or an array of strings");
+        let parts = this._createWriteParts(tags, values);
+
+        // nothing to write
+        if (!parts.length) return;
+
+        // not connected
+        if (!this._endpoint.isConnected) {
+            throw new NodeS7Error('ERR_NOT_CONNECTED', "Not connected");
         }
 
-        if (!Array.isArray(values)) {
-            values = [values];
+        opts = opts || {};
+
+        if (opts.verify) {
+            for (const part of parts) {
+                if (part.item.isWriteOnly) {
+                    throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Item "${part.tag}" is write-only and cannot be verified`, { tag: part.tag });
+                }
+            }
         }
 
-        if (values.length !== tags.length) {
-            throw new NodeS7Error('ERR_INVALID_ARGUMENT', "Number of tags must match the number of values");
+        // the order only matters to the ordered writes
+        if (!opts.ordered) {
+            parts.sort((a, b) => itemListSorter(a.item, b.item) || 0);
+        }
+
+        let reqPackets = this._prepareWritePackets(parts, true);
+
+        debug("S7ItemGroup writeItems requests", reqPackets);
+
+        let writeOpts = opts.verify ? { verify: true } : undefined;
+        let requestTime = process.hrtime();
+        let responses;
+        try {
+            if (opts.ordered) {
+                for (const pkt of reqPackets) {
+                    checkWriteResponse(await this._endpoint.writeVars(pkt, writeOpts));
+                }
+            } else {
+                responses = await Promise.all(reqPackets.map(pkt => this._endpoint.writeVars(pkt, writeOpts)));
+            }
+        } catch (e) {
+            throw e.code === 'ERR_VERIFY_MISMATCH' ? this._getVerifyError(e, parts) : e;
+        }
+        this._lastRequestTime = process.hrtime(requestTime);
+
+        debug("S7ItemGroup writeItems responses", responses);
+        debug("S7ItemGroup writeItems requestTime", this._lastRequestTime);
+
+        if (responses) {
+            responses.forEach(checkWriteResponse);
+        }
+    }
+
+    /**
+     * Writes the provided items as a transaction: the current data of the
+     * items is read first, and if writing any of them fails, the data of
+     * the ones already written is restored. Items are not merged with each
+     * other, so that the outcome of each one can be reported.
+     * 
+     * This is not atomic from the point of view of the PLC: its program may
+     * see the new values of some items before the rollback, and changes of
+     * the program on the same items in the meantime are lost on the rollback.
+     * Items whose write request failed without a response (e.g. a timeout)
+     * are restored as well, as it is unknown whether they were written
+     * 
+     * @param {string|Array<string>} tags 
+     * @param {*|Array<*>} values 
+     * @returns {Promise<TransactionResult>}
+     * @throws {NodeS7Error} ERR_INVALID_ARGUMENT - when any of the items is write-only (e.g. peripheral outputs), as it cannot be read
+     * @throws {NodeS7Error} when the current data of the items cannot be read, in which case nothing is written
+     */
+    async writeTransaction(tags, values) {
+        debug("S7ItemGroup writeTransaction", tags, values);
+
+        if (this._endpoint === null) {
+            throw new Error('Already destroyed');
         }
 
+        let parts = this._createWriteParts(tags, values);
+
+        // their snapshot would read the inputs instead
+        for (const part of parts) {
+            if (part.item.isWriteOnly) {
+                throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Item "${part.tag}" is write-only and cannot be rolled back`, { tag: part.tag });
+            }
+        }
+
+        /** @type {TransactionResult} */
+        let result = { committed: true, written: [], failed: [], rolledBack: [], rollbackFailed: [] };
+
         // nothing to write
-        if (!tags.length) return;
+        if (!parts.length) return result;
 
         // not connected
         if (!this._endpoint.isConnected) {
             throw new NodeS7Error('ERR_NOT_CONNECTED', "Not connected");
         }
 
-        const overheadPerItem = 16;
-        const maxPayloadSize = this._endpoint.pduSize - 12;
+        let partOfRequest = new Map();
+        let reqPackets = this._prepareWritePackets(parts, false, partOfRequest);
+
+        /* take a snapshot of the current data. The write packets fit as read packets, as writes have a bigger overhead */
+        let snapshot = new Map();
+        let snapshotResponses = await Promise.all(reqPackets.map(pkt => this._endpoint.readVars(pkt.map(i => ({
+            area: i.area,
+            db: i.db,
+            transport: i.transport,
+            address: i.address,
+            length: i.length
+        })))));
+
+        reqPackets.forEach((pkt, i) => pkt.forEach((reqItem, j) => {
+            let res = snapshotResponses[i][j];
+            let tag = partOfRequest.get(reqItem).tag;
+            if (!res) {
+                throw new NodeS7Error('ERR_UNEXPECTED_RESPONSE', `Empty response reading the current value of "${tag}"`, { tag });
+            }
+            if (res.returnCode !== constants.proto.retval.DATA_OK) {
+                let errDescr = constants.proto.retvalDesc[res.returnCode] || '<Unknown return code>';
+                throw new NodeS7Error(res.returnCode, `Could not read the current value of "${tag}": ${errDescr}`, { tag });
+            }
+            snapshot.set(reqItem, res.data);
+        }));
+
+        debug("S7ItemGroup writeTransaction snapshot", snapshot);
+
+        /* write the items */
+        let responses = await Promise.all(reqPackets.map(pkt => this._endpoint.writeVars(pkt).catch(e => e)));
+
+        /** @type {Map<object,Error>} */
+        let failedParts = new Map();
+        let restorePackets = reqPackets.map((pkt, i) => pkt.filter((reqItem, j) => {
+            let res = responses[i];
+            let err = null;
+            let written = true; // or possibly written
+
+            if (res instanceof Error) {
+                err = res;
+            } else if (!res[j]) {
+                err = new NodeS7Error('ERR_UNEXPECTED_RESPONSE', "Empty response for write request");
+            } else if (res[j].returnCode !== constants.proto.retval.DATA_OK) {
+                err = writeError(res[j].returnCode);
+                written = false;
+            }
 
-        let reqPackets = [];
-        let reqItems = [];
-        let curRequestLength = 0;
+            let part = partOfRequest.get(reqItem);
+            if (err && !failedParts.has(part)) failedParts.set(part, err);
+            return written;
+        }));
+
+        for (const part of parts) {
+            if (failedParts.has(part)) {
+                result.failed.push({ tag: part.tag, error: failedParts.get(part) });
+            } else {
+                result.written.push(part.tag);
+            }
+        }
+
+        if (!failedParts.size) {
+            return result;
+        }
+
+        /* something failed, restore the snapshot of what was written */
+        result.committed = false;
+        restorePackets = restorePackets.filter(pkt => pkt.length);
+
+        debug("S7ItemGroup writeTransaction rollback", restorePackets);
+
+        let restoreResponses = await Promise.all(restorePackets.map(pkt => {
+            return this._endpoint.writeVars(pkt.map(i => Object.assign({}, i, { data: snapshot.get(i) }))).catch(e => e);
+        }));
+
+        /** @type {Map<object,Error>} */
+        let rollbackErrors = new Map();
+        let restoredParts = new Set();
+        restorePackets.forEach((pkt, i) => pkt.forEach((reqItem, j) => {
+            let res = restoreResponses[i];
+            let part = partOfRequest.get(reqItem);
+            let err = null;
+
+            if (res instanceof Error) {
+                err = res;
+            } else if (!res[j]) {
+                err = new NodeS7Error('ERR_UNEXPECTED_RESPONSE', "Empty response for write request");
+            } else if (res[j].returnCode !== constants.proto.retval.DATA_OK) {
+                err = writeError(res[j].returnCode);
+            }
+
+            restoredParts.add(part);
+            if (err && !rollbackErrors.has(part)) rollbackErrors.set(part, err);
+        }));
+
+        for (const part of parts) {
+            if (rollbackErrors.has(part)) {
+                result.rollbackFailed.push({ tag: part.tag, error: rollbackErrors.get(part) });
+            } else if (restoredParts.has(part)) {
+                result.rolledBack.push(part.tag);
+            }
+        }
+
+        debug("S7ItemGroup writeTransaction result", result);
+        return result;
+    }
+
+    /**
+     * Validates the tags and values to be written, and creates
+     * a write request part for each of them
+     * @private
+     * @param {string|Array<string>} tags
+     * @param {*|Array<*>} values
+     * @returns {Array<object>}
+     */
+    _createWriteParts(tags, values) {
+        if (typeof tags === 'string') {
+            tags = [tags];
+        } else if (!Array.isArray(tags)) {
+            throw new NodeS7Error('ERR_INVALID_ARGUMENT', "Parameter tags must be a string or an array of strings");
+        }
+
+        if (!Array.isArray(values)) {
+            values = [values];
+        }
 
-        /* create an array of requests */
+        if (values.length !== tags.length) {
+            throw new NodeS7Error('ERR_INVALID_ARGUMENT', "Number of tags must match the number of values");
+        }
+
+        let parts = [];
         for (let i = 0; i < tags.length; i++) {
             const tag = tags[i];
             const value = values[i];
@@ -474,29 +805,15 @@ class S7ItemGroup extends EventEmitter {
             // find item on our list first, so we don't need to create a new one
             let item = this._items.get(tag);
             if (!item) {
-                let addr = this._translationCallback(tag);
-                item = new S7Item(tag, addr);
+                item = this._createItem(tag);
             }
 
             let buf = item.getWriteBuffer(value);
-            let reqItemLength = overheadPerItem + buf.length;
-
-            // TODO - maybe we can split an item in multiple write request parts
-            if (reqItemLength > maxPayloadSize) {
-                throw new NodeS7Error('ERR_ITEM_TOO_BIG', `Cannot write item with size greater than max payload of [${maxPayloadSize}]`, { tag });
-            }
-
-            // create a new request if it doesn't fit in the current one
-            if (curRequestLength + reqItemLength > maxPayloadSize) {
-                reqPackets.push(reqItems);
-                reqItems = [];
-                curRequestLength = 0;
-            }
-
-            curRequestLength += reqItemLength;
-
             let bitAddr = item.writeTransportCode === constants.proto.dataTransport.BBIT;
-            reqItems.push({
+            parts.push({
+                tag,
+                item,
+                value,
                 area: item.areaCode,
                 db: item.dbNumber,
                 address: bitAddr ? (item.offset << 3) + item.bitOffset : item.offset,
@@ -507,82 +824,516 @@ class S7ItemGroup extends EventEmitter {
             });
         }
 
+        return parts;
+    }
+
+    /**
+     * Translates a verification error of the endpoint, that refers to a request
+     * part, to the item containing the first mismatching byte
+     * @private
+     * @param {NodeS7Error} err the error thrown by {@link S7Endpoint#writeVars}
+     * @param {Array<object>} parts the write parts of each item
+     * @returns {NodeS7Error}
+     */
+    _getVerifyError(err, parts) {
+        let { area, db, transport, address, expected, actual } = err.info;
+        let isBit = transport === constants.proto.transport.BIT;
+
+        let diff = 0;
+        while (diff < expected.length && expected[diff] === actual[diff]) diff++;
+
+        let part = parts.find(p => p.area === area && p.db === db && (isBit
+            ? p.transport === transport && p.address === address
+            : p.transport !== constants.proto.transport.BIT && address + diff >= p.address && address + diff < p.address + p.length));
+        if (!part) return err;
+
+        let actualValue;
+        if (isBit) {
+            actualValue = !!actual[0];
+        } else {
+            // the request may cover only a portion of the item, so take the rest from the written data
+            let buf = Buffer.from(part.data);
+            let start = Math.max(address, part.address);
+            let end = Math.min(address + actual.length, part.address + part.length);
+            actual.copy(buf, start - part.address, start - address, end - address);
+
+            actualValue = part.item._decodeBuffer(buf);
+        }
+
+        return new NodeS7Error('ERR_VERIFY_MISMATCH', `Value read back of "${part.tag}" differs from the written one`,
+            Object.assign({}, err.info, { tag: part.tag, expected: part.value, actual: actualValue }));
+    }
+
+    /**
+     * Groups write parts into as few request packets as possible, keeping
+     * their order. Items are only split when they don't fit even an empty
+     * packet, so that the PLC never sees a partially written small item.
+     * When merging, contiguous items are written by a single request part,
+     * that is only extended by whole items
+     * @private
+     * @param {Array<object>} parts
+     * @param {boolean} merge whether to merge contiguous parts
+     * @param {Map<object,object>} [partOfRequest] if given, gets the part of each created request item
+     * @returns {Array<Array<object>>}
+     */
+    _prepareWritePackets(parts, merge, partOfRequest) {
+        const overheadPerItem = 16;
+        const maxPayloadSize = this._endpoint.pduSize - 12;
+
+        let reqPackets = [];
+        let reqItems = [];
+        let curRequestLength = 0;
+
+        /** @param {number} length */
+        const itemLength = length => overheadPerItem + length + (length & 1);
+
+        for (const part of parts) {
+            let splittable = isSplittableWrite(part);
+            let reqItemLength = itemLength(part.length);
+            let lastReq = reqItems[reqItems.length - 1];
+
+            if (reqItemLength <= maxPayloadSize) {
+                // merge into the last request part, if contiguous and the whole item fits
+                if (merge && !this._skipOptimization && lastReq
+                    && splittable && isSplittableWrite(lastReq)
+                    && lastReq.area === part.area
+                    && lastReq.db === part.db
+                    && lastReq.address + lastReq.length === part.address
+                    && curRequestLength - itemLength(lastReq.length) + itemLength(lastReq.length + part.length) <= maxPayloadSize
+                ) {
+                    debug('S7ItemGroup _prepareWritePackets merge', part.tag);
+                    curRequestLength -= itemLength(lastReq.length);
+                    lastReq.data = Buffer.concat([lastReq.data, part.data]);
+                    lastReq.length = lastReq.data.length;
+                    curRequestLength += itemLength(lastReq.length);
+                    continue;
+                }
+
+                // create a new request if it doesn't fit in the current one
+                if (curRequestLength + reqItemLength > maxPayloadSize) {
+                    reqPackets.push(reqItems);
+                    reqItems = [];
+                    curRequestLength = 0;
+                }
+
+                let reqItem = {
+                    area: part.area,
+                    db: part.db,
+                    address: part.address,
+                    transport: part.transport,
+                    dataTransport: part.dataTransport,
+                    data: part.data,
+                    length: part.length
+                };
+                reqItems.push(reqItem);
+                if (partOfRequest) partOfRequest.set(reqItem, part);
+                curRequestLength += reqItemLength;
+                continue;
+            }
+
+            if (!splittable) {
+                throw new NodeS7Error('ERR_ITEM_TOO_BIG', `Cannot write item with size greater than max payload of [${maxPayloadSize}]`, { tag: part.tag });
+            }
+
+            // the item doesn't fit a packet by itself, split it
+            let ptr = 0;
+            while (ptr < part.length) {
+                // what does still fit on the current packet, keeping the parts with an even length
+                let free = (maxPayloadSize - curRequestLength - overheadPerItem) & ~1;
+
+                if (free <= 0) {
+                    reqPackets.push(reqItems);
+                    reqItems = [];
+                    curRequestLength = 0;
+                    continue;
+                }
+
+                let length = Math.min(part.length - ptr, free);
+                let reqItem = {
+                    area: part.area,
+                    db: part.db,
+                    address: part.address + ptr,
+                    transport: part.transport,
+                    dataTransport: part.dataTransport,
+                    data: part.data.slice(ptr, ptr + length),
+                    length
+                };
+                reqItems.push(reqItem);
+                if (partOfRequest) partOfRequest.set(reqItem, part);
+                curRequestLength += itemLength(length);
+                ptr += length;
+            }
+        }
+
         // add last request items
         reqPackets.push(reqItems);
 
-        debug("S7ItemGroup writeItems requests", reqPackets);
+        return reqPackets;
+    }
 
-        let requestTime = process.hrtime();
-        let requests = reqPackets.map(pkt => this._endpoint.writeVars(pkt));
-        let responses = await Promise.all(requests);
-        this._lastRequestTime = process.hrtime(requestTime);
+    /**
+     * Starts reading all items of this group periodically. A new cycle is
+     * never started while the previous one is still in progress, so the
+     * actual period may be longer than the requested one for slow reads.
+     * Polling pauses while the endpoint is disconnected, and resumes on
+     * reconnection. Values are delivered by the `data` and `change` events
+     * 
+     * Failed cycles are reported only by the `error` event, and are otherwise
+     * just logged for debugging (with `NODE_DEBUG=nodes7`), so applications
+     * that need to know the quality of the values must listen to it. With
+     * `vqt`, errors of single items are delivered as their status instead
+     * 
+     * @param {number} interval the interval between cycles, in milliseconds
+     * @param {object} [opts]
+     * @param {boolean} [opts.vqt=false] whether to deliver the items as {@link ItemResult}. See {@link S7ItemGroup#readAllItems}
+     * @fires S7ItemGroup#data
+     * @fires S7ItemGroup#change
+     * @fires S7ItemGroup#error
+     */
+    startPolling(interval, opts) {
+        debug("S7ItemGroup startPolling", interval, opts);
 
-        debug("S7ItemGroup writeItems responses", responses);
-        debug("S7ItemGroup writeItems requestTime", this._lastRequestTime);
+        if (typeof interval !== 'number' || !(interval > 0)) {
+            throw new NodeS7Error('ERR_INVALID_ARGUMENT', "Polling interval must be a positive number");
+        }
+        if (this._endpoint === null) {
+            throw new Error('Already destroyed');
+        }
+
+        this.stopPolling();
+        opts = opts || {};
+
+        this._polling = Object.assign(this.createChangeState(opts), {
+            interval,
+            timer: null,
+            running: false
+        });
+
+        this._endpoint.on('connect', this._funcResumePolling);
+        this._endpoint.on('disconnect', this._funcPausePolling);
+        this._schedulePoll(0);
+    }
+
+    /**
+     * Stops polling started by {@link S7ItemGroup#startPolling}. The result
+     * of a cycle in progress is discarded
+     */
+    stopPolling() {
+        debug("S7ItemGroup stopPolling");
+
+        if (!this._polling) return;
+
+        clearTimeout(this._polling.timer);
+        this._polling = null;
+        this._endpoint.removeListener('connect', this._funcResumePolling);
+        this._endpoint.removeListener('disconnect', this._funcPausePolling);
+    }
+
+    /**
+     * Whether this group is currently polling
+     * @returns {boolean}
+     */
+    get isPolling() {
+        return !!this._polling;
+    }
+
+    /**
+     * Creates a state for {@link S7ItemGroup#publishValues}, for reading this
+     * group on a schedule of its own instead of {@link S7ItemGroup#startPolling},
+     * like {@link S7ScanScheduler} does. The state keeps the values last
+     * published with it, so a new one publishes all items again
+     * @param {object} [opts]
+     * @param {boolean} [opts.vqt=false] whether the values will be read as {@link ItemResult}
+     * @returns {ChangeState}
+     */
+    createChangeState(opts) {
+        opts = opts || {};
+        return {
+            vqt: !!opts.vqt,
+            lastPublished: new Map()
+        };
+    }
 
-        for (const resp of responses) {
-            for (const res of resp) {
-                let code = res.returnCode;
-                if (code !== constants.proto.retval.DATA_OK) {
-                    let errDescr = constants.proto.retvalDesc[code] || '<Unknown return code>';
-                    throw new NodeS7Error(code, `Write error [0x${code.toString(16)}]: ${errDescr}`);
+    /**
+     * Schedules the next polling cycle, unless disconnected
+     * @private
+     * @param {number} delay
+     */
+    _schedulePoll(delay) {
+        const polling = this._polling;
+        clearTimeout(polling.timer);
+        polling.timer = null;
+
+        if (!this._endpoint.isConnected) {
+            debug("S7ItemGroup _schedulePoll paused");
+            return;
+        }
+
+        polling.timer = setTimeout(() => this._poll(polling), delay);
+    }
+
+    /**
+     * @private
+     */
+    _pausePolling() {
+        debug("S7ItemGroup _pausePolling");
+        clearTimeout(this._polling.timer);
+        this._polling.timer = null;
+    }
+
+    /**
+     * @private
+     */
+    _resumePolling() {
+        debug("S7ItemGroup _resumePolling");
+        // a running cycle schedules the next one by itself
+        if (!this._polling.running && !this._polling.timer) {
+            this._schedulePoll(0);
+        }
+    }
+
+    /**
+     * Executes a polling cycle and schedules the next one
+     * @private
+     * @param {object} polling the polling state this cycle belongs to
+     */
+    async _poll(polling) {
+        debug("S7ItemGroup _poll");
+
+        polling.timer = null;
+        polling.running = true;
+        let start = Date.now();
+        let result, error;
+
+        try {
+            result = await this.readAllItems({ vqt: polling.vqt });
+        } catch (e) {
+            error = e;
+        }
+        polling.running = false;
+
+        // polling has been stopped or restarted meanwhile
+        if (this._polling !== polling) return;
+
+        if (error) {
+            debug("S7ItemGroup _poll error", error);
+            // don't crash the application if nobody is listening
+            if (this.listenerCount('error')) {
+                /**
+                 * Emitted when a polling cycle fails
+                 * @event S7ItemGroup#error
+                 * @type {Error}
+                 */
+                this.emit('error', error);
+            }
+        } else {
+            this.publishValues(result, polling);
+        }
+
+        if (this._polling === polling) {
+            this._schedulePoll(Math.max(0, polling.interval - (Date.now() - start)));
+        }
+    }
+
+    /**
+     * Emits the `data` and `change` events for the values of a read, the
+     * same way {@link S7ItemGroup#startPolling} does for each of its cycles
+     * @param {Object<string,*>} result the values returned by {@link S7ItemGroup#readAllItems}
+     * @param {ChangeState} state the state of the change detection, see {@link S7ItemGroup#createChangeState}
+     * @fires S7ItemGroup#data
+     * @fires S7ItemGroup#change
+     */
+    publishValues(result, state) {
+        /**
+         * Emitted on every polling cycle with the values of all items
+         * @event S7ItemGroup#data
+         * @type {Object<string,*>}
+         */
+        this.emit('data', result);
+
+        let now = Date.now();
+
+        for (const tag of Object.keys(result)) {
+            let value = result[tag];
+            let item = this._items.get(tag);
+            let last = state.lastPublished.get(tag);
+            let oldValue = last && last.value;
+            let changed;
+
+            if (!last) {
+                changed = true;
+            } else if (state.vqt && oldValue.quality !== value.quality) {
+                // changes of quality are always published right away
+                changed = true;
+            } else {
+                changed = exceedsDeadband(item, state.vqt ? oldValue.value : oldValue, state.vqt ? value.value : value)
+                    && !(item && now - last.time < item.minPublishInterval);
+
+                // heartbeat
+                if (!changed && item && item.maxPublishInterval && now - last.time >= item.maxPublishInterval) {
+                    changed = true;
                 }
             }
+
+            if (changed) {
+                state.lastPublished.set(tag, { value, time: now });
+                /**
+                 * Emitted by polling when the value of an item differs from the last published one,
+                 * including the first read, according to the deadbands and publish intervals of the
+                 * item. Receives the tag, its new and old values
+                 * @event S7ItemGroup#change
+                 */
+                this.emit('change', tag, value, oldValue);
+            }
         }
     }
 
     /**
      * Reads the values of all items in this group
+     * 
+     * By default, the first error returned by the PLC for any of the items
+     * causes the whole read to fail. In the VQT (value, quality, timestamp)
+     * mode, only the items affected by an error are marked as bad, and every
+     * item is returned as an {@link ItemResult}
+     * 
+     * @param {object} [opts]
+     * @param {boolean} [opts.vqt=false] whether to return the items as objects with their value, quality and timestamp
+     * @returns {Promise<Object<string,*>>} an object with the tags as keys, and their values (or {@link ItemResult}) as values
      */
-    async readAllItems() {
-        debug("S7ItemGroup readAllItems");
+    async readAllItems(opts) {
+        debug("S7ItemGroup readAllItems", opts);
+
+        opts = opts || {};
 
         if (this._endpoint === null) {
             throw new Error('Already destroyed');
         }
 
-        let result = {};
-
         // prepare read packets if needed
         if (!this._readPackets) {
-            this._prepareReadPackets();
+            this._readPackets = this._prepareReadPackets(Array.from(this._items.values()));
+        }
+
+        return await this._sendReadPackets(this._readPackets, this._items, opts);
+    }
+
+    /**
+     * Reads the values of a subset of the items of this group, like
+     * {@link S7ItemGroup#readAllItems} does for all of them. The optimized
+     * packets of each subset are kept, so that reading the same subset
+     * again doesn't need to compute them
+     * 
+     * @param {string|Array<string>} tags the tags of the items to be read
+     * @param {object} [opts]
+     * @param {boolean} [opts.vqt=false] whether to return the items as objects with their value, quality and timestamp
+     * @returns {Promise<Object<string,*>>} an object with the tags as keys, and their values (or {@link ItemResult}) as values
+     * @throws {NodeS7Error} ERR_INVALID_ARGUMENT - when a tag is not an item of this group
+     */
+    async readItems(tags, opts) {
+        debug("S7ItemGroup readItems", tags, opts);
+
+        opts = opts || {};
+
+        if (this._endpoint === null) {
+            throw new Error('Already destroyed');
+        }
+
+        if (typeof tags === 'string') {
+            tags = [tags];
+        } else if (!Array.isArray(tags)) {
+            throw new NodeS7Error('ERR_INVALID_ARGUMENT', "Parameter tags must be a string or an array of strings");
         }
 
-        if (!this._readPackets.length) {
+        /** @type {Map<string,S7Item>} */
+        let items = new Map();
+        for (const tag of tags) {
+            let item = this._items.get(tag);
+            if (!item) {
+                throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Tag "${tag}" is not an item of this group`, { tag });
+            }
+            items.set(tag, item);
+        }
+
+        // the same subset may be requested in any order
+        let key = Array.from(items.keys()).sort().join('\n');
+        let packets = this._subsetReadPackets.get(key);
+        if (!packets) {
+            packets = this._prepareReadPackets(Array.from(items.values()));
+
+            // keep only the last created ones
+            if (this._subsetReadPackets.size >= MAX_CACHED_SUBSETS) {
+                this._subsetReadPackets.delete(this._subsetReadPackets.keys().next().value);
+            }
+            this._subsetReadPackets.set(key, packets);
+        }
+
+        return await this._sendReadPackets(packets, items, opts);
+    }
+
+    /**
+     * Sends the given read packets and parses their responses into the items
+     * @private
+     * @param {Array<Array<object>>} readPackets the packets prepared by {@link S7ItemGroup#_prepareReadPackets}
+     * @param {Map<string,S7Item>} items the items on the packets, by their tags
+     * @param {object} opts the options of {@link S7ItemGroup#readAllItems}
+     * @returns {Promise<Object<string,*>>}
+     */
+    async _sendReadPackets(readPackets, items, opts) {
+        let result = {};
+
+        if (!readPackets.length) {
             return result;
         }
 
         // request items and await the response
-        debug("S7ItemGroup readAllItems requests", this._readPackets);
+        debug("S7ItemGroup _sendReadPackets requests", readPackets);
 
         let requestTime = process.hrtime();
-        let requests = this._readPackets.map(pkt => this._endpoint.readVars(pkt));
+        let requests = readPackets.map(pkt => {
+            let req = this._endpoint.readVars(pkt);
+            // on VQT mode, a failed request affects only the items on it
+            return opts.vqt ? req.catch(e => e) : req;
+        });
         let responses = await Promise.all(requests);
         this._lastRequestTime = process.hrtime(requestTime);
+        let timestamp = new Date();
+
+        debug("S7ItemGroup _sendReadPackets responses", responses);
+        debug("S7ItemGroup _sendReadPackets requestTime", this._lastRequestTime);
 
-        debug("S7ItemGroup readAllItems responses", responses);
-        debug("S7ItemGroup readAllItems requestTime", this._lastRequestTime);
+        /** @type {Map<S7Item,Error>} */
+        let badItems = new Map();
 
         // parse response
-        for (let i = 0; i < this._readPackets.length; i++) {
-            const req = this._readPackets[i];
+        for (let i = 0; i < readPackets.length; i++) {
+            const req = readPackets[i];
             const res = responses[i];
 
             for (let j = 0; j < req.length; j++) {
                 const reqPart = req[j];
-                const resPart = res[j];
-
-                // check for empty response
-                if (!resPart) {
-                    throw new NodeS7Error('ERR_UNEXPECTED_RESPONSE', `Empty response for request: Area [${reqPart.area}] DB [${reqPart.db}] Addr [${reqPart.address}] Len [${reqPart.length}]`
+                const resPart = res instanceof Error ? null : res[j];
+                let err = null;
+
+                if (res instanceof Error) {
+                    err = res;
+                } else if (!resPart) {
+                    // check for empty response
+                    err = new NodeS7Error('ERR_UNEXPECTED_RESPONSE', `Empty response for request: Area [${reqPart.area}] DB [${reqPart.db}] Addr [${reqPart.address}] Len [${reqPart.length}]`
+                        , { area: reqPart.area, db: reqPart.db, address: reqPart.address, length: reqPart.length });
+                } else if (resPart.returnCode != constants.proto.retval.DATA_OK) {
+                    // check response's error code
+                    let errDesc = constants.proto.retvalDesc[resPart.returnCode] || `<Unknown error code ${resPart.returnCode}>`;
+                    err = new NodeS7Error(resPart.returnCode, `Error returned from request of Area [${reqPart.area}] DB [${reqPart.db}] Addr [${reqPart.address}] Len [${reqPart.length}]: "${errDesc}"`
                         , { area: reqPart.area, db: reqPart.db, address: reqPart.address, length: reqPart.length });
                 }
 
-                // check response's error code
-                if (resPart.returnCode != constants.proto.retval.DATA_OK) {
-                    let errDesc = constants.proto.retvalDesc[resPart.returnCode] || `<Unknown error code ${resPart.returnCode}>`;
-                    throw new NodeS7Error(resPart.returnCode, `Error returned from request of Area [${reqPart.area}] DB [${reqPart.db}] Addr [${reqPart.address}] Len [${reqPart.length}]: "${errDesc}"`
-                        , { area: reqPart.area, db: reqPart.db, address: reqPart.address, length: reqPart.length })
+                if (err) {
+                    if (!opts.vqt) throw err;
+
+                    for (const item of reqPart.items) {
+                        if (!badItems.has(item)) badItems.set(item, err);
+                    }
+                    continue;
                 }
 
                 // good to go, parse response
@@ -596,9 +1347,28 @@ class S7ItemGroup extends EventEmitter {
         }
 
         // update values and map items into reult object
-        this._items.forEach((item, tag) => {
-            item.updateValueFromBuffer();
-            result[tag] = item.value
+        items.forEach((item, tag) => {
+            if (!opts.vqt) {
+                item.updateValueFromBuffer();
+                result[tag] = item.value;
+                return;
+            }
+
+            let error = badItems.get(item) || null;
+            if (!error) {
+                try {
+                    item.updateValueFromBuffer();
+                } catch (e) {
+                    error = e;
+                }
+            }
+
+            result[tag] = {
+                value: error ? null : item.value,
+                quality: error ? QUALITY_BAD : QUALITY_GOOD,
+                timestamp,
+                error
+            };
         });
 
         return result;
@@ -620,7 +1390,7 @@ function itemListSorter(a, b) {
     if (a.areaCode > b.areaCode) { return 1; }
 
     // Group first the items of the same DB
-    if (a.addrtype === 'DB') {
+    if (a.addrtype === 'DB' || a.addrtype === 'DI') {
         if (a.dbNumber < b.dbNumber) { return -1; }
         if (a.dbNumber > b.dbNumber) { return 1; }
     }
@@ -636,4 +1406,99 @@ function itemListSorter(a, b) {
     // Then item length - most first.  This way smaller items are optimized into bigger ones if they have the same starting value.
     if (a.byteLength > b.byteLength) { return -1; }
     if (a.byteLength < b.byteLength) { return 1; }
-}
\ No newline at end of file
+}
+
+/**
+ * Whether a write request part is written byte-wise, so that it
+ * can be merged with others and split in multiple requests
+ * @private
+ * @param {object} part
+ */
+function isSplittableWrite(part) {
+    return part.transport === constants.proto.transport.BYTE
+        && part.dataTransport === constants.proto.dataTransport.BBYTE;
+}
+
+/**
+ * Throws the error of the first part of a write response that failed
+ * @private
+ * @param {Array<{returnCode: number}>} resp
+ */
+function checkWriteResponse(resp) {
+    for (const res of resp) {
+        let code = res.returnCode;
+        if (code !== constants.proto.retval.DATA_OK) {
+            throw writeError(code);
+        }
+    }
+}
+
+/**
+ * Creates the error of a return code of a write response
+ * @private
+ * @param {number} code
+ */
+function writeError(code) {
+    let errDescr = constants.proto.retvalDesc[code] || '<Unknown return code>';
+    return new NodeS7Error(code, `Write error [0x${code.toString(16)}]: ${errDescr}`);
+}
+
+/**
+ * Checks whether a value moved away from the last published one more than
+ * the deadbands of the item. Arrays are checked element by element, and
+ * non-numeric values on any change
+ * @private
+ * @param {S7Item} item
+ * @param {*} oldValue
+ * @param {*} newValue
+ * @returns {boolean}
+ */
+function exceedsDeadband(item, oldValue, newValue) {
+    if (!item || (!item.deadband && !item.deadbandPercent)) {
+        return !isEqual(oldValue, newValue);
+    }
+
+    if (Array.isArray(oldValue) && Array.isArray(newValue) && oldValue.length === newValue.length) {
+        return newValue.some((v, i) => exceedsDeadband(item, oldValue[i], v));
+    }
+
+    if (typeof oldValue !== 'number' || typeof newValue !== 'number' || isNaN(oldValue) || isNaN(newValue)) {
+        return !isEqual(oldValue, newValue);
+    }
+
+    let band = item.deadband;
+    if (item.deadbandPercent) {
+        let scale = item.scale;
+        let range = scale ? Math.abs(scale.engHigh - scale.engLow) : Math.abs(oldValue);
+        band = Math.max(band, range * item.deadbandPercent / 100);
+    }
+
+    return Math.abs(newValue - oldValue) > band;
+}
+
+/**
+ * Compares two values read from items, including arrays,
+ * dates, buffers and the objects of struct items
+ * @private
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function isEqual(a, b) {
+    if (a === b) return true;
+    // NaN REALs shouldn't be reported as a change on every read
+    if (typeof a === 'number' && typeof b === 'number') return isNaN(a) && isNaN(b);
+    if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+
+    if (a instanceof Date || b instanceof Date) {
+        return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+    }
+    if (Buffer.isBuffer(a) || Buffer.isBuffer(b)) {
+        return Buffer.isBuffer(a) && Buffer.isBuffer(b) && a.equals(b);
+    }
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+    let keysA = Object.keys(a);
+    let keysB = Object.keys(b);
+    return keysA.length === keysB.length && keysA.every(k => isEqual(a[k], b[k]));
+}
@@ -0,0 +1,287 @@
+//@ts-check
+/*
+  Copyright: (c) 2018-2020, Guilherme Francescon Cittolin <gfcittolin@gmail.com>
+  GNU General Public License v3.0+ (see LICENSE or https://www.gnu.org/licenses/gpl-3.0.txt)
+*/
+
+//@ts-ignore
+const constants = require('./constants.json');
+const util = require('util');
+const debug = util.debuglog('nodes7');
+
+/**
+ * A request item of {@link S7Endpoint#readVars}
+ * @typedef {object} ReadItem
+ * @property {number} area
+ * @property {number} [db]
+ * @property {number} transport
+ * @property {number} address
+ * @property {number} length
+ */
+
+/**
+ * A memory range to be read, and the requested items it serves
+ * @typedef {object} ReadRange
+ * @property {number} area
+ * @property {number} [db]
+ * @property {number} transport
+ * @property {number} address
+ * @property {number} length
+ * @property {Array<{call: PendingCall, index: number, item: ReadItem}>} refs
+ * @property {object} [result] the response item of the range
+ */
+
+/**
+ * @typedef {object} PendingCall
+ * @property {Array<ReadItem>} items
+ * @property {Array<object>} results
+ * @property {Error} [error]
+ * @property {function} resolve
+ * @property {function} reject
+ */
+
+// sizes of the headers of READ_VAR telegrams, like on S7ItemGroup
+const REQ_HEADER_SIZE = 12;
+const RES_HEADER_SIZE = 14;
+const REQ_PART_SIZE = 12;
+const RES_PART_SIZE = 4;
+
+/**
+ * Merges concurrent reads (e.g. of multiple {@link S7ItemGroup}s) into
+ * shared requests. Reads received within a short time window are collected,
+ * and items of the same area that overlap or are near each other are read
+ * as a single part. Each caller then receives the slices of the data for
+ * the items it requested, just as if they had been read by themselves.
+ * 
+ * Only byte-addressed items are merged. When a merged part is refused by
+ * the PLC, its items are read again separately, so that one invalid item
+ * doesn't affect the others
+ */
+class S7ReadCoordinator {
+
+    /**
+     * 
+     * @param {function(Array<ReadItem>): Promise<Array<object>>} request the function that sends a READ_VAR request
+     * @param {function(): number} getPduSize the function returning the current PDU size
+     * @param {object} [opts]
+     * @param {number} [opts.window=0] how long to wait for other reads to merge with, in milliseconds. With 0,
+     * only reads issued on the same event loop iteration are merged
+     * @param {number} [opts.gap=5] how many bytes apart two items may be to still be read as a single part
+     */
+    constructor(request, getPduSize, opts) {
+        debug('new S7ReadCoordinator', opts);
+
+        opts = opts || {};
+
+        this._request = request;
+        this._getPduSize = getPduSize;
+        this._window = opts.window || 0;
+        this._gap = opts.gap !== undefined ? opts.gap : 5;
+
+        /** @type {Array<PendingCall>} */
+        this._pending = [];
+        this._flushScheduled = false;
+    }
+
+    /**
+     * Queues a read to be merged with the others of the current window
+     * 
+     * @param {Array<ReadItem>} items the items to be read
+     * @returns {Promise<Array<object>>} the response items, in the same order of the requested ones
+     */
+    read(items) {
+        debug('S7ReadCoordinator read', items);
+
+        return new Promise((resolve, reject) => {
+            this._pending.push({ items, results: [], resolve, reject });
+
+            if (!this._flushScheduled) {
+                this._flushScheduled = true;
+                if (this._window > 0) {
+                    setTimeout(() => this._flush(), this._window);
+                } else {
+                    setImmediate(() => this._flush());
+                }
+            }
+        });
+    }
+
+    /**
+     * Sends the reads collected in the current window
+     * @private
+     */
+    async _flush() {
+        let calls = this._pending;
+        this._pending = [];
+        this._flushScheduled = false;
+
+        debug('S7ReadCoordinator _flush', calls.length);
+
+        try {
+            let maxPartLength = this._getPduSize() - 18 - RES_HEADER_SIZE - RES_PART_SIZE;
+            let ranges = this._mergeItems(calls, maxPartLength);
+            await this._readRanges(ranges);
+
+            // retry separately the items of merged ranges that failed
+            let retries = [];
+            for (const range of ranges) {
+                if (range.result && range.result.returnCode !== constants.proto.retval.DATA_OK && range.refs.length > 1) {
+                    debug('S7ReadCoordinator _flush retrying', range.area, range.db, range.address, range.length);
+                    for (const ref of range.refs) {
+                        retries.push(Object.assign({}, ref.item, { refs: [ref] }));
+                    }
+                    range.refs = [];
+                }
+            }
+            await this._readRanges(retries);
+
+            for (const range of ranges.concat(retries)) {
+                if (!range.result) continue;
+                for (const ref of range.refs) {
+                    ref.call.results[ref.index] = sliceResult(range, ref.item);
+                }
+            }
+
+            for (const call of calls) {
+                if (call.error) {
+                    call.reject(call.error);
+                } else {
+                    call.resolve(call.results);
+                }
+            }
+        } catch (e) {
+            // shouldn't happen, but never leave the callers waiting
+            calls.forEach(call => call.reject(e));
+        }
+    }
+
+    /**
+     * Groups the items of all calls into ranges to be read
+     * @private
+     * @param {Array<PendingCall>} calls
+     * @param {number} maxPartLength the max length of a part that fits on a response
+     * @returns {Array<ReadRange>}
+     */
+    _mergeItems(calls, maxPartLength) {
+        let refs = [];
+        for (const call of calls) {
+            call.items.forEach((item, index) => refs.push({ call, index, item }));
+        }
+
+        refs.sort((a, b) => (a.item.area - b.item.area)
+            || ((a.item.db || 0) - (b.item.db || 0))
+            || (a.item.transport - b.item.transport)
+            || (a.item.address - b.item.address));
+
+        /** @type {Array<ReadRange>} */
+        let ranges = [];
+        let range = null;
+
+        for (const ref of refs) {
+            let item = ref.item;
+            let end = item.address + item.length;
+
+            if (range
+                && item.transport === constants.proto.transport.BYTE
+                && range.transport === item.transport
+                && range.area === item.area
+                && range.db === item.db
+                && item.address <= range.address + range.length + this._gap
+                && Math.max(end, range.address + range.length) - range.address <= maxPartLength
+            ) {
+                range.length = Math.max(end, range.address + range.length) - range.address;
+                range.refs.push(ref);
+            } else {
+                range = {
+                    area: item.area,
+                    db: item.db,
+                    transport: item.transport,
+                    address: item.address,
+                    length: item.length,
+                    refs: [ref]
+                };
+                ranges.push(range);
+            }
+        }
+
+        debug('S7ReadCoordinator _mergeItems', refs.length, ranges.length);
+        return ranges;
+    }
+
+    /**
+     * Reads the ranges in as few requests as possible, storing
+     * the response of each one on its `result` property
+     * @private
+     * @param {Array<ReadRange>} ranges
+     */
+    async _readRanges(ranges) {
+        if (!ranges.length) return;
+
+        let maxPayloadSize = this._getPduSize() - 18;
+        let packets = [];
+        let packet = null;
+        let reqLength, resLength;
+
+        for (const range of ranges) {
+            let partResLength = RES_PART_SIZE + range.length + (range.length % 2);
+            if (!packet
+                || reqLength + REQ_PART_SIZE > maxPayloadSize
+                || resLength + partResLength > maxPayloadSize
+            ) {
+                packet = [];
+                packets.push(packet);
+                reqLength = REQ_HEADER_SIZE;
+                resLength = RES_HEADER_SIZE;
+            }
+            packet.push(range);
+            reqLength += REQ_PART_SIZE;
+            resLength += partResLength;
+        }
+
+        debug('S7ReadCoordinator _readRanges', ranges.length, packets.length);
+
+        await Promise.all(packets.map(async pkt => {
+            try {
+                let res = await this._request(pkt.map(r => ({
+                    area: r.area,
+                    db: r.db,
+                    transport: r.transport,
+                    address: r.address,
+                    length: r.length
+                })));
+                pkt.forEach((range, i) => range.result = res[i]);
+            } catch (e) {
+                for (const range of pkt) {
+                    for (const ref of range.refs) {
+                        ref.call.error = ref.call.error || e;
+                    }
+                }
+            }
+        }));
+    }
+}
+
+/**
+ * Extracts the response of an item from the response of the range containing it
+ * @private
+ * @param {ReadRange} range
+ * @param {ReadItem} item
+ */
+function sliceResult(range, item) {
+    let res = range.result;
+    // a missing response is handled by the caller, like when reading by itself
+    if (!res) return res;
+
+    if (res.returnCode !== constants.proto.retval.DATA_OK || !res.data) {
+        return Object.assign({}, res, { data: Buffer.alloc(0) });
+    }
+
+    if (range.address === item.address && range.length === item.length) {
+        return res;
+    }
+
+    let start = item.address - range.address;
+    return Object.assign({}, res, { data: Buffer.from(res.data.subarray(start, start + item.length)) });
+}
+
+module.exports = S7ReadCoordinator;
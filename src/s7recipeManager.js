@@ -0,0 +1,558 @@
+//@ts-check
+/*
+  Copyright: (c) 2018-2020, Guilherme Francescon Cittolin <gfcittolin@gmail.com>
+  GNU General Public License v3.0+ (see LICENSE or https://www.gnu.org/licenses/gpl-3.0.txt)
+*/
+
+const fs = require('fs');
+const util = require('util');
+const debug = util.debuglog('nodes7');
+
+const NodeS7Error = require('./errors.js');
+const S7ItemGroup = require('./s7itemGroup.js');
+
+const readFile = util.promisify(fs.readFile);
+const writeFile = util.promisify(fs.writeFile);
+
+/**
+ * A parameter of a recipe schema
+ * @typedef {object} RecipeParameter
+ * @property {string} tag the tag of the parameter, as resolved by the item group
+ * @property {'boolean'|'integer'|'number'|'bigint'|'string'} type the type of the value. It must match
+ * the datatype of the item: `boolean` for bits, `string` for chars and strings, `bigint` for the 64-bit
+ * integers (LINT, ULINT, LWORD, LTIME, LTOD), `number` for reals and scaled items, and `integer` for
+ * the other numeric items, also allowed on reals and scaled items
+ * @property {number|bigint} [min] the lowest allowed value of integers, bigints and numbers
+ * @property {number|bigint} [max] the highest allowed value of integers, bigints and numbers
+ * @property {number} [maxLength] the max length of strings
+ * @property {number} [length] if set, the value is an array of this length, and the limits apply to each element
+ * @property {number} [tolerance=0] how much numbers may differ from the PLC value and still be considered equal by {@link S7RecipeManager#diff}
+ */
+
+/**
+ * @typedef {object} RecipeViolation
+ * @property {string} tag the tag of the parameter
+ * @property {string} reason why the value is invalid
+ */
+
+/**
+ * @typedef {object} RecipeDifference
+ * @property {string} tag the tag of the parameter
+ * @property {*} recipe the value on the recipe
+ * @property {*} plc the current value on the PLC
+ */
+
+const PARAMETER_TYPES = ['boolean', 'integer', 'number', 'bigint', 'string'];
+
+const STRING_DATATYPES = ['CHAR', 'STRING', 'WCHAR', 'WSTRING'];
+const REAL_DATATYPES = ['REAL', 'RREAL', 'LREAL'];
+const BIGINT_DATATYPES = ['LINT', 'ULINT', 'LWORD', 'LTIME', 'LTOD'];
+const INTEGER_DATATYPES = ['BYTE', 'SINT', 'USINT', 'INT', 'UINT', 'WORD', 'DINT', 'UDINT', 'DWORD',
+    'RINT', 'RUINT', 'RWORD', 'RDINT', 'RUDINT', 'RDWORD', 'TIME', 'TOD', 'S5TIME', 'TIMER', 'COUNTER'];
+
+/**
+ * Manages named recipes, that are sets of values for the parameters of a
+ * schema. Recipes are validated against the types and limits of the schema
+ * before being stored or written, can be kept as JSON, downloaded to the
+ * PLC, uploaded from its current values and compared with them.
+ *
+ * The tags of the schema are resolved by the given group (e.g. with a tag
+ * database), but read and written by a group of the manager itself, so that
+ * they don't show up on the reads and the polling of the given one.
+ * Values of 64-bit integers are kept as BigInt, and serialized as decimal
+ * strings on JSON
+ */
+class S7RecipeManager {
+
+    /**
+     *
+     * @param {S7ItemGroup} group the group resolving the tags of the parameters, whose endpoint is used for reading and writing them
+     * @param {Array<RecipeParameter>} schema the parameters of the recipes
+     * @throws {NodeS7Error} ERR_INVALID_ARGUMENT - when the schema is invalid, or a parameter type or length doesn't match its item
+     */
+    constructor(group, schema) {
+        debug('new S7RecipeManager');
+
+        if (!Array.isArray(schema) || !schema.length) {
+            throw new NodeS7Error('ERR_INVALID_ARGUMENT', "Recipe schema must be a non-empty array of parameters");
+        }
+
+        /** @type {Map<string,RecipeParameter>} */
+        this._schema = new Map();
+        for (const param of schema) {
+            validateParameter(param);
+            if (this._schema.has(param.tag)) {
+                throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Duplicate parameter "${param.tag}" on recipe schema`, { tag: param.tag });
+            }
+            this._schema.set(param.tag, Object.assign({}, param));
+        }
+
+        /** @type {Map<string,import('./s7item.js')>} */
+        this._paramItems = new Map();
+        for (const param of this._schema.values()) {
+            let item = group._createItem(param.tag);
+            if (!getParameterTypes(item).includes(param.type)) {
+                throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Type "${param.type}" of recipe parameter "${param.tag}" doesn't match the datatype ${item.datatype} of its item`, { tag: param.tag });
+            }
+            // items of a single element are read as a single value, not as an array
+            let itemLength = item.arrayLength > 1 ? item.arrayLength : undefined;
+            if (param.length !== itemLength) {
+                let desc = itemLength ? `an array of ${itemLength} elements` : "not an array";
+                throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Length of recipe parameter "${param.tag}" doesn't match its item, that is ${desc}`, { tag: param.tag });
+            }
+            this._paramItems.set(param.tag, item);
+        }
+        this._itemGroup = new S7ItemGroup(group._endpoint, {
+            skipOptimization: group._skipOptimization,
+            optimizationGap: group._optimizationGap
+        });
+        this._itemGroup.addItems(Array.from(this._paramItems.values()));
+
+        /** @type {Map<string,Object<string,*>>} */
+        this._recipes = new Map();
+    }
+
+    /**
+     * Destroys this instance, releasing its item group
+     */
+    destroy() {
+        debug('S7RecipeManager destroy');
+        this._itemGroup.destroy();
+    }
+
+    /**
+     * The parameters of the recipes
+     * @returns {Array<RecipeParameter>}
+     */
+    get schema() {
+        return Array.from(this._schema.values()).map(p => Object.assign({}, p));
+    }
+
+    /**
+     * The tags of the parameters of the recipes
+     * @returns {Array<string>}
+     */
+    get tags() {
+        return Array.from(this._schema.keys());
+    }
+
+    /**
+     * The names of the stored recipes
+     * @returns {Array<string>}
+     */
+    get recipeNames() {
+        return Array.from(this._recipes.keys());
+    }
+
+    /**
+     * Checks the values of a recipe against the schema. Every parameter
+     * must have a value, and no values of other tags are allowed
+     *
+     * @param {Object<string,*>} values the values of the recipe, with the tags as keys
+     * @returns {Array<RecipeViolation>} the invalid values, empty if the recipe is valid
+     */
+    validate(values) {
+        if (!values || typeof values !== 'object' || Array.isArray(values)) {
+            return [{ tag: null, reason: "Recipe values must be an object" }];
+        }
+
+        let violations = [];
+        for (const param of this._schema.values()) {
+            let reason = checkValue(param, values[param.tag]);
+            if (reason) violations.push({ tag: param.tag, reason });
+        }
+        for (const tag of Object.keys(values)) {
+            if (!this._schema.has(tag)) violations.push({ tag, reason: "Not a parameter of the recipe schema" });
+        }
+        return violations;
+    }
+
+    /**
+     * Throws if the values of a recipe are not valid
+     * @private
+     * @param {string} name
+     * @param {Object<string,*>} values
+     */
+    _assertValid(name, values) {
+        let violations = this.validate(values);
+        if (violations.length) {
+            let desc = violations.map(v => v.tag ? `"${v.tag}": ${v.reason}` : v.reason).join(', ');
+            throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Invalid values on recipe "${name}": ${desc}`, { recipe: name, violations });
+        }
+    }
+
+    /**
+     * Gets a stored recipe
+     * @param {string} name the name of the recipe
+     * @returns {Object<string,*>|undefined} a copy of the values of the recipe
+     */
+    getRecipe(name) {
+        let values = this._recipes.get(name);
+        return values && copyValues(values);
+    }
+
+    /**
+     * Whether a recipe with the given name is stored
+     * @param {string} name the name of the recipe
+     * @returns {boolean}
+     */
+    hasRecipe(name) {
+        return this._recipes.has(name);
+    }
+
+    /**
+     * Stores a recipe, replacing any other one with the same name
+     *
+     * @param {string} name the name of the recipe
+     * @param {Object<string,*>} values the values of the recipe, with the tags as keys
+     * @throws {NodeS7Error} ERR_INVALID_ARGUMENT - when the name is missing or the values are invalid
+     */
+    setRecipe(name, values) {
+        debug('S7RecipeManager setRecipe', name, values);
+
+        if (typeof name !== 'string' || !name) {
+            throw new NodeS7Error('ERR_INVALID_ARGUMENT', "Recipe name must be a non-empty string");
+        }
+        this._assertValid(name, values);
+
+        this._recipes.set(name, copyValues(values));
+    }
+
+    /**
+     * Removes a stored recipe
+     * @param {string} name the name of the recipe
+     */
+    removeRecipe(name) {
+        debug('S7RecipeManager removeRecipe', name);
+
+        this._recipes.delete(name);
+    }
+
+    /**
+     * Gets a stored recipe, throwing if it doesn't exist
+     * @private
+     * @param {string} name
+     */
+    _getRecipe(name) {
+        let values = this._recipes.get(name);
+        if (!values) {
+            throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Unknown recipe "${name}"`, { recipe: name });
+        }
+        return values;
+    }
+
+    /**
+     * The stored recipes, with their names as keys, so that they can
+     * be serialized with `JSON.stringify()`. BigInt values are converted to strings
+     * @returns {Object<string,Object<string,*>>}
+     */
+    toJSON() {
+        let res = {};
+        for (const [name, values] of this._recipes) {
+            res[name] = mapValues(values, v => typeof v === 'bigint' ? v.toString() : v);
+        }
+        return res;
+    }
+
+    /**
+     * Loads recipes, as serialized from {@link S7RecipeManager#toJSON}.
+     * Recipes with the same name of already stored ones replace them.
+     * Nothing is loaded if any of the recipes is invalid
+     *
+     * @param {string|object} json the JSON document or its parsed object
+     * @returns {Array<string>} the names of the loaded recipes
+     * @throws {NodeS7Error} ERR_INVALID_ARGUMENT - when the document or any of the recipes is invalid
+     */
+    loadJSON(json) {
+        debug('S7RecipeManager loadJSON');
+
+        let obj = json;
+        if (typeof json === 'string') {
+            try {
+                obj = JSON.parse(json);
+            } catch (e) {
+                throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Invalid JSON document of recipes: ${e.message}`);
+            }
+        }
+        if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+            throw new NodeS7Error('ERR_INVALID_ARGUMENT', "Recipes must be an object with the recipe names as keys");
+        }
+
+        let names = Object.keys(obj);
+        let recipes = names.map(name => this._fromJSON(obj[name]));
+        names.forEach((name, i) => this._assertValid(name, recipes[i]));
+        names.forEach((name, i) => this._recipes.set(name, recipes[i]));
+        return names;
+    }
+
+    /**
+     * Copies the values of a serialized recipe, converting the strings of
+     * bigint parameters back to BigInt
+     * @private
+     * @param {*} values
+     */
+    _fromJSON(values) {
+        if (!values || typeof values !== 'object' || Array.isArray(values)) return values;
+
+        let res = copyValues(values);
+        for (const param of this._schema.values()) {
+            if (param.type !== 'bigint' || res[param.tag] === undefined) continue;
+            res[param.tag] = mapValue(res[param.tag], toBigInt);
+        }
+        return res;
+    }
+
+    /**
+     * Reads recipes from a JSON file and loads them
+     *
+     * @param {string} filename the path of the file
+     * @returns {Promise<Array<string>>} the names of the loaded recipes
+     */
+    async loadFile(filename) {
+        debug('S7RecipeManager loadFile', filename);
+
+        let content = await readFile(filename, 'utf8');
+        return this.loadJSON(content.replace(/^\uFEFF/, ''));
+    }
+
+    /**
+     * Writes the stored recipes to a JSON file
+     *
+     * @param {string} filename the path of the file
+     * @returns {Promise<void>}
+     */
+    async saveFile(filename) {
+        debug('S7RecipeManager saveFile', filename);
+
+        await writeFile(filename, JSON.stringify(this, null, 2));
+    }
+
+    /**
+     * Writes the values of a stored recipe to the PLC, after validating them
+     * again, as the schema limits may be stricter than the ones of the PLC
+     *
+     * @param {string} name the name of the recipe
+     * @param {object} [opts] options passed to {@link S7ItemGroup#writeItems}, like `ordered` and `verify`
+     * @returns {Promise<void>}
+     * @throws {NodeS7Error} ERR_INVALID_ARGUMENT - when the recipe is unknown or invalid
+     */
+    async download(name, opts) {
+        debug('S7RecipeManager download', name, opts);
+
+        let values = this._getRecipe(name);
+        this._assertValid(name, values);
+
+        let tags = this.tags;
+        await this._itemGroup.writeItems(tags, tags.map(tag => values[tag]), opts);
+    }
+
+    /**
+     * Reads the current values of the parameters from the PLC, and stores
+     * them as a recipe, replacing any other one with the same name
+     *
+     * @param {string} name the name of the recipe
+     * @returns {Promise<Object<string,*>>} the values of the recipe
+     * @throws {NodeS7Error} ERR_INVALID_ARGUMENT - when the current values are not valid against the schema
+     */
+    async upload(name) {
+        debug('S7RecipeManager upload', name);
+
+        let values = await this._itemGroup.readItems(this.tags);
+        this.setRecipe(name, values);
+        return this.getRecipe(name);
+    }
+
+    /**
+     * Compares a stored recipe with the current values of the PLC
+     *
+     * @param {string} name the name of the recipe
+     * @returns {Promise<Array<RecipeDifference>>} the parameters whose values differ, empty if the PLC matches the recipe
+     */
+    async diff(name) {
+        debug('S7RecipeManager diff', name);
+
+        let values = this._getRecipe(name);
+        let current = await this._itemGroup.readItems(this.tags);
+
+        let res = [];
+        for (const param of this._schema.values()) {
+            let recipe = values[param.tag];
+            let plc = current[param.tag];
+            if (!isSameValue(param, recipe, plc, isSinglePrecision(this._paramItems.get(param.tag)))) {
+                res.push({ tag: param.tag, recipe, plc });
+            }
+        }
+        return res;
+    }
+}
+
+module.exports = S7RecipeManager;
+
+/**
+ * @private
+ * @param {RecipeParameter} param
+ */
+function validateParameter(param) {
+    if (!param || typeof param.tag !== 'string' || !param.tag) {
+        throw new NodeS7Error('ERR_INVALID_ARGUMENT', "Recipe parameters must have a tag");
+    }
+    if (!PARAMETER_TYPES.includes(param.type)) {
+        throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Unknown type "${param.type}" of recipe parameter "${param.tag}"`, { tag: param.tag });
+    }
+    for (const key of ['min', 'max', 'maxLength', 'length', 'tolerance']) {
+        if (param[key] !== undefined && typeof param[key] !== 'number'
+            && !(param.type === 'bigint' && typeof param[key] === 'bigint' && (key === 'min' || key === 'max'))) {
+            throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Option "${key}" of recipe parameter "${param.tag}" must be a number`, { tag: param.tag });
+        }
+    }
+    if (param.min !== undefined && param.max !== undefined && param.min > param.max) {
+        throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Min greater than max on recipe parameter "${param.tag}"`, { tag: param.tag });
+    }
+}
+
+/**
+ * Checks a value against a parameter of the schema
+ * @private
+ * @param {RecipeParameter} param
+ * @param {*} value
+ * @returns {string|null} the reason why the value is invalid, if it is
+ */
+function checkValue(param, value) {
+    if (value === undefined || value === null) {
+        return "Missing value";
+    }
+
+    if (param.length !== undefined) {
+        if (!Array.isArray(value) || value.length !== param.length) {
+            return `Expected an array of ${param.length} values`;
+        }
+        for (let i = 0; i < value.length; i++) {
+            let reason = checkElement(param, value[i]);
+            if (reason) return `${reason} at index ${i}`;
+        }
+        return null;
+    }
+
+    return checkElement(param, value);
+}
+
+/**
+ * @private
+ * @param {RecipeParameter} param
+ * @param {*} value
+ * @returns {string|null}
+ */
+function checkElement(param, value) {
+    switch (param.type) {
+        case 'boolean':
+            return typeof value === 'boolean' ? null : "Expected a boolean";
+        case 'string':
+            if (typeof value !== 'string') return "Expected a string";
+            if (param.maxLength !== undefined && value.length > param.maxLength) return `Longer than ${param.maxLength} characters`;
+            return null;
+        case 'integer':
+        case 'number':
+            if (typeof value !== 'number' || !isFinite(value)) return "Expected a number";
+            if (param.type === 'integer' && !Number.isInteger(value)) return "Expected an integer";
+            if (param.min !== undefined && value < param.min) return `Value ${value} below the minimum of ${param.min}`;
+            if (param.max !== undefined && value > param.max) return `Value ${value} above the maximum of ${param.max}`;
+            return null;
+        case 'bigint':
+            if (typeof value !== 'bigint') return "Expected a bigint";
+            if (param.min !== undefined && value < param.min) return `Value ${value} below the minimum of ${param.min}`;
+            if (param.max !== undefined && value > param.max) return `Value ${value} above the maximum of ${param.max}`;
+            return null;
+    }
+}
+
+/**
+ * The parameter types that can hold the values of an item
+ * @private
+ * @param {import('./s7item.js')} item
+ * @returns {Array<string>}
+ */
+function getParameterTypes(item) {
+    let datatype = item.datatype;
+    if (item._bitmask) return [];
+    if (item._enum) return ['string'];
+    if (item._scale || REAL_DATATYPES.includes(datatype)) return ['number', 'integer'];
+    if (datatype === 'X') return ['boolean'];
+    if (STRING_DATATYPES.includes(datatype)) return ['string'];
+    if (BIGINT_DATATYPES.includes(datatype)) return ['bigint'];
+    if (INTEGER_DATATYPES.includes(datatype)) return ['integer'];
+    return [];
+}
+
+/**
+ * Applies a function to a value, or to each element of an array of values
+ * @private
+ * @param {*} value
+ * @param {function(*):*} fn
+ */
+function mapValue(value, fn) {
+    return Array.isArray(value) ? value.map(fn) : fn(value);
+}
+
+/**
+ * Applies a function to the values of a recipe, or their elements
+ * @private
+ * @param {Object<string,*>} values
+ * @param {function(*):*} fn
+ * @returns {Object<string,*>}
+ */
+function mapValues(values, fn) {
+    let res = {};
+    for (const [tag, value] of Object.entries(values)) {
+        res[tag] = mapValue(value, fn);
+    }
+    return res;
+}
+
+/**
+ * Copies the values of a recipe. Unlike a JSON round trip, it keeps BigInts
+ * @private
+ * @param {Object<string,*>} values
+ */
+function copyValues(values) {
+    return mapValues(values, v => v);
+}
+
+/**
+ * Converts the decimal strings of the JSON documents to BigInt, leaving
+ * anything else to be reported by the validation
+ * @private
+ * @param {*} value
+ */
+function toBigInt(value) {
+    return typeof value === 'string' && /^-?\d+$/.test(value) ? BigInt(value) : value;
+}
+
+/**
+ * Whether the values of an item are stored by the PLC as 32-bit floats
+ * @private
+ * @param {import('./s7item.js')} item
+ */
+function isSinglePrecision(item) {
+    return REAL_DATATYPES.includes(item.datatype) && item.datatype !== 'LREAL' && !item._scale;
+}
+
+/**
+ * Compares the value of a recipe with the one of the PLC. Values of REALs
+ * are also considered equal when the difference comes only from their precision
+ * @private
+ * @param {RecipeParameter} param
+ * @param {*} a
+ * @param {*} b
+ * @param {boolean} single whether the PLC stores the value as a 32-bit float
+ */
+function isSameValue(param, a, b, single) {
+    if (Array.isArray(a) || Array.isArray(b)) {
+        return Array.isArray(a) && Array.isArray(b) && a.length === b.length
+            && a.every((v, i) => isSameValue(param, v, b[i], single));
+    }
+
+    if (typeof a === 'number' && typeof b === 'number') {
+        return a === b || (single && Math.fround(a) === Math.fround(b)) || Math.abs(a - b) <= (param.tolerance || 0);
+    }
+    return a === b;
+}
@@ -0,0 +1,399 @@
+//@ts-check
+/*
+  Copyright: (c) 2018-2020, Guilherme Francescon Cittolin <gfcittolin@gmail.com>
+  GNU General Public License v3.0+ (see LICENSE or https://www.gnu.org/licenses/gpl-3.0.txt)
+*/
+
+const { EventEmitter } = require('events');
+const util = require('util');
+const debug = util.debuglog('nodes7');
+
+const S7ItemGroup = require('./s7itemGroup.js');
+const NodeS7Error = require('./errors.js');
+
+/** @typedef {import('./s7endpoint.js')} S7Endpoint */
+/** @typedef {import('./s7itemGroup.js').ChangeState} ChangeState */
+
+/**
+ * @typedef {object} ScanClass
+ * @property {string} name
+ * @property {number} interval
+ * @property {S7ItemGroup} group
+ * @property {ChangeState} changeState the change detection state of the group
+ * @property {number} nextDue when the next cycle should start
+ * @property {boolean} running whether a cycle is in progress
+ * @property {number} lastDuration the duration of the last cycle, in milliseconds
+ */
+
+/**
+ * Information about a scan class that couldn't keep up with its rate
+ * @typedef {object} OverrunInfo
+ * @property {string} scanClass the name of the scan class
+ * @property {number} interval the configured interval of the scan class
+ * @property {'busy'|'late'|'duration'} reason "busy" when a cycle was due while the last one was still
+ * in progress, "late" when a cycle started more than an interval after it was due (e.g. waiting for
+ * faster classes), and "duration" when a cycle took longer than the interval
+ * @property {number} duration the duration of the last cycle, in milliseconds
+ * @property {number} missedCycles how many cycles were skipped
+ * @property {number} requests how many read requests a cycle needs, given the PDU size
+ * @property {number} pduSize the negotiated PDU size
+ * @property {number} parallelJobs the negotiated number of parallel jobs
+ */
+
+/**
+ * Reads multiple groups of items (scan classes), each one at its own rate,
+ * over a single endpoint. Instead of competing for the parallel jobs of the
+ * connection, cycles are started by priority, faster classes first, and
+ * only while there are free jobs for all their requests.
+ * 
+ * Slower classes are spread across the cycles of the faster ones only by
+ * the phase offset given to them on {@link S7ScanScheduler#start}, that
+ * spreads the first cycles of all classes over the interval of the fastest
+ * one. Classes added while running start right away, and the cycles of a
+ * class are not split in multiple parts over the faster cycles.
+ * 
+ * Each scan class is a {@link S7ItemGroup}, that emits its `data` and
+ * `change` events just like when polling by itself. Failed cycles, however,
+ * are reported by the `error` event of the scheduler, and are otherwise
+ * just logged for debugging (with `NODE_DEBUG=nodes7`), so it must be
+ * listened to by applications that need to know the quality of the values
+ */
+class S7ScanScheduler extends EventEmitter {
+
+    /**
+     * 
+     * @param {S7Endpoint} s7endpoint the endpoint all scan classes read from
+     */
+    constructor(s7endpoint) {
+        debug('new S7ScanScheduler');
+
+        super();
+
+        this._endpoint = s7endpoint;
+        /** @type {Map<string,ScanClass>} */
+        this._classes = new Map();
+        this._running = false;
+        this._timer = null;
+        this._jobsInFlight = 0;
+
+        this._funcDispatch = () => this._dispatch();
+        this._funcPause = () => this._pause();
+    }
+
+    /**
+     * Stops the scheduler and destroys the groups of all scan classes
+     */
+    destroy() {
+        debug('S7ScanScheduler destroy');
+
+        this.stop();
+        for (const name of Array.from(this._classes.keys())) {
+            this.removeScanClass(name);
+        }
+    }
+
+    /**
+     * Adds a new scan class
+     * 
+     * @param {string} name a unique name for the scan class
+     * @param {number} interval the interval between reads, in milliseconds
+     * @param {object} [opts] options for the {@link S7ItemGroup} of the scan class
+     * @param {boolean} [opts.vqt=false] whether to deliver the items as {@link ItemResult}. See {@link S7ItemGroup#readAllItems}
+     * @returns {S7ItemGroup} the group to which the items of the scan class should be added
+     * @throws {NodeS7Error} ERR_INVALID_ARGUMENT - when the name is already in use or the interval is invalid
+     */
+    addScanClass(name, interval, opts) {
+        debug('S7ScanScheduler addScanClass', name, interval);
+
+        if (this._classes.has(name)) {
+            throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Scan class "${name}" already exists`);
+        }
+        if (typeof interval !== 'number' || !(interval > 0)) {
+            throw new NodeS7Error('ERR_INVALID_ARGUMENT', "Scan class interval must be a positive number");
+        }
+
+        let group = new S7ItemGroup(this._endpoint, opts);
+        this._classes.set(name, {
+            name,
+            interval,
+            group,
+            changeState: group.createChangeState(opts),
+            nextDue: Date.now(),
+            running: false,
+            lastDuration: 0
+        });
+
+        this._dispatch();
+        return group;
+    }
+
+    /**
+     * Removes a scan class and destroys its group. The result
+     * of a cycle in progress is discarded
+     * 
+     * @param {string} name the name of the scan class
+     */
+    removeScanClass(name) {
+        debug('S7ScanScheduler removeScanClass', name);
+
+        let sc = this._classes.get(name);
+        if (!sc) return;
+
+        this._classes.delete(name);
+        sc.group.destroy();
+    }
+
+    /**
+     * Gets the group of a scan class
+     * 
+     * @param {string} name the name of the scan class
+     * @returns {S7ItemGroup|undefined}
+     */
+    getScanClass(name) {
+        let sc = this._classes.get(name);
+        return sc && sc.group;
+    }
+
+    /**
+     * The names of the scan classes
+     * @returns {Array<string>}
+     */
+    get scanClasses() {
+        return Array.from(this._classes.keys());
+    }
+
+    /**
+     * Whether the scheduler is running
+     * @returns {boolean}
+     */
+    get isRunning() {
+        return this._running;
+    }
+
+    /**
+     * Starts reading the scan classes. Reading pauses while the
+     * endpoint is disconnected, and resumes on reconnection
+     * 
+     * @fires S7ScanScheduler#overrun
+     * @fires S7ScanScheduler#error
+     */
+    start() {
+        debug('S7ScanScheduler start');
+
+        if (this._running) return;
+        this._running = true;
+
+        // spread the first cycles over the interval of the fastest class
+        let classes = this._sortedClasses();
+        let now = Date.now();
+        classes.forEach((sc, i) => {
+            sc.nextDue = now + Math.floor(i * classes[0].interval / classes.length);
+        });
+
+        this._endpoint.on('connect', this._funcDispatch);
+        this._endpoint.on('disconnect', this._funcPause);
+        this._dispatch();
+    }
+
+    /**
+     * Stops reading the scan classes. The results of cycles in progress are discarded
+     */
+    stop() {
+        debug('S7ScanScheduler stop');
+
+        if (!this._running) return;
+        this._running = false;
+
+        clearTimeout(this._timer);
+        this._timer = null;
+        this._endpoint.removeListener('connect', this._funcDispatch);
+        this._endpoint.removeListener('disconnect', this._funcPause);
+    }
+
+    /**
+     * The scan classes, faster ones first
+     * @private
+     * @returns {Array<ScanClass>}
+     */
+    _sortedClasses() {
+        return Array.from(this._classes.values()).sort((a, b) => a.interval - b.interval);
+    }
+
+    /**
+     * @private
+     */
+    _pause() {
+        debug('S7ScanScheduler _pause');
+        clearTimeout(this._timer);
+        this._timer = null;
+    }
+
+    /**
+     * Starts the cycles that are due, by priority, while there are
+     * free jobs, and schedules the next dispatch
+     * @private
+     */
+    _dispatch() {
+        clearTimeout(this._timer);
+        this._timer = null;
+
+        if (!this._running || !this._endpoint.isConnected) return;
+
+        let now = Date.now();
+        let parallelJobs = this._endpoint.parallelJobs || 1;
+        let waiting = false;
+
+        for (const sc of this._sortedClasses()) {
+            if (sc.nextDue > now) continue;
+
+            if (sc.running) {
+                this._overrun(sc, 'busy', this._skipCycles(sc, now));
+                continue;
+            }
+
+            let requests;
+            try {
+                requests = sc.group.getReadRequestCount();
+            } catch (e) {
+                this._emitError(sc, e);
+                this._skipCycles(sc, now);
+                continue;
+            }
+
+            // slower classes must wait for the faster ones too
+            if (waiting || (this._jobsInFlight > 0 && this._jobsInFlight + requests > parallelJobs)) {
+                waiting = true;
+                continue;
+            }
+
+            let missed = this._skipCycles(sc, now);
+            if (missed > 0) {
+                this._overrun(sc, 'late', missed);
+            }
+
+            this._runCycle(sc, requests);
+        }
+
+        // the end of a running cycle dispatches the waiting ones
+        let next = Infinity;
+        for (const sc of this._classes.values()) {
+            if (!sc.running && sc.nextDue > now) {
+                next = Math.min(next, sc.nextDue);
+            }
+        }
+        if (next !== Infinity) {
+            this._timer = setTimeout(this._funcDispatch, next - now);
+        }
+    }
+
+    /**
+     * Advances the next due time of a scan class past the current time
+     * @private
+     * @param {ScanClass} sc
+     * @param {number} now
+     * @returns {number} how many cycles were skipped, besides the current one
+     */
+    _skipCycles(sc, now) {
+        let cycles = Math.floor((now - sc.nextDue) / sc.interval) + 1;
+        sc.nextDue += cycles * sc.interval;
+        return cycles - 1;
+    }
+
+    /**
+     * Reads the items of a scan class
+     * @private
+     * @param {ScanClass} sc
+     * @param {number} requests the number of requests (and jobs) needed
+     */
+    async _runCycle(sc, requests) {
+        debug('S7ScanScheduler _runCycle', sc.name);
+
+        sc.running = true;
+        this._jobsInFlight += requests;
+        let start = Date.now();
+        let result, error;
+
+        try {
+            result = await sc.group.readAllItems({ vqt: sc.changeState.vqt });
+        } catch (e) {
+            error = e;
+        }
+
+        this._jobsInFlight -= requests;
+        sc.running = false;
+        sc.lastDuration = Date.now() - start;
+
+        // scan class removed or scheduler stopped meanwhile
+        if (this._classes.get(sc.name) !== sc || !this._running) {
+            // other classes may be waiting for the jobs it has just released
+            if (this._running) this._dispatch();
+            return;
+        }
+
+        if (error) {
+            this._emitError(sc, error);
+        } else {
+            sc.group.publishValues(result, sc.changeState);
+        }
+
+        if (sc.lastDuration > sc.interval) {
+            this._overrun(sc, 'duration', 0);
+        }
+
+        this._dispatch();
+    }
+
+    /**
+     * @private
+     * @param {ScanClass} sc
+     * @param {'busy'|'late'|'duration'} reason
+     * @param {number} missedCycles
+     */
+    _overrun(sc, reason, missedCycles) {
+        debug('S7ScanScheduler _overrun', sc.name, reason, missedCycles);
+
+        let requests;
+        try {
+            requests = sc.group.getReadRequestCount();
+        } catch (e) {
+            requests = null;
+        }
+
+        /**
+         * Emitted when a scan class can't keep up with its rate
+         * @event S7ScanScheduler#overrun
+         * @type {OverrunInfo}
+         */
+        this.emit('overrun', {
+            scanClass: sc.name,
+            interval: sc.interval,
+            reason,
+            duration: sc.lastDuration,
+            missedCycles,
+            requests,
+            pduSize: this._endpoint.pduSize,
+            parallelJobs: this._endpoint.parallelJobs
+        });
+    }
+
+    /**
+     * @private
+     * @param {ScanClass} sc
+     * @param {Error} error
+     */
+    _emitError(sc, error) {
+        debug('S7ScanScheduler _emitError', sc.name, error);
+
+        // don't crash the application if nobody is listening
+        if (this.listenerCount('error')) {
+            /**
+             * Emitted when a cycle of a scan class fails. Receives the
+             * error and the name of the scan class
+             * @event S7ScanScheduler#error
+             */
+            this.emit('error', error, sc.name);
+        }
+    }
+}
+
+module.exports = S7ScanScheduler;
@@ -0,0 +1,238 @@
+//@ts-check
+/*
+  Copyright: (c) 2018-2020, Guilherme Francescon Cittolin <gfcittolin@gmail.com>
+  GNU General Public License v3.0+ (see LICENSE or https://www.gnu.org/licenses/gpl-3.0.txt)
+*/
+
+const util = require('util');
+const debug = util.debuglog('nodes7');
+
+const S7Item = require('./s7item.js');
+const NodeS7Error = require('./errors.js');
+const { buildAddress, isContiguousArray, expandArray, arrayIndexes } = require('./dbLayout/layout.js');
+
+/** @typedef {import('./dbLayout/layout.js').LayoutNode} LayoutNode */
+
+/**
+ * An item that reads a whole struct (e.g. an UDT instance or an entire DB)
+ * in a single request, and exposes its value as a nested object, with
+ * arrays as JS arrays (starting at index zero, regardless of the declared
+ * lower limit).
+ *
+ * When writing, members missing on the supplied object keep the value of
+ * the last read, so that a read-modify-write cycle doesn't overwrite
+ * changes of the PLC on other members. Until the struct has been read,
+ * values for all of its members must be supplied
+ */
+class S7StructItem extends S7Item {
+
+    /**
+     *
+     * @param {string} name name of this item
+     * @param {number} dbNumber the number of the DB containing the struct
+     * @param {LayoutNode} layout the layout of the struct, with absolute offsets in the DB
+     */
+    constructor(name, dbNumber, layout) {
+        debug('new S7StructItem', name, dbNumber, layout && layout.name);
+
+        if (!layout || layout.kind !== 'struct') {
+            throw new NodeS7Error('ERR_INVALID_ARGUMENT', "Layout of a struct expected");
+        }
+
+        super(name, `DB${dbNumber},B${layout.offset}.${layout.size}`, { addressFormat: 'nodes7' });
+
+        this._layout = layout;
+        this._string = `S7StructItem ${this._name}:[${this._address}]`;
+
+        /** @type {Array<{path: Array<string|number>, node: LayoutNode, item: S7Item}>} */
+        this._fields = [];
+        this._collectFields(layout, [], dbNumber);
+
+        /** whether any data has been read, so that missing members can be written with it */
+        this._hasData = false;
+    }
+
+    get layout() {
+        return this._layout;
+    }
+
+    /**
+     * Creates an item for every elementary member of the struct
+     * @private
+     * @param {LayoutNode} node
+     * @param {Array<string|number>} path
+     * @param {number} dbNumber
+     */
+    _collectFields(node, path, dbNumber) {
+        if (node.kind === 'struct') {
+            for (const member of node.members) {
+                this._collectFields(member, path.concat(member.name), dbNumber);
+            }
+        } else if (node.elements) {
+            node.elements.forEach((element, i) => {
+                this._collectFields(element, path.concat(zeroBasedIndexes(node.dims, i)), dbNumber);
+            });
+        } else if (node.kind === 'array' && !isContiguousArray(node)) {
+            expandArray(node).forEach((element, i) => {
+                this._collectFields(element, path.concat(zeroBasedIndexes(node.dims, i)), dbNumber);
+            });
+        } else {
+            let address = buildAddress(dbNumber, node, node.kind === 'array' ? node.count : 1);
+            this._fields.push({ path, node, item: new S7Item(path.join('.'), address, { addressFormat: 'nodes7' }) });
+        }
+    }
+
+    /**
+     * Updates the internal buffer with provided data
+     * @private
+     * @param {Buffer} buffer the buffer containing the data
+     * @param {object} offsets offsets object, as returned from _getCopyBufferOffsets()
+     */
+    _copyFromBuffer(buffer, offsets) {
+        super._copyFromBuffer(buffer, offsets);
+        this._hasData = true;
+    }
+
+    /**
+     * Update the item's value according to the internal buffer data.
+     */
+    updateValueFromBuffer() {
+        debug('S7StructItem updateValueFromBuffer', this._string);
+
+        let value = {};
+        for (const { path, node, item } of this._fields) {
+            let offsets = item._getCopyBufferOffsets(this.offset, this.byteLength);
+            item._copyFromBuffer(this._dataBuffer, offsets);
+            item.updateValueFromBuffer();
+
+            let fieldValue = item.value;
+            // we handle an array of chars as a single string, like S7Item does
+            if (node.kind === 'array' && node.dataType !== 'CHAR' && node.dataType !== 'WCHAR') {
+                if (!Array.isArray(fieldValue)) fieldValue = [fieldValue];
+                fieldValue = reshape(fieldValue, node.dims);
+            }
+            setPath(value, path, fieldValue);
+        }
+
+        this._value = value;
+    }
+
+    /**
+     * Returns a buffer with the data to be written to the PLC. Members
+     * not present on the object keep the value of the last read
+     * @param {object} value the value of the struct
+     * @throws {NodeS7Error} ERR_ILLEGAL_STATE - when members are missing and the struct hasn't been read yet
+     */
+    getWriteBuffer(value) {
+        debug('S7StructItem getWriteBuffer', value);
+
+        if (!value || typeof value !== 'object') {
+            throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Expected an object as the value of "${this._name}"`);
+        }
+
+        let b = Buffer.from(this._dataBuffer);
+
+        for (const { path, node, item } of this._fields) {
+            let fieldValue = getPath(value, path);
+            if (fieldValue === undefined) {
+                // otherwise we'd silently write zeros to it
+                if (!this._hasData) {
+                    throw new NodeS7Error('ERR_ILLEGAL_STATE', `Missing value of "${path.join('.')}", and "${this._name}" hasn't been read yet`);
+                }
+                continue;
+            }
+
+            let isArray = node.kind === 'array' && node.dataType !== 'CHAR' && node.dataType !== 'WCHAR';
+            let values = isArray ? flatten(fieldValue) : [fieldValue];
+            if (isArray && values.length !== node.count) {
+                throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Expected [${node.count}] values for "${path.join('.')}"`);
+            }
+
+            let start = item.offset - this.offset;
+            if (node.dataType === 'BOOL') {
+                // bits are set individually, as they share bytes with other members
+                values.forEach((v, i) => {
+                    let bit = item.bitOffset + i;
+                    let pos = start + (bit >> 3);
+                    b[pos] = v ? b[pos] | (1 << (bit & 7)) : b[pos] & ~(1 << (bit & 7));
+                });
+            } else {
+                item.getWriteBuffer(values.length === 1 ? values[0] : values).copy(b, start);
+            }
+        }
+
+        return b;
+    }
+}
+
+/**
+ * Returns the zero-based indexes of the n-th element of an array
+ * @private
+ * @param {Array<Array<number>>} dims
+ * @param {number} n
+ */
+function zeroBasedIndexes(dims, n) {
+    return arrayIndexes(dims, n).map((index, d) => index - dims[d][0]);
+}
+
+/**
+ * Turns a flat list of values into nested arrays for multi-dimensional arrays
+ * @private
+ * @param {Array<*>} values
+ * @param {Array<Array<number>>} dims
+ */
+function reshape(values, dims) {
+    if (dims.length < 2) return values;
+
+    let [low, high] = dims[0];
+    let len = high - low + 1;
+    let chunk = values.length / len;
+    let res = [];
+    for (let i = 0; i < len; i++) {
+        res.push(reshape(values.slice(i * chunk, (i + 1) * chunk), dims.slice(1)));
+    }
+    return res;
+}
+
+/**
+ * @private
+ * @param {*} value
+ * @returns {Array<*>}
+ */
+function flatten(value) {
+    if (!Array.isArray(value)) return [value];
+    return value.reduce((acc, v) => acc.concat(flatten(v)), []);
+}
+
+/**
+ * @private
+ * @param {object} obj
+ * @param {Array<string|number>} path
+ * @param {*} value
+ */
+function setPath(obj, path, value) {
+    let cur = obj;
+    for (let i = 0; i < path.length - 1; i++) {
+        if (cur[path[i]] === undefined) {
+            cur[path[i]] = typeof path[i + 1] === 'number' ? [] : {};
+        }
+        cur = cur[path[i]];
+    }
+    cur[path[path.length - 1]] = value;
+}
+
+/**
+ * @private
+ * @param {object} obj
+ * @param {Array<string|number>} path
+ */
+function getPath(obj, path) {
+    let cur = obj;
+    for (const key of path) {
+        if (cur === undefined || cur === null) return undefined;
+        cur = cur[key];
+    }
+    return cur;
+}
+
+module.exports = S7StructItem;
@@ -0,0 +1,444 @@
+//@ts-check
+/*
+  Copyright: (c) 2018-2020, Guilherme Francescon Cittolin <gfcittolin@gmail.com>
+  GNU General Public License v3.0+ (see LICENSE or https://www.gnu.org/licenses/gpl-3.0.txt)
+*/
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const debug = util.debuglog('nodes7');
+
+const S7Item = require('./s7item.js');
+const AddressParserStep7 = require('./addressParser/step7.js');
+const AddressParserNodeS7 = require('./addressParser/nodes7.js');
+const NodeS7Error = require('./errors.js');
+const { ELEMENTARY_TYPES, TYPE_ALIASES } = require('./dbLayout/layout.js');
+
+const readFile = util.promisify(fs.readFile);
+
+/**
+ * Types whose NODES7 address needs a length, that symbol tables don't have
+ */
+const UNSIZED_TYPES = ['STRING', 'WSTRING'];
+
+/**
+ * Symbols of these types refer to blocks, and not to memory areas
+ */
+const BLOCK_TYPES = ['OB', 'FB', 'FC', 'SFB', 'SFC', 'DB', 'SDB', 'UDT', 'VAT'];
+
+/**
+ * @typedef {object} TagInfo
+ * @property {string} name the symbolic name of the tag
+ * @property {string} address the address of the tag, in the NODES7 format
+ * @property {string} [dataType] the data type of the tag, as declared on the symbol table
+ * @property {string} [comment] the comment of the tag
+ */
+
+/**
+ * @typedef {object} SkippedSymbol
+ * @property {string} name the symbolic name
+ * @property {string} address the address, as found on the symbol table
+ * @property {string} dataType the data type, as found on the symbol table
+ * @property {string} reason why the symbol couldn't be loaded
+ */
+
+/**
+ * @typedef {object} LoadResult
+ * @property {number} loaded the number of tags loaded
+ * @property {SkippedSymbol[]} skipped the symbols that have been skipped
+ */
+
+/**
+ * A database of symbolic tag names and their addresses, that may be
+ * loaded from symbol table exports of STEP7 (`.asc` and `.sdf` files)
+ * and from PLC tag tables of TIA Portal (exported to CSV). It can be
+ * attached to an {@link S7ItemGroup}, so tags can be added by their names
+ */
+class S7TagDatabase {
+
+    constructor() {
+        debug('new S7TagDatabase');
+
+        /** @private @type {Map<string,TagInfo>} */
+        this._tags = new Map();
+    }
+
+    /**
+     * The number of tags in this database
+     * @returns {number}
+     */
+    get size() {
+        return this._tags.size;
+    }
+
+    /**
+     * The names of all tags in this database
+     * @returns {string[]}
+     */
+    get tagNames() {
+        return Array.from(this._tags.keys());
+    }
+
+    /**
+     * Adds a tag to the database, replacing any other one with the same name
+     *
+     * @param {string} name the symbolic name of the tag
+     * @param {string} address the address of the tag, in the NODES7 format
+     * @param {object} [info] additional info about the tag
+     * @param {string} [info.dataType] the data type of the tag
+     * @param {string} [info.comment] the comment of the tag
+     * @throws {NodeS7Error} ERR_INVALID_ARGUMENT - when the name is missing
+     * @throws {NodeS7Error} when the address is invalid
+     */
+    addTag(name, address, info) {
+        debug('S7TagDatabase addTag', name, address);
+
+        info = info || {};
+
+        if (typeof name !== 'string' || !name) {
+            throw new NodeS7Error('ERR_INVALID_ARGUMENT', "Tag name must be a non-empty string");
+        }
+
+        // fail early on invalid addresses
+        AddressParserNodeS7.parse(address);
+
+        this._tags.set(name, {
+            name, address,
+            dataType: info.dataType,
+            comment: info.comment
+        });
+    }
+
+    /**
+     * Removes a tag from the database
+     * @param {string} name the symbolic name of the tag
+     */
+    removeTag(name) {
+        debug('S7TagDatabase removeTag', name);
+
+        this._tags.delete(name);
+    }
+
+    /**
+     * Removes all tags from the database
+     */
+    clear() {
+        debug('S7TagDatabase clear');
+
+        this._tags.clear();
+    }
+
+    /**
+     * Whether a tag with the given name exists
+     * @param {string} name the symbolic name of the tag
+     * @returns {boolean}
+     */
+    hasTag(name) {
+        return this._tags.has(name);
+    }
+
+    /**
+     * Gets the info of a tag
+     * @param {string} name the symbolic name of the tag
+     * @returns {TagInfo|undefined}
+     */
+    getTag(name) {
+        return this._tags.get(name);
+    }
+
+    /**
+     * Gets the address of a tag, in the NODES7 format
+     * @param {string} name the symbolic name of the tag
+     * @returns {string|undefined}
+     */
+    getAddress(name) {
+        let tag = this._tags.get(name);
+        return tag && tag.address;
+    }
+
+    /**
+     * Creates a new S7Item for the given tag
+     *
+     * @param {string} name the symbolic name of the tag
+     * @param {object} [opts] options passed to the S7Item constructor
+     * @returns {S7Item}
+     * @throws {NodeS7Error} ERR_INVALID_ARGUMENT - when the tag doesn't exist
+     */
+    createItem(name, opts) {
+        debug('S7TagDatabase createItem', name);
+
+        let tag = this._tags.get(name);
+        if (!tag) {
+            throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Unknown tag "${name}"`, { tag: name });
+        }
+
+        return new S7Item(name, tag.address, Object.assign({}, opts, { addressFormat: 'nodes7' }));
+    }
+
+    /**
+     * Loads the symbols of a symbol table export into the database. Symbols
+     * that cannot be translated to an address (e.g. blocks or unsupported
+     * types) are skipped and reported on the result
+     *
+     * @param {string} content the content of the exported file
+     * @param {string} [format] the format of the content: "asc", "sdf" or "csv". Detected automatically if omitted
+     * @returns {LoadResult}
+     * @throws {NodeS7Error} ERR_INVALID_ARGUMENT - when the format is unknown or cannot be detected
+     */
+    loadSymbolTable(content, format) {
+        debug('S7TagDatabase loadSymbolTable', format);
+
+        // strip a BOM, if any
+        content = content.replace(/^\uFEFF/, '');
+        format = format || detectFormat(content);
+
+        let symbols;
+        switch (format) {
+            case 'asc':
+                symbols = parseAsc(content);
+                break;
+            case 'sdf':
+                symbols = parseSdf(content);
+                break;
+            case 'csv':
+                symbols = parseTiaCsv(content);
+                break;
+            default:
+                throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Unknown symbol table format "${format}"`);
+        }
+
+        let result = { loaded: 0, skipped: [] };
+
+        for (const sym of symbols) {
+            try {
+                let address = symbolToAddress(sym.address, sym.dataType);
+                this.addTag(sym.name, address, { dataType: sym.dataType || undefined, comment: sym.comment || undefined });
+                result.loaded++;
+            } catch (e) {
+                debug('S7TagDatabase loadSymbolTable skip', sym, e);
+                result.skipped.push({ name: sym.name, address: sym.address, dataType: sym.dataType, reason: e.message });
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Reads a symbol table export from a file and loads it into the database.
+     * The format is taken from the file extension if not given
+     *
+     * @param {string} filename the path to the exported file
+     * @param {string} [format] the format of the file: "asc", "sdf" or "csv"
+     * @returns {Promise<LoadResult>}
+     */
+    async loadFile(filename, format) {
+        debug('S7TagDatabase loadFile', filename, format);
+
+        format = format || path.extname(filename).substr(1).toLowerCase();
+
+        let buf = await readFile(filename);
+
+        // STEP7 exports use the Windows codepage, TIA Portal ones are UTF-8
+        let hasBOM = buf.length >= 3 && buf[0] === 0xef && buf[1] === 0xbb && buf[2] === 0xbf;
+        let content = buf.toString(hasBOM || format === 'csv' ? 'utf8' : 'latin1');
+
+        return this.loadSymbolTable(content, format);
+    }
+
+    /**
+     * Returns a function that translates tag names to addresses, to be
+     * used with S7ItemGroup's setTranslationCB(). Unknown tags are
+     * returned unchanged, so they're handled as addresses
+     * @returns {function(string): string}
+     */
+    getTranslationCB() {
+        return tag => this.getAddress(tag) || tag;
+    }
+}
+
+module.exports = S7TagDatabase;
+
+/**
+ * Guesses the format of a symbol table export by its content
+ * @private
+ * @param {string} content
+ */
+function detectFormat(content) {
+    let firstLine = content.split(/\r?\n/).find(l => l.trim()) || '';
+
+    if (/^\d+,/.test(firstLine)) return 'asc';
+    if (/^"[^"]*","[^"]*","[^"]*"/.test(firstLine)) return 'sdf';
+    if (/name/i.test(firstLine) && /address/i.test(firstLine)) return 'csv';
+
+    throw new NodeS7Error('ERR_INVALID_ARGUMENT', "Could not detect the format of the symbol table");
+}
+
+/**
+ * Parses the fixed-width ASCII export of STEP7's symbol table. Each
+ * line has a record id, the symbol (24 chars), the address (12 chars),
+ * the data type (10 chars) and the comment (80 chars)
+ * @private
+ * @param {string} content
+ */
+function parseAsc(content) {
+    let res = [];
+    for (const line of content.split(/\r?\n/)) {
+        let match = line.match(/^\d+,(.*)$/);
+        if (!match) continue;
+
+        let rec = match[1];
+        res.push({
+            name: rec.substr(0, 24).trim(),
+            address: rec.substr(24, 12).trim(),
+            dataType: rec.substr(36, 10).trim(),
+            comment: rec.substr(46).trim()
+        });
+    }
+    return res;
+}
+
+/**
+ * Parses the System Data Format export of STEP7's symbol table, where
+ * each line has quoted and comma-separated symbol, address, data type
+ * and comment
+ * @private
+ * @param {string} content
+ */
+function parseSdf(content) {
+    return parseCsv(content, ',').filter(r => r.length >= 3).map(r => ({
+        name: r[0].trim(),
+        address: r[1].trim(),
+        dataType: r[2].trim(),
+        comment: (r[3] || '').trim()
+    }));
+}
+
+/**
+ * Parses PLC tag tables of TIA Portal exported to CSV. The columns are
+ * identified by the names on the header line
+ * @private
+ * @param {string} content
+ */
+function parseTiaCsv(content) {
+    let firstLine = content.split(/\r?\n/, 1)[0];
+    // Excel uses ";" as separator on many locales
+    let separator = (firstLine.split(';').length > firstLine.split(',').length) ? ';' : ',';
+
+    let rows = parseCsv(content, separator);
+    let header = (rows.shift() || []).map(h => h.trim().toLowerCase());
+
+    const findColumn = (...names) => header.findIndex(h => names.includes(h));
+    let colName = findColumn('name');
+    let colAddress = findColumn('logical address', 'address');
+    let colType = findColumn('data type', 'datatype');
+    let colComment = findColumn('comment');
+
+    if (colName < 0 || colAddress < 0) {
+        throw new NodeS7Error('ERR_INVALID_ARGUMENT', "Could not find the name and address columns of the tag table");
+    }
+
+    return rows.filter(r => r[colName] && r[colName].trim()).map(r => ({
+        name: r[colName].trim(),
+        address: (r[colAddress] || '').trim(),
+        dataType: colType < 0 ? '' : (r[colType] || '').trim(),
+        comment: colComment < 0 ? '' : (r[colComment] || '').trim()
+    }));
+}
+
+/**
+ * Splits CSV content into rows of fields, handling quoted
+ * fields with escaped quotes and line breaks
+ * @private
+ * @param {string} content
+ * @param {string} separator
+ * @returns {string[][]}
+ */
+function parseCsv(content, separator) {
+    let rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < content.length; i++) {
+        let c = content[i];
+
+        if (quoted) {
+            if (c === '"') {
+                if (content[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    quoted = false;
+                }
+            } else {
+                field += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === separator) {
+            row.push(field);
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && content[i + 1] === '\n') i++;
+            row.push(field);
+            field = '';
+            if (row.length > 1 || row[0]) rows.push(row);
+            row = [];
+        } else {
+            field += c;
+        }
+    }
+
+    row.push(field);
+    if (row.length > 1 || row[0]) rows.push(row);
+
+    return rows;
+}
+
+/**
+ * Translates the address and data type of a symbol
+ * into an address in the NODES7 format
+ * @private
+ * @param {string} address the address in the STEP7 syntax
+ * @param {string} dataType the data type of the symbol
+ * @returns {string}
+ */
+function symbolToAddress(address, dataType) {
+    let type = (dataType || '').toUpperCase().replace(/\s+/g, '');
+
+    if (BLOCK_TYPES.includes(type) || /^(OB|FB|FC|SFB|SFC|DB|SDB|UDT|VAT)\s*\d+$/i.test(address)) {
+        throw new NodeS7Error('ERR_INVALID_ARGUMENT', `Symbol refers to block "${address}"`);
+    }
+
+    let nodes7Addr = AddressParserStep7.translate(address);
+    let props = AddressParserNodeS7.parse(nodes7Addr);
+
+    // use the address as is if there's no typing info, or if it's not
+    // possible to type it (timers, counters, peripherals)
+    if (!type || !['DB', 'I', 'Q', 'M'].includes(props.addrtype)) {
+        return nodes7Addr;
+    }
+
+    let elementary = !UNSIZED_TYPES.includes(type) && ELEMENTARY_TYPES[TYPE_ALIASES[type] || type];
+    if (!elementary) {
+        throw new NodeS7Error('ERR_PARSE_DATATYPE', `Unsupported data type "${dataType}"`);
+    }
+
+    let code = elementary.code;
+    if ((code === 'X') !== (props.datatype === 'X')) {
+        throw new NodeS7Error('ERR_PARSE_DATATYPE', `Data type "${dataType}" doesn't match the address "${address}"`);
+    }
+
+    let bitAddr = code === 'X' ? `.${props.bitOffset}` : '';
+    let result;
+    if (props.addrtype === 'DB') {
+        result = `DB${props.dbNumber},${code}${props.offset}${bitAddr}`;
+    } else {
+        result = `${props.addrtype}${code === 'X' ? '' : code}${props.offset}${bitAddr}`;
+    }
+
+    // ensure the resulting address is valid
+    AddressParserNodeS7.parse(result);
+    return result;
+}
@@ -0,0 +1,139 @@
+//@ts-check
+/*
+    Copyright (c) 2019 Guilherme Francescon Cittolin
+
+    Permission is hereby granted, free of charge, to any person obtaining a copy
+    of this software and associated documentation files (the "Software"), to deal
+    in the Software without restriction, including without limitation the rights
+    to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+    copies of the Software, and to permit persons to whom the Software is
+    furnished to do so, subject to the following conditions:
+
+    The above copyright notice and this permission notice shall be included in all
+    copies or substantial portions of the Software.
+
+    THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+    IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+    FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+    AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+    LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+    OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+    SOFTWARE.
+*/
+/*jshint esversion: 6, node: true*/
+
+const { expect } = require('chai');
+const { EventEmitter } = require('events');
+const { registerAddressParser, unregisterAddressParser, getAddressParser, parseAddress } = require('../../src/addressParser/index.js');
+const AddressParserNodeS7 = require('../../src/addressParser/nodes7.js');
+const S7Item = require('../../src/s7item.js');
+const S7ItemGroup = require('../../src/s7itemGroup.js');
+//@ts-ignore
+const constants = require('../../src/constants.json');
+
+/**
+ * A plant-specific dialect, where "N7:10" means the INT
+ * with index 10 of DB7
+ */
+function parsePlantAddress(address) {
+    let match = address.match(/^N(\d+):(\d+)$/);
+    if (!match) throw new Error(`Bad plant address "${address}"`);
+
+    return {
+        addrtype: 'DB',
+        datatype: 'INT',
+        dtypelen: 2,
+        offset: parseInt(match[2]) * 2,
+        dbNumber: parseInt(match[1]),
+        readTransportCode: constants.proto.transport.BYTE,
+        writeTransportCode: constants.proto.dataTransport.BBYTE,
+        areaCode: constants.proto.area.DB,
+        byteLength: 2
+    };
+}
+
+describe('Address Parser Registry', () => {
+
+    beforeEach(() => {
+        registerAddressParser('plant', parsePlantAddress);
+        registerAddressParser('plant-obj', { parse: parsePlantAddress });
+    });
+
+    afterEach(() => {
+        unregisterAddressParser('plant');
+        unregisterAddressParser('plant-obj');
+    });
+
+    it('should have the built-in parsers registered', () => {
+        expect(getAddressParser('nodes7')).to.be.equal(AddressParserNodeS7);
+        expect(getAddressParser('step7')).to.be.an('object');
+        expect(getAddressParser('s7200')).to.be.an('object');
+        expect(getAddressParser('logo-0ba7')).to.be.an('object');
+        expect(getAddressParser('logo-0ba8')).to.be.an('object');
+        expect(getAddressParser('foo')).to.be.undefined;
+    });
+
+    it('should parse with a custom parser function and fill in the defaults', () => {
+        expect(parseAddress('N7:10', 'plant')).to.be.deep.equal({
+            addrtype: 'DB',
+            datatype: 'INT',
+            dtypelen: 2,
+            offset: 20,
+            bitOffset: 0,
+            arrayLength: 1,
+            dbNumber: 7,
+            readTransportCode: constants.proto.transport.BYTE,
+            writeTransportCode: constants.proto.dataTransport.BBYTE,
+            areaCode: constants.proto.area.DB,
+            byteLength: 2,
+            byteLengthWrite: 2,
+            byteLengthWithFill: 2
+        });
+    });
+
+    it('should parse with a custom parser object', () => {
+        expect(parseAddress('N7:10', 'plant-obj')).to.be.deep.equal(parseAddress('N7:10', 'plant'));
+    });
+
+    it('should auto-detect only the built-in formats', () => {
+        expect(parseAddress('DB7,W20')).to.be.deep.equal(parseAddress('DB7.DBW20', 'step7'));
+        expect(() => parseAddress('N7:10')).to.throw('invalid address format');
+    });
+
+    it('should reject invalid registrations', () => {
+        expect(() => registerAddressParser('plant', parsePlantAddress)).to.throw('already registered');
+        expect(() => registerAddressParser('nodes7', parsePlantAddress)).to.throw('already registered');
+        expect(() => registerAddressParser('auto', parsePlantAddress)).to.throw('Invalid address format name');
+        expect(() => registerAddressParser('foo', {})).to.throw('must be a function');
+        expect(() => unregisterAddressParser('step7')).to.throw('Cannot unregister');
+        expect(() => unregisterAddressParser('s7200')).to.throw('Cannot unregister');
+        expect(() => unregisterAddressParser('logo-0ba8')).to.throw('Cannot unregister');
+    });
+
+    it('should reject incomplete results from custom parsers', () => {
+        registerAddressParser('broken', () => ({ datatype: 'INT' }));
+        try {
+            expect(() => parseAddress('N7:10', 'broken')).to.throw('did not return "dtypelen"');
+        } finally {
+            unregisterAddressParser('broken');
+        }
+    });
+
+    it('should throw on unknown formats', () => {
+        expect(() => parseAddress('N7:10', 'foo')).to.throw('Unknown address format');
+    });
+
+    it('should use a custom parser on S7Item', () => {
+        let item = new S7Item('Item', 'N7:10', { addressFormat: 'plant' });
+        expect(item.dbNumber).to.be.equal(7);
+        expect(item.offset).to.be.equal(20);
+        expect(item.getWriteBuffer(-2).toString('hex')).to.be.equal('fffe');
+    });
+
+    it('should use a custom parser on S7ItemGroup', () => {
+        let group = new S7ItemGroup(/** @type {any} */(new EventEmitter()), { addressFormat: 'plant' });
+        group.addItems('N7:10');
+        expect(group._items.get('N7:10').offset).to.be.equal(20);
+        expect(() => group.addItems('DB7,INT20')).to.throw('Bad plant address');
+    });
+});
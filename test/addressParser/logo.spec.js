@@ -0,0 +1,91 @@
+//@ts-check
+/*
+    Copyright (c) 2019 Guilherme Francescon Cittolin
+
+    Permission is hereby granted, free of charge, to any person obtaining a copy
+    of this software and associated documentation files (the "Software"), to deal
+    in the Software without restriction, including without limitation the rights
+    to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+    copies of the Software, and to permit persons to whom the Software is
+    furnished to do so, subject to the following conditions:
+
+    The above copyright notice and this permission notice shall be included in all
+    copies or substantial portions of the Software.
+
+    THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+    IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+    FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+    AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+    LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+    OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+    SOFTWARE.
+*/
+/*jshint esversion: 6, node: true*/
+
+const { expect } = require('chai');
+const { AddressParserLogo0BA7, AddressParserLogo0BA8 } = require('../../src/addressParser/logo.js');
+const { parseAddress } = require('../../src/addressParser/index.js');
+
+describe('LOGO! Address Parser', () => {
+
+    function translateAddress(parser, address, expected) {
+        it(`should translate "${address}" to "${expected}" on ${parser._version}`, () => {
+            expect(parser.translate(address)).to.be.equal(expected);
+        });
+    }
+
+    function catchAddress(parser, address, cause) {
+        it(`should throw "${cause}" on invalid address "${address}" on ${parser._version}`, () => {
+            expect(() => parser.parse(address)).to.throw(cause);
+        });
+    }
+
+    translateAddress(AddressParserLogo0BA8, 'I1', 'DB1,X1024.0');
+    translateAddress(AddressParserLogo0BA8, 'I3', 'DB1,X1024.2');
+    translateAddress(AddressParserLogo0BA8, 'I24', 'DB1,X1026.7');
+    translateAddress(AddressParserLogo0BA8, 'AI1', 'DB1,I1032');
+    translateAddress(AddressParserLogo0BA8, 'AI8', 'DB1,I1046');
+    translateAddress(AddressParserLogo0BA8, 'Q2', 'DB1,X1064.1');
+    translateAddress(AddressParserLogo0BA8, 'Q20', 'DB1,X1066.3');
+    translateAddress(AddressParserLogo0BA8, 'AQ2', 'DB1,I1074');
+    translateAddress(AddressParserLogo0BA8, 'M5', 'DB1,X1104.4');
+    translateAddress(AddressParserLogo0BA8, 'M64', 'DB1,X1111.7');
+    translateAddress(AddressParserLogo0BA8, 'AM4', 'DB1,I1124');
+    translateAddress(AddressParserLogo0BA8, 'NI1', 'DB1,X1246.0');
+    translateAddress(AddressParserLogo0BA8, 'NAI2', 'DB1,I1264');
+    translateAddress(AddressParserLogo0BA8, 'NQ1', 'DB1,X1390.0');
+    translateAddress(AddressParserLogo0BA8, 'NAQ16', 'DB1,I1436');
+    translateAddress(AddressParserLogo0BA8, 'V10.3', 'DB1,X10.3');
+    translateAddress(AddressParserLogo0BA8, 'VB10', 'DB1,B10');
+    translateAddress(AddressParserLogo0BA8, 'VW10', 'DB1,W10');
+    translateAddress(AddressParserLogo0BA8, 'VD10', 'DB1,DW10');
+    translateAddress(AddressParserLogo0BA8, ' q 2', 'DB1,X1064.1');
+
+    translateAddress(AddressParserLogo0BA7, 'I3', 'DB1,X923.2');
+    translateAddress(AddressParserLogo0BA7, 'AI1', 'DB1,I926');
+    translateAddress(AddressParserLogo0BA7, 'Q2', 'DB1,X942.1');
+    translateAddress(AddressParserLogo0BA7, 'AQ2', 'DB1,I946');
+    translateAddress(AddressParserLogo0BA7, 'M27', 'DB1,X951.2');
+    translateAddress(AddressParserLogo0BA7, 'AM4', 'DB1,I958');
+    translateAddress(AddressParserLogo0BA7, 'VW10', 'DB1,W10');
+
+    catchAddress(AddressParserLogo0BA8, 'I0', 'out of range 1-24');
+    catchAddress(AddressParserLogo0BA8, 'Q21', 'out of range 1-20');
+    catchAddress(AddressParserLogo0BA7, 'M28', 'out of range 1-27');
+    catchAddress(AddressParserLogo0BA7, 'NI1', 'not available on LOGO! 0BA7');
+    catchAddress(AddressParserLogo0BA8, 'V10', 'Bit address offset required');
+    catchAddress(AddressParserLogo0BA8, 'VW10.1', 'Invalid use of bit address');
+    catchAddress(AddressParserLogo0BA8, 'DB1,X0.0', 'invalid address format');
+
+    it('should parse to the properties of the DB1 item', () => {
+        let props = AddressParserLogo0BA8.parse('AI1');
+        expect(props.dbNumber).to.be.equal(1);
+        expect(props.datatype).to.be.equal('INT');
+        expect(props.offset).to.be.equal(1032);
+    });
+
+    it('should be available as address formats', () => {
+        expect(parseAddress('Q2', 'logo-0ba8')).to.be.deep.equal(parseAddress('DB1,X1064.1'));
+        expect(parseAddress('Q2', 'logo-0ba7')).to.be.deep.equal(parseAddress('DB1,X942.1'));
+    });
+});
@@ -0,0 +1,65 @@
+//@ts-check
+/*
+    Copyright (c) 2019 Guilherme Francescon Cittolin
+
+    Permission is hereby granted, free of charge, to any person obtaining a copy
+    of this software and associated documentation files (the "Software"), to deal
+    in the Software without restriction, including without limitation the rights
+    to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+    copies of the Software, and to permit persons to whom the Software is
+    furnished to do so, subject to the following conditions:
+
+    The above copyright notice and this permission notice shall be included in all
+    copies or substantial portions of the Software.
+
+    THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+    IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+    FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+    AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+    LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+    OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+    SOFTWARE.
+*/
+/*jshint esversion: 6, node: true*/
+
+const { expect } = require('chai');
+const AddressParserS7200 = require('../../src/addressParser/s7200.js');
+const AddressParserNodeS7 = require('../../src/addressParser/nodes7.js');
+const S7ItemGroup = require('../../src/s7itemGroup.js');
+const { createEndpoint } = require('../fakeEndpoint.js');
+//@ts-ignore
+const constants = require('../../src/constants.json');
+
+describe('S7-200 Address Parser', () => {
+
+    it('should reject timers and counters', () => {
+        for (const addr of ['T37', 'C5', 'C5.2']) {
+            expect(() => AddressParserS7200.parse(addr)).to.throw('timers and counters are not supported');
+        }
+        let group = new S7ItemGroup(createEndpoint(), { addressFormat: 's7200' });
+        expect(() => group.addItems('T37')).to.throw('timers and counters are not supported');
+    });
+
+    it('should parse other addresses like the NODES7 parser', () => {
+        for (const addr of ['VB100', 'VW102', 'VD104', 'V10.3', 'AIW0', 'AQW2', 'SMB28', 'I0.0', 'QB1', 'MW10']) {
+            expect(AddressParserS7200.parse(addr)).to.be.deep.equal(AddressParserNodeS7.parse(addr));
+        }
+        expect(() => AddressParserS7200.parse('FOO')).to.throw('invalid address format');
+    });
+
+    it('should optimize reads of V memory', async () => {
+        let endpoint = createEndpoint();
+        let group = new S7ItemGroup(endpoint, { addressFormat: 's7200' });
+        group.addItems(['VB100', 'VW102', 'V104.1', 'SMB28', 'SMB29', 'AIW0', 'AIW2']);
+        await group.readAllItems();
+
+        expect(endpoint.readRequests.length).to.be.equal(1);
+        let parts = endpoint.readRequests[0].map(p => [p.area, p.address, p.length]);
+        expect(parts).to.be.deep.equal([
+            [constants.proto.area.SYSFLAGS, 28, 2],
+            [constants.proto.area.ANAIN, 0, 2],
+            [constants.proto.area.ANAIN, 2, 2],
+            [constants.proto.area.V, 100, 5]
+        ]);
+    });
+});
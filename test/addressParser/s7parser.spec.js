@@ -42,6 +42,11 @@ const A_PERIPHALS = constants.proto.area.PERIPHALS;
 const A_TIMER = constants.proto.area.TIMER;
 const A_COUNTER = constants.proto.area.COUNTER;
 const A_DB = constants.proto.area.DB;
+const A_DI = constants.proto.area.DI;
+const A_V = constants.proto.area.V;
+const A_SYSFLAGS = constants.proto.area.SYSFLAGS;
+const A_ANAIN = constants.proto.area.ANAIN;
+const A_ANAOUT = constants.proto.area.ANAOUT;
 
 describe('NodeS7 Address Parser', () => {
 
@@ -49,9 +54,9 @@ describe('NodeS7 Address Parser', () => {
         expect(typeof parse).to.be.equal('function');
     });
 
-    function decodeAddress(address, addrtype, datatype, dtypelen, offset, bitOffset, arrayLength, dbNumber, readTransportCode, writeTransportCode, areaCode, byteLength, byteLengthWrite) {
+    function decodeAddress(address, addrtype, datatype, dtypelen, offset, bitOffset, arrayLength, dbNumber, readTransportCode, writeTransportCode, areaCode, byteLength, byteLengthWrite, extra) {
         it(`should decode address "${address}"`, (done) => {
-            expect(parse(address)).to.be.deep.equal({
+            expect(parse(address)).to.be.deep.equal(Object.assign({
                 addrtype,
                 datatype,
                 dtypelen,
@@ -65,7 +70,7 @@ describe('NodeS7 Address Parser', () => {
                 byteLength,
                 byteLengthWrite,
                 byteLengthWithFill: byteLength + (byteLength % 2)
-            });
+            }, extra));
             done();
         });
     }
@@ -124,6 +129,12 @@ describe('NodeS7 Address Parser', () => {
     decodeAddress('DB9,S6.8', 'DB', 'STRING', 10, 6, 0, 1, 9, R_BYTE, W_BYTE, A_DB, 10, 10);
     decodeAddress('DB9,STRING6.8', 'DB', 'STRING', 10, 6, 0, 1, 9, R_BYTE, W_BYTE, A_DB, 10, 10);
     decodeAddress('DB9,S6.8.2', 'DB', 'STRING', 10, 6, 0, 2, 9, R_BYTE, W_BYTE, A_DB, 20, 20);
+    decodeAddress('DB1,WS10.50', 'DB', 'WSTRING', 104, 10, 0, 1, 1, R_BYTE, W_BYTE, A_DB, 104, 104);
+    decodeAddress('DB1,WSTRING10.8.3', 'DB', 'WSTRING', 20, 10, 0, 3, 1, R_BYTE, W_BYTE, A_DB, 60, 60);
+    decodeAddress('DB5,RAW0.200', 'DB', 'RAW', 200, 0, 0, 1, 5, R_BYTE, W_BYTE, A_DB, 200, 200);
+    decodeAddress('DB5,BUFFER10.3.2', 'DB', 'RAW', 3, 10, 0, 2, 5, R_BYTE, W_BYTE, A_DB, 6, 6);
+    decodeAddress('DB1,WC4', 'DB', 'WCHAR', 2, 4, 0, 1, 1, R_BYTE, W_BYTE, A_DB, 2, 2);
+    decodeAddress('DB1,WCHAR4.5', 'DB', 'WCHAR', 2, 4, 0, 5, 1, R_BYTE, W_BYTE, A_DB, 10, 10);
     decodeAddress('DB9,I16', 'DB', 'INT', 2, 16, 0, 1, 9, R_BYTE, W_BYTE, A_DB, 2, 2);
     decodeAddress('DB9,INT16', 'DB', 'INT', 2, 16, 0, 1, 9, R_BYTE, W_BYTE, A_DB, 2, 2);
     decodeAddress('DB8,W18', 'DB', 'WORD', 2, 18, 0, 1, 8, R_BYTE, W_BYTE, A_DB, 2, 2);
@@ -143,50 +154,131 @@ describe('NodeS7 Address Parser', () => {
     decodeAddress('DB11,DTL34.2', 'DB', 'DTL', 12, 34, 0, 2, 11, R_BYTE, W_BYTE, A_DB, 24, 24);
     decodeAddress('DB11,DTLZ74', 'DB', 'DTLZ', 12, 74, 0, 1, 11, R_BYTE, W_BYTE, A_DB, 12, 12);
     decodeAddress('DB11,DTLZ34.2', 'DB', 'DTLZ', 12, 34, 0, 2, 11, R_BYTE, W_BYTE, A_DB, 24, 24);
+    decodeAddress('DB1,LR8', 'DB', 'LREAL', 8, 8, 0, 1, 1, R_BYTE, W_BYTE, A_DB, 8, 8);
+    decodeAddress('DB1,LREAL8.4', 'DB', 'LREAL', 8, 8, 0, 4, 1, R_BYTE, W_BYTE, A_DB, 32, 32);
+    decodeAddress('DB1,LI16', 'DB', 'LINT', 8, 16, 0, 1, 1, R_BYTE, W_BYTE, A_DB, 8, 8);
+    decodeAddress('DB1,LINT16.2', 'DB', 'LINT', 8, 16, 0, 2, 1, R_BYTE, W_BYTE, A_DB, 16, 16);
+    decodeAddress('DB1,ULI24', 'DB', 'ULINT', 8, 24, 0, 1, 1, R_BYTE, W_BYTE, A_DB, 8, 8);
+    decodeAddress('DB1,ULINT24', 'DB', 'ULINT', 8, 24, 0, 1, 1, R_BYTE, W_BYTE, A_DB, 8, 8);
+    decodeAddress('DB1,LW32', 'DB', 'LWORD', 8, 32, 0, 1, 1, R_BYTE, W_BYTE, A_DB, 8, 8);
+    decodeAddress('DB1,LWORD32.3', 'DB', 'LWORD', 8, 32, 0, 3, 1, R_BYTE, W_BYTE, A_DB, 24, 24);
+    decodeAddress('DB3,TIME0', 'DB', 'TIME', 4, 0, 0, 1, 3, R_BYTE, W_BYTE, A_DB, 4, 4);
+    decodeAddress('DB3,TIME0.3', 'DB', 'TIME', 4, 0, 0, 3, 3, R_BYTE, W_BYTE, A_DB, 12, 12);
+    decodeAddress('DB3,LTIME4', 'DB', 'LTIME', 8, 4, 0, 1, 3, R_BYTE, W_BYTE, A_DB, 8, 8);
+    decodeAddress('DB3,TOD12', 'DB', 'TOD', 4, 12, 0, 1, 3, R_BYTE, W_BYTE, A_DB, 4, 4);
+    decodeAddress('DB3,LTOD16', 'DB', 'LTOD', 8, 16, 0, 1, 3, R_BYTE, W_BYTE, A_DB, 8, 8);
+    decodeAddress('DB3,DATE24', 'DB', 'DATE', 2, 24, 0, 1, 3, R_BYTE, W_BYTE, A_DB, 2, 2);
+    decodeAddress('DB3,LDT26', 'DB', 'LDT', 8, 26, 0, 1, 3, R_BYTE, W_BYTE, A_DB, 8, 8);
+    decodeAddress('DB3,S5TIME34', 'DB', 'S5TIME', 2, 34, 0, 1, 3, R_BYTE, W_BYTE, A_DB, 2, 2);
+    decodeAddress('DB3,S5TIME36.4', 'DB', 'S5TIME', 2, 36, 0, 4, 3, R_BYTE, W_BYTE, A_DB, 8, 8);
+    decodeAddress('DB2,SI1', 'DB', 'SINT', 1, 1, 0, 1, 2, R_BYTE, W_BYTE, A_DB, 1, 1);
+    decodeAddress('DB2,SINT1.3', 'DB', 'SINT', 1, 1, 0, 3, 2, R_BYTE, W_BYTE, A_DB, 3, 3);
+    decodeAddress('DB2,USI4', 'DB', 'USINT', 1, 4, 0, 1, 2, R_BYTE, W_BYTE, A_DB, 1, 1);
+    decodeAddress('DB2,USINT4', 'DB', 'USINT', 1, 4, 0, 1, 2, R_BYTE, W_BYTE, A_DB, 1, 1);
+    decodeAddress('DB2,UI6', 'DB', 'UINT', 2, 6, 0, 1, 2, R_BYTE, W_BYTE, A_DB, 2, 2);
+    decodeAddress('DB2,UINT6.2', 'DB', 'UINT', 2, 6, 0, 2, 2, R_BYTE, W_BYTE, A_DB, 4, 4);
+    decodeAddress('DB2,UDI8', 'DB', 'UDINT', 4, 8, 0, 1, 2, R_BYTE, W_BYTE, A_DB, 4, 4);
+    decodeAddress('DB2,UDINT8', 'DB', 'UDINT', 4, 8, 0, 1, 2, R_BYTE, W_BYTE, A_DB, 4, 4);
+    decodeAddress('DB2,RUI10', 'DB', 'RUINT', 2, 10, 0, 1, 2, R_BYTE, W_BYTE, A_DB, 2, 2);
+    decodeAddress('DB2,RUINT10', 'DB', 'RUINT', 2, 10, 0, 1, 2, R_BYTE, W_BYTE, A_DB, 2, 2);
+    decodeAddress('DB2,RUDI12', 'DB', 'RUDINT', 4, 12, 0, 1, 2, R_BYTE, W_BYTE, A_DB, 4, 4);
+    decodeAddress('DB2,RUDINT12.2', 'DB', 'RUDINT', 4, 12, 0, 2, 2, R_BYTE, W_BYTE, A_DB, 8, 8);
 
     // Flags
     decodeAddress('MC0', 'M', 'CHAR', 1, 0, 0, 1, undefined, R_BYTE, W_BYTE, A_FLAGS, 1, 1);
+    decodeAddress('MWC2.3', 'M', 'WCHAR', 2, 2, 0, 3, undefined, R_BYTE, W_BYTE, A_FLAGS, 6, 6);
     decodeAddress('MI2', 'M', 'INT', 2, 2, 0, 1, undefined, R_BYTE, W_BYTE, A_FLAGS, 2, 2);
     decodeAddress('MDI4', 'M', 'DINT', 4, 4, 0, 1, undefined, R_BYTE, W_BYTE, A_FLAGS, 4, 4);
     decodeAddress('MW8.2', 'M', 'WORD', 2, 8, 0, 2, undefined, R_BYTE, W_BYTE, A_FLAGS, 4, 4);
     decodeAddress('MD12', 'M', 'DWORD', 4, 12, 0, 1, undefined, R_BYTE, W_BYTE, A_FLAGS, 4, 4);
     decodeAddress('MDW12', 'M', 'DWORD', 4, 12, 0, 1, undefined, R_BYTE, W_BYTE, A_FLAGS, 4, 4);
     decodeAddress('MR16', 'M', 'REAL', 4, 16, 0, 1, undefined, R_BYTE, W_BYTE, A_FLAGS, 4, 4);
+    decodeAddress('MLR16', 'M', 'LREAL', 8, 16, 0, 1, undefined, R_BYTE, W_BYTE, A_FLAGS, 8, 8);
+    decodeAddress('MLI24.2', 'M', 'LINT', 8, 24, 0, 2, undefined, R_BYTE, W_BYTE, A_FLAGS, 16, 16);
+    decodeAddress('MULI40', 'M', 'ULINT', 8, 40, 0, 1, undefined, R_BYTE, W_BYTE, A_FLAGS, 8, 8);
+    decodeAddress('MLW48', 'M', 'LWORD', 8, 48, 0, 1, undefined, R_BYTE, W_BYTE, A_FLAGS, 8, 8);
+    decodeAddress('MTIME4', 'M', 'TIME', 4, 4, 0, 1, undefined, R_BYTE, W_BYTE, A_FLAGS, 4, 4);
+    decodeAddress('MS5TIME8', 'M', 'S5TIME', 2, 8, 0, 1, undefined, R_BYTE, W_BYTE, A_FLAGS, 2, 2);
+    decodeAddress('MDATE10.2', 'M', 'DATE', 2, 10, 0, 2, undefined, R_BYTE, W_BYTE, A_FLAGS, 4, 4);
+    decodeAddress('MSI1', 'M', 'SINT', 1, 1, 0, 1, undefined, R_BYTE, W_BYTE, A_FLAGS, 1, 1);
+    decodeAddress('MUSI2.4', 'M', 'USINT', 1, 2, 0, 4, undefined, R_BYTE, W_BYTE, A_FLAGS, 4, 4);
+    decodeAddress('MUI6', 'M', 'UINT', 2, 6, 0, 1, undefined, R_BYTE, W_BYTE, A_FLAGS, 2, 2);
+    decodeAddress('MUDI8', 'M', 'UDINT', 4, 8, 0, 1, undefined, R_BYTE, W_BYTE, A_FLAGS, 4, 4);
+    decodeAddress('MRUI10', 'M', 'RUINT', 2, 10, 0, 1, undefined, R_BYTE, W_BYTE, A_FLAGS, 2, 2);
+    decodeAddress('MRAW10.5', 'M', 'RAW', 5, 10, 0, 1, undefined, R_BYTE, W_BYTE, A_FLAGS, 5, 5);
+    decodeAddress('MBUFFER0.4', 'M', 'RAW', 4, 0, 0, 1, undefined, R_BYTE, W_BYTE, A_FLAGS, 4, 4);
+    decodeAddress('MRUDI12', 'M', 'RUDINT', 4, 12, 0, 1, undefined, R_BYTE, W_BYTE, A_FLAGS, 4, 4);
+    decodeAddress('IUI4', 'I', 'UINT', 2, 4, 0, 1, undefined, R_BYTE, W_BYTE, A_INPUTS, 2, 2);
+    decodeAddress('QSI3', 'Q', 'SINT', 1, 3, 0, 1, undefined, R_BYTE, W_BYTE, A_OUTPUTS, 1, 1);
 
     // Periphals
     decodeAddress('PIB0', 'P', 'BYTE', 1, 0, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 1, 1);
-    decodeAddress('PQB0', 'P', 'BYTE', 1, 0, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 1, 1);
+    decodeAddress('PQB0', 'P', 'BYTE', 1, 0, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 1, 1, { writeOnly: true });
     decodeAddress('PEB1', 'P', 'BYTE', 1, 1, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 1, 1);
-    decodeAddress('PAB1', 'P', 'BYTE', 1, 1, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 1, 1);
+    decodeAddress('PAB1', 'P', 'BYTE', 1, 1, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 1, 1, { writeOnly: true });
     decodeAddress('PIC2', 'P', 'CHAR', 1, 2, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 1, 1);
-    decodeAddress('PQC2', 'P', 'CHAR', 1, 2, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 1, 1);
+    decodeAddress('PQC2', 'P', 'CHAR', 1, 2, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 1, 1, { writeOnly: true });
     decodeAddress('PEC3', 'P', 'CHAR', 1, 3, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 1, 1);
-    decodeAddress('PAC3', 'P', 'CHAR', 1, 3, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 1, 1);
+    decodeAddress('PAC3', 'P', 'CHAR', 1, 3, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 1, 1, { writeOnly: true });
     decodeAddress('PII2', 'P', 'INT', 2, 2, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 2, 2);
-    decodeAddress('PQI2', 'P', 'INT', 2, 2, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 2, 2);
+    decodeAddress('PQI2', 'P', 'INT', 2, 2, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 2, 2, { writeOnly: true });
     decodeAddress('PEI3', 'P', 'INT', 2, 3, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 2, 2);
-    decodeAddress('PAI3', 'P', 'INT', 2, 3, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 2, 2);
+    decodeAddress('PAI3', 'P', 'INT', 2, 3, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 2, 2, { writeOnly: true });
     decodeAddress('PIW2', 'P', 'WORD', 2, 2, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 2, 2);
-    decodeAddress('PQW2', 'P', 'WORD', 2, 2, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 2, 2);
+    decodeAddress('PQW2', 'P', 'WORD', 2, 2, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 2, 2, { writeOnly: true });
     decodeAddress('PEW3', 'P', 'WORD', 2, 3, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 2, 2);
-    decodeAddress('PAW3', 'P', 'WORD', 2, 3, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 2, 2);
+    decodeAddress('PAW3', 'P', 'WORD', 2, 3, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 2, 2, { writeOnly: true });
     decodeAddress('PIDI2', 'P', 'DINT', 4, 2, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 4, 4);
-    decodeAddress('PQDI2', 'P', 'DINT', 4, 2, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 4, 4);
+    decodeAddress('PQDI2', 'P', 'DINT', 4, 2, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 4, 4, { writeOnly: true });
     decodeAddress('PEDI3', 'P', 'DINT', 4, 3, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 4, 4);
-    decodeAddress('PADI3', 'P', 'DINT', 4, 3, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 4, 4);
+    decodeAddress('PADI3', 'P', 'DINT', 4, 3, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 4, 4, { writeOnly: true });
     decodeAddress('PID2', 'P', 'DWORD', 4, 2, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 4, 4);
-    decodeAddress('PQD2', 'P', 'DWORD', 4, 2, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 4, 4);
+    decodeAddress('PQD2', 'P', 'DWORD', 4, 2, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 4, 4, { writeOnly: true });
     decodeAddress('PED3', 'P', 'DWORD', 4, 3, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 4, 4);
-    decodeAddress('PAD3', 'P', 'DWORD', 4, 3, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 4, 4);
+    decodeAddress('PAD3', 'P', 'DWORD', 4, 3, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 4, 4, { writeOnly: true });
     decodeAddress('PIDW2', 'P', 'DWORD', 4, 2, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 4, 4);
-    decodeAddress('PQDW2', 'P', 'DWORD', 4, 2, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 4, 4);
+    decodeAddress('PQDW2', 'P', 'DWORD', 4, 2, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 4, 4, { writeOnly: true });
     decodeAddress('PEDW3', 'P', 'DWORD', 4, 3, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 4, 4);
-    decodeAddress('PADW3', 'P', 'DWORD', 4, 3, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 4, 4);
+    decodeAddress('PADW3', 'P', 'DWORD', 4, 3, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 4, 4, { writeOnly: true });
     decodeAddress('PIR2', 'P', 'REAL', 4, 2, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 4, 4);
-    decodeAddress('PQR2', 'P', 'REAL', 4, 2, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 4, 4);
+    decodeAddress('PQR2', 'P', 'REAL', 4, 2, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 4, 4, { writeOnly: true });
     decodeAddress('PER3', 'P', 'REAL', 4, 3, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 4, 4);
-    decodeAddress('PAR3', 'P', 'REAL', 4, 3, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 4, 4);
-    
+    decodeAddress('PAR3', 'P', 'REAL', 4, 3, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 4, 4, { writeOnly: true });
+    decodeAddress('PI0.3', 'P', 'X', 1, 0, 3, 1, undefined, R_BYTE, W_BIT, A_PERIPHALS, 1, 1);
+    decodeAddress('PIW256', 'P', 'WORD', 2, 256, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 2, 2);
+    decodeAddress('PQW256', 'P', 'WORD', 2, 256, 0, 1, undefined, R_BYTE, W_BYTE, A_PERIPHALS, 2, 2, { writeOnly: true });
+    // Bits of words
+    decodeAddress('DB3,WX20.11', 'DB', 'X', 1, 20, 3, 1, 3, R_BYTE, W_BIT, A_DB, 1, 1);
+    decodeAddress('DB3,WX20.2', 'DB', 'X', 1, 21, 2, 1, 3, R_BYTE, W_BIT, A_DB, 1, 1);
+    decodeAddress('DB3,DX24.30', 'DB', 'X', 1, 24, 6, 1, 3, R_BYTE, W_BIT, A_DB, 1, 1);
+    decodeAddress('DB3,DX24.0', 'DB', 'X', 1, 27, 0, 1, 3, R_BYTE, W_BIT, A_DB, 1, 1);
+    decodeAddress('DB3,DX24.17', 'DB', 'X', 1, 25, 1, 1, 3, R_BYTE, W_BIT, A_DB, 1, 1);
+    decodeAddress('MWX10.15', 'M', 'X', 1, 10, 7, 1, undefined, R_BYTE, W_BIT, A_FLAGS, 1, 1);
+    decodeAddress('IDX0.8', 'I', 'X', 1, 2, 0, 1, undefined, R_BYTE, W_BIT, A_INPUTS, 1, 1);
+    // without the X, the number after the dot is still an array length
+    decodeAddress('DB3,W20.11', 'DB', 'WORD', 2, 20, 0, 11, 3, R_BYTE, W_BYTE, A_DB, 22, 22);
+    decodeAddress('DB3,D24.30', 'DB', 'DWORD', 4, 24, 0, 30, 3, R_BYTE, W_BYTE, A_DB, 120, 120);
+    // Instance DBs
+    decodeAddress('DI10,X4.3', 'DI', 'X', 1, 4, 3, 1, 10, R_BYTE, W_BIT, A_DI, 1, 1);
+    decodeAddress('DI10,INT6', 'DI', 'INT', 2, 6, 0, 1, 10, R_BYTE, W_BYTE, A_DI, 2, 2);
+    decodeAddress('DI10,DI8', 'DI', 'DINT', 4, 8, 0, 1, 10, R_BYTE, W_BYTE, A_DI, 4, 4);
+    decodeAddress('DI2,R12.3', 'DI', 'REAL', 4, 12, 0, 3, 2, R_BYTE, W_BYTE, A_DI, 12, 12);
+    decodeAddress('DI2,S20.8', 'DI', 'STRING', 10, 20, 0, 1, 2, R_BYTE, W_BYTE, A_DI, 10, 10);
+    // S7-200 areas
+    decodeAddress('V10.3', 'V', 'X', 1, 10, 3, 1, undefined, R_BYTE, W_BIT, A_V, 1, 1);
+    decodeAddress('VB100', 'V', 'BYTE', 1, 100, 0, 1, undefined, R_BYTE, W_BYTE, A_V, 1, 1);
+    decodeAddress('VW102', 'V', 'WORD', 2, 102, 0, 1, undefined, R_BYTE, W_BYTE, A_V, 2, 2);
+    decodeAddress('VD104', 'V', 'DWORD', 4, 104, 0, 1, undefined, R_BYTE, W_BYTE, A_V, 4, 4);
+    decodeAddress('VR108.2', 'V', 'REAL', 4, 108, 0, 2, undefined, R_BYTE, W_BYTE, A_V, 8, 8);
+    decodeAddress('SM0.1', 'SM', 'X', 1, 0, 1, 1, undefined, R_BYTE, W_BIT, A_SYSFLAGS, 1, 1);
+    decodeAddress('SMB28', 'SM', 'BYTE', 1, 28, 0, 1, undefined, R_BYTE, W_BYTE, A_SYSFLAGS, 1, 1);
+    decodeAddress('SMW22', 'SM', 'WORD', 2, 22, 0, 1, undefined, R_BYTE, W_BYTE, A_SYSFLAGS, 2, 2);
+    decodeAddress('AIW0', 'AI', 'INT', 2, 0, 0, 1, undefined, R_BYTE, W_BYTE, A_ANAIN, 2, 2);
+    decodeAddress('AIW4.2', 'AI', 'INT', 2, 4, 0, 2, undefined, R_BYTE, W_BYTE, A_ANAIN, 4, 4);
+    decodeAddress('AQW2', 'AQ', 'INT', 2, 2, 0, 1, undefined, R_BYTE, W_BYTE, A_ANAOUT, 2, 2);
+    // "A" is still the german mnemonic for outputs
+    decodeAddress('AI4', 'Q', 'INT', 2, 4, 0, 1, undefined, R_BYTE, W_BYTE, A_OUTPUTS, 2, 2);
+
     // Timers, Counters
     /**
      * TODO - Read area code in original NodeS7 was "0x09", that seems to be "date".
@@ -203,11 +295,26 @@ describe('NodeS7 Address Parser', () => {
     catchAddress("D0.0", "address type");
     catchAddress("MFOO3", "Unknown data type");
     catchAddress("MB0.0.1", "use of bit address");
+    catchAddress("DB3,WX20", "Bit address offset required");
+    catchAddress("DB3,WX20.16", "out of range 0-15");
+    catchAddress("MDX20.32", "out of range 0-31");
+    catchAddress("DB3,WX20.1.2", "Arrays are not supported");
+    catchAddress("PXB0", "address type");
+    catchAddress("PMW0", "address type");
+    catchAddress("DI0,X0.0", "Invalid DB Number");
+    catchAddress("DI1,FOO0", "Unknown DB data type");
     catchAddress("DB2"); //missing address of DB
     catchAddress("DB1,X0", "Bit address offset required");
     catchAddress("DB0,X0.1", "Invalid DB Number");
     catchAddress("DB1,FOO0", "Unknown DB data type");
     catchAddress("DB12,S10", "String length required");
+    catchAddress("DB12,WS10", "String length required");
+    catchAddress("DB5,RAW0", "Buffer length required");
+    catchAddress("AIW1", "Analog addresses must be even");
+    catchAddress("SMFOO1", "Unknown data type");
+    catchAddress("MRAW0.0", "Buffer length required");
+    catchAddress("DB1,S5TIME", "invalid address format");
+    catchAddress("DB1,S6TIME0", "invalid address format");
     catchAddress("DB7.X0.5", "invalid address format"); //dot instead of comma
     catchAddress("I0.10", "Bit address offset out of range");
     catchAddress("IB0.0", "Invalid array length");
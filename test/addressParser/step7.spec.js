@@ -0,0 +1,97 @@
+//@ts-check
+/*
+    Copyright (c) 2019 Guilherme Francescon Cittolin
+
+    Permission is hereby granted, free of charge, to any person obtaining a copy
+    of this software and associated documentation files (the "Software"), to deal
+    in the Software without restriction, including without limitation the rights
+    to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+    copies of the Software, and to permit persons to whom the Software is
+    furnished to do so, subject to the following conditions:
+
+    The above copyright notice and this permission notice shall be included in all
+    copies or substantial portions of the Software.
+
+    THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+    IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+    FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+    AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+    LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+    OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+    SOFTWARE.
+*/
+/*jshint esversion: 6, node: true*/
+
+const { expect } = require('chai');
+const AddressParserStep7 = require('../../src/addressParser/step7.js');
+const AddressParserNodeS7 = require('../../src/addressParser/nodes7.js');
+
+describe('STEP7 Address Parser', () => {
+
+    it('should be a function', () => {
+        expect(typeof AddressParserStep7.parse).to.be.equal('function');
+    });
+
+    function translateAddress(address, nodes7Address) {
+        it(`should translate address "${address}"`, (done) => {
+            expect(AddressParserStep7.translate(address)).to.be.equal(nodes7Address);
+            expect(AddressParserStep7.parse(address)).to.be.deep.equal(AddressParserNodeS7.parse(nodes7Address));
+            done();
+        });
+    }
+
+    function catchAddress(address, cause) {
+        it(`should throw "${cause}" on invalid address "${address}"`, (done) => {
+            expect(() => AddressParserStep7.parse(address)).to.throw(cause);
+            done();
+        });
+    }
+
+    // DBs
+    translateAddress('DB10.DBX4.3', 'DB10,X4.3');
+    translateAddress('DB10.DBB5', 'DB10,B5');
+    translateAddress('DB10.DBW6', 'DB10,W6');
+    translateAddress('DB10.DBD8', 'DB10,D8');
+    translateAddress('%DB10.DBX4.3', 'DB10,X4.3');
+    translateAddress('%DB1.DBW0', 'DB1,W0');
+
+    // Inputs, Outputs, Flags
+    translateAddress('I0.1', 'I0.1');
+    translateAddress('%I0.1', 'I0.1');
+    translateAddress('E0.1', 'E0.1');
+    translateAddress('IX2.7', 'I2.7');
+    translateAddress('IB3', 'IB3');
+    translateAddress('EW4', 'EW4');
+    translateAddress('%QD8', 'QD8');
+    translateAddress('QD8', 'QD8');
+    translateAddress('A1.0', 'A1.0');
+    translateAddress('AB1', 'AB1');
+    translateAddress('MB100', 'MB100');
+    translateAddress('%MW20', 'MW20');
+    translateAddress('M 10.2', 'M10.2');
+    translateAddress('MD 4', 'MD4');
+
+    // Peripherals
+    translateAddress('PIW256', 'PIW256');
+    translateAddress('PEW256', 'PEW256');
+    translateAddress('PQB10', 'PQB10');
+    translateAddress('PAD12', 'PAD12');
+    translateAddress('%IW256:P', 'PIW256');
+    translateAddress('%Q0.1:P', 'PQ0.1');
+
+    // Timers, Counters
+    translateAddress('T5', 'T5');
+    translateAddress('%T5', 'T5');
+    translateAddress('C3', 'C3');
+    translateAddress('Z3', 'C3');
+
+    catchAddress('FOO', 'invalid address format');
+    catchAddress('DB10,X4.3', 'invalid address format');
+    catchAddress('DB10.DBX4', 'Bit address offset required');
+    catchAddress('DB10.DBW4.1', 'Invalid use of bit address offset');
+    catchAddress('I0', 'Bit address offset required');
+    catchAddress('MB0.1', 'Invalid use of bit address offset');
+    catchAddress('%MW20:P', 'Peripheral access is not available');
+    catchAddress('I0.8', 'Bit address offset out of range');
+    catchAddress('DB0.DBB0', 'Invalid DB Number');
+});
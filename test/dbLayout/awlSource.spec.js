@@ -0,0 +1,191 @@
+//@ts-check
+/*
+    Copyright (c) 2019 Guilherme Francescon Cittolin
+
+    Permission is hereby granted, free of charge, to any person obtaining a copy
+    of this software and associated documentation files (the "Software"), to deal
+    in the Software without restriction, including without limitation the rights
+    to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+    copies of the Software, and to permit persons to whom the Software is
+    furnished to do so, subject to the following conditions:
+
+    The above copyright notice and this permission notice shall be included in all
+    copies or substantial portions of the Software.
+
+    THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+    IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+    FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+    AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+    LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+    OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+    SOFTWARE.
+*/
+/*jshint esversion: 6, node: true*/
+
+const { expect } = require('chai');
+const { parseAwlSource } = require('../../src/dbLayout/awlSource.js');
+
+describe('AWL/SCL source parser', () => {
+
+    it('should parse a STEP7 UDT', () => {
+        let blocks = parseAwlSource(`
+TYPE UDT 5
+VERSION : 0.1
+
+  STRUCT
+   Running : BOOL ;	//motor is running
+   Speed : INT := 10;
+   Name : STRING  [20 ] := 'M1; main';
+   (* multi-line
+      comment *)
+   Text : STRING;
+  END_STRUCT ;
+END_TYPE
+`);
+        expect(blocks).to.be.deep.equal([{
+            blockType: 'UDT',
+            name: 'UDT5',
+            number: 5,
+            optimized: false,
+            type: {
+                kind: 'struct',
+                members: [
+                    { name: 'Running', type: { kind: 'elementary', dataType: 'BOOL' } },
+                    { name: 'Speed', type: { kind: 'elementary', dataType: 'INT' } },
+                    { name: 'Name', type: { kind: 'elementary', dataType: 'STRING', length: 20 } },
+                    { name: 'Text', type: { kind: 'elementary', dataType: 'STRING', length: 254 } }
+                ]
+            }
+        }]);
+    });
+
+    it('should parse a STEP7 data block with arrays, structs and UDTs', () => {
+        let blocks = parseAwlSource(`
+DATA_BLOCK DB 10
+TITLE = Motor data; and more
+AUTHOR : Plant
+VERSION : 1.2
+
+  STRUCT
+   Motors : ARRAY  [1 .. 2 ] OF "UDT_Motor";
+   Spare : UDT 5;
+   Matrix : ARRAY [0..1, -1..1] OF INT;
+   Sub : STRUCT
+     a : BYTE;
+   END_STRUCT ;
+  END_STRUCT ;
+BEGIN
+   Motors[1].Speed := 20;
+END_DATA_BLOCK
+`);
+        expect(blocks).to.have.lengthOf(1);
+        expect(blocks[0].name).to.be.equal('DB10');
+        expect(blocks[0].number).to.be.equal(10);
+        expect(blocks[0].type.members).to.be.deep.equal([
+            { name: 'Motors', type: { kind: 'array', dims: [[1, 2]], element: { kind: 'udt', name: 'UDT_Motor' } } },
+            { name: 'Spare', type: { kind: 'udt', name: 'UDT5' } },
+            { name: 'Matrix', type: { kind: 'array', dims: [[0, 1], [-1, 1]], element: { kind: 'elementary', dataType: 'INT' } } },
+            { name: 'Sub', type: { kind: 'struct', members: [{ name: 'a', type: { kind: 'elementary', dataType: 'BYTE' } }] } }
+        ]);
+    });
+
+    it('should parse a data block derived from an UDT', () => {
+        let blocks = parseAwlSource(`
+DATA_BLOCK DB11
+VERSION : 0.1
+"UDT_Motor"
+BEGIN
+END_DATA_BLOCK
+`);
+        expect(blocks[0]).to.be.deep.equal({
+            blockType: 'DB', name: 'DB11', number: 11, optimized: false,
+            type: { kind: 'udt', name: 'UDT_Motor' }
+        });
+    });
+
+    it('should parse TIA Portal sources', () => {
+        let blocks = parseAwlSource(`
+TYPE "Valve"
+VERSION : 0.1
+   STRUCT
+      Open { ExternalAccessible := 'False'} : Bool;
+      "Set point" : Array[0..3] of Real;
+   END_STRUCT;
+
+END_TYPE
+
+DATA_BLOCK "Valves"
+{ S7_Optimized_Access := 'FALSE' }
+VERSION : 0.1
+NON_RETAIN
+   VAR 
+      V1 : "Valve";
+      Count : UInt := 2;
+   END_VAR
+
+
+BEGIN
+
+END_DATA_BLOCK
+
+DATA_BLOCK "Optimized"
+{ S7_Optimized_Access := 'TRUE' }
+VERSION : 0.1
+   VAR 
+      a : Int;
+   END_VAR
+BEGIN
+END_DATA_BLOCK
+`);
+        expect(blocks.map(b => [b.blockType, b.name, b.number, b.optimized])).to.be.deep.equal([
+            ['UDT', 'Valve', undefined, false],
+            ['DB', 'Valves', undefined, false],
+            ['DB', 'Optimized', undefined, true]
+        ]);
+        expect(blocks[0].type.members).to.be.deep.equal([
+            { name: 'Open', type: { kind: 'elementary', dataType: 'BOOL' } },
+            { name: 'Set point', type: { kind: 'array', dims: [[0, 3]], element: { kind: 'elementary', dataType: 'REAL' } } }
+        ]);
+        expect(blocks[1].type.members[1]).to.be.deep.equal({ name: 'Count', type: { kind: 'elementary', dataType: 'UINT' } });
+    });
+
+    it('should skip code blocks', () => {
+        let blocks = parseAwlSource(`
+FUNCTION FC 1 : VOID
+BEGIN
+NETWORK
+TITLE =
+      A     I      0.0;
+      =     Q      0.0;
+END_FUNCTION
+
+DATA_BLOCK DB 1
+  STRUCT
+   a : INT;
+  END_STRUCT ;
+BEGIN
+END_DATA_BLOCK
+`);
+        expect(blocks.map(b => b.name)).to.be.deep.equal(['DB1']);
+    });
+
+    it('should report errors with the line number', () => {
+        const parse = (src) => {
+            try {
+                parseAwlSource(src);
+            } catch (e) {
+                return e;
+            }
+            throw new Error('Expected an error');
+        };
+
+        let err = parse('DATA_BLOCK DB 1\n  STRUCT\n   a INT;\n  END_STRUCT ;\nBEGIN\nEND_DATA_BLOCK');
+        expect(err.code).to.be.equal('ERR_PARSE_SOURCE');
+        expect(err.info.line).to.be.equal(3);
+
+        expect(parse('DATA_BLOCK DB 1\nFB 1\nBEGIN\nEND_DATA_BLOCK').message).to.contain('Instance data block');
+        expect(parse('DATA_BLOCK DB 1\n  STRUCT\n   a : ARRAY[3..1] OF INT;\n').message).to.contain('Invalid array limits');
+        expect(parse('DATA_BLOCK DB 1\n  STRUCT\n   a : INT;\n').message).to.contain('Unexpected end');
+        expect(parse('TYPE UDT 1 (* open').message).to.contain('Unterminated comment');
+    });
+});
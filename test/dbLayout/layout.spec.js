@@ -0,0 +1,135 @@
+//@ts-check
+/*
+    Copyright (c) 2019 Guilherme Francescon Cittolin
+
+    Permission is hereby granted, free of charge, to any person obtaining a copy
+    of this software and associated documentation files (the "Software"), to deal
+    in the Software without restriction, including without limitation the rights
+    to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+    copies of the Software, and to permit persons to whom the Software is
+    furnished to do so, subject to the following conditions:
+
+    The above copyright notice and this permission notice shall be included in all
+    copies or substantial portions of the Software.
+
+    THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+    IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+    FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+    AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+    LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+    OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+    SOFTWARE.
+*/
+/*jshint esversion: 6, node: true*/
+
+const { expect } = require('chai');
+const { computeLayout, layoutToTags } = require('../../src/dbLayout/layout.js');
+
+const elem = (dataType, length) => length === undefined ? { kind: 'elementary', dataType } : { kind: 'elementary', dataType, length };
+const struct = (members) => ({ kind: 'struct', members: Object.keys(members).map(name => ({ name, type: members[name] })) });
+const array = (dims, element) => ({ kind: 'array', dims, element });
+
+const noUdt = (name) => { throw new Error(`Unexpected UDT ${name}`); };
+
+/**
+ * returns the tags of a struct declaration on DB1, without prefix
+ */
+function tagsOf(members, resolveUdt = noUdt) {
+    let layout = computeLayout('DB1', struct(members), resolveUdt);
+    return layoutToTags(layout, 1, '').map(t => `${t.name}=${t.address}`);
+}
+
+describe('DB layout', () => {
+
+    it('should pack BOOLs and align bytes and words', () => {
+        expect(tagsOf({
+            a: elem('BOOL'), b: elem('BOOL'), c: elem('BYTE'), d: elem('BYTE'),
+            e: elem('BOOL'), f: elem('INT'), g: elem('CHAR'), h: elem('REAL'),
+            i: elem('SINT'), j: elem('BYTE'), k: elem('LREAL')
+        })).to.be.deep.equal([
+            'a=DB1,X0.0', 'b=DB1,X0.1', 'c=DB1,B1', 'd=DB1,B2',
+            'e=DB1,X3.0', 'f=DB1,I4', 'g=DB1,C6', 'h=DB1,R8',
+            'i=DB1,SI12', 'j=DB1,B13', 'k=DB1,LR14'
+        ]);
+    });
+
+    it('should compute the size of strings', () => {
+        let layout = computeLayout('DB1', struct({
+            a: elem('BYTE'), b: elem('STRING', 5), c: elem('BYTE'), d: elem('WSTRING', 3), e: elem('BOOL')
+        }), noUdt);
+        expect(layoutToTags(layout, 1, '').map(t => t.address)).to.be.deep.equal([
+            'DB1,B0', 'DB1,S2.5', 'DB1,B9', 'DB1,WS10.3', 'DB1,X20.0'
+        ]);
+        expect(layout.size).to.be.equal(22);
+    });
+
+    it('should word-align and pad structs', () => {
+        let layout = computeLayout('DB1', struct({
+            a: elem('BOOL'),
+            s: struct({ x: elem('BYTE') }),
+            b: elem('BYTE'),
+            t: struct({ y: elem('BOOL'), z: elem('DT') })
+        }), noUdt);
+        expect(layoutToTags(layout, 1, '').map(t => `${t.name}=${t.address}`)).to.be.deep.equal([
+            'a=DB1,X0.0', 's.x=DB1,B2', 'b=DB1,B4', 't.y=DB1,X6.0', 't.z=DB1,DT8'
+        ]);
+        expect(layout.members[1].size).to.be.equal(2);
+        expect(layout.members[3].size).to.be.equal(10);
+        expect(layout.size).to.be.equal(16);
+    });
+
+    it('should lay out arrays', () => {
+        expect(tagsOf({
+            a: elem('BYTE'),
+            bits: array([[0, 9]], elem('BOOL')),
+            b: elem('BYTE'),
+            bytes: array([[1, 3]], elem('BYTE')),
+            c: elem('BOOL'),
+            m: array([[1, 2], [1, 3]], elem('INT')),
+            single: array([[5, 5]], elem('REAL')),
+            strings: array([[1, 2]], elem('STRING', 4)),
+            odd: array([[1, 2]], elem('STRING', 3)),
+            chars: array([[1, 3]], elem('CHAR'))
+        })).to.be.deep.equal([
+            'a=DB1,B0',
+            'bits=DB1,X2.0.10',
+            'b=DB1,B4',
+            'bytes=DB1,B6.3',
+            'c=DB1,X10.0',
+            'm=DB1,I12.6',
+            'single=DB1,R24',
+            'strings=DB1,S28.4.2',
+            'odd[1]=DB1,S40.3',
+            'odd[2]=DB1,S46.3',
+            'chars=DB1,C52.3'
+        ]);
+    });
+
+    it('should lay out arrays of structs and UDTs', () => {
+        const udts = {
+            Motor: struct({ on: elem('BOOL'), speed: elem('INT'), fault: elem('BOOL') })
+        };
+        expect(tagsOf({
+            flag: elem('BOOL'),
+            motors: array([[1, 2]], { kind: 'udt', name: 'Motor' }),
+            grid: array([[0, 1], [0, 1]], struct({ v: elem('BYTE') }))
+        }, name => udts[name])).to.be.deep.equal([
+            'flag=DB1,X0.0',
+            'motors[1].on=DB1,X2.0', 'motors[1].speed=DB1,I4', 'motors[1].fault=DB1,X6.0',
+            'motors[2].on=DB1,X8.0', 'motors[2].speed=DB1,I10', 'motors[2].fault=DB1,X12.0',
+            'grid[0,0].v=DB1,B14', 'grid[0,1].v=DB1,B16', 'grid[1,0].v=DB1,B18', 'grid[1,1].v=DB1,B20'
+        ]);
+    });
+
+    it('should use the name of the layout as the default prefix', () => {
+        let layout = computeLayout('Valves', struct({ a: elem('TIME_OF_DAY') }), noUdt);
+        expect(layoutToTags(layout, 3)).to.be.deep.equal([{ name: 'Valves.a', address: 'DB3,TOD0', dataType: 'TOD' }]);
+    });
+
+    it('should throw on unsupported types and recursive UDTs', () => {
+        expect(() => computeLayout('DB1', struct({ a: elem('POINTER') }), noUdt)).to.throw('Unsupported data type "POINTER"');
+
+        const udts = { A: struct({ b: { kind: 'udt', name: 'B' } }), B: struct({ a: { kind: 'udt', name: 'A' } }) };
+        expect(() => computeLayout('DB1', struct({ x: { kind: 'udt', name: 'A' } }), name => udts[name])).to.throw('Recursive');
+    });
+});
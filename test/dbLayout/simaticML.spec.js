@@ -0,0 +1,167 @@
+//@ts-check
+/*
+    Copyright (c) 2019 Guilherme Francescon Cittolin
+
+    Permission is hereby granted, free of charge, to any person obtaining a copy
+    of this software and associated documentation files (the "Software"), to deal
+    in the Software without restriction, including without limitation the rights
+    to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+    copies of the Software, and to permit persons to whom the Software is
+    furnished to do so, subject to the following conditions:
+
+    The above copyright notice and this permission notice shall be included in all
+    copies or substantial portions of the Software.
+
+    THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+    IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+    FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+    AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+    LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+    OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+    SOFTWARE.
+*/
+/*jshint esversion: 6, node: true*/
+
+const { expect } = require('chai');
+const { parseSimaticML } = require('../../src/dbLayout/simaticML.js');
+
+const GLOBAL_DB = `<?xml version="1.0" encoding="utf-8"?>
+<Document>
+  <Engineering version="V17" />
+  <SW.Blocks.GlobalDB ID="0">
+    <AttributeList>
+      <Interface><Sections xmlns="http://www.siemens.com/automation/Openness/SW/Interface/v5">
+  <Section Name="Static">
+    <Member Name="Enable" Datatype="Bool" Remanence="NonRetain" Accessibility="Public">
+      <AttributeList>
+        <BooleanAttribute Name="ExternalAccessible" SystemDefined="true">true</BooleanAttribute>
+      </AttributeList>
+      <Comment>
+        <MultiLanguageText Lang="en-US">Enables the &lt;line&gt;</MultiLanguageText>
+      </Comment>
+    </Member>
+    <Member Name="Label" Datatype="String[10]" />
+    <Member Name="Motor" Datatype="&quot;UDT_Motor&quot;">
+      <Sections>
+        <Section Name="None">
+          <Member Name="Running" Datatype="Bool" />
+          <Member Name="Speed" Datatype="Int" />
+        </Section>
+      </Sections>
+    </Member>
+    <Member Name="Spare" Datatype="&quot;UDT_Motor&quot;" />
+    <Member Name="Points" Datatype="Array[0..1] of Struct">
+      <Member Name="x" Datatype="Real" />
+      <Member Name="y" Datatype="Real" />
+    </Member>
+    <Member Name="Values" Datatype="Array[1..3, 1..2] of LReal" />
+    <!-- a comment -->
+    <Member Name="Config" Datatype="Struct">
+      <Member Name="Mode" Datatype="Byte" />
+      <Member Name="Since" Datatype="Date_And_Time" />
+    </Member>
+  </Section>
+</Sections></Interface>
+      <MemoryLayout>Standard</MemoryLayout>
+      <Name>Line_Data</Name>
+      <Number>12</Number>
+      <ProgrammingLanguage>DB</ProgrammingLanguage>
+    </AttributeList>
+    <ObjectList>
+      <MultilingualText ID="1" CompositionName="Title"><![CDATA[<not a tag>]]></MultilingualText>
+    </ObjectList>
+  </SW.Blocks.GlobalDB>
+</Document>`;
+
+const PLC_STRUCT = `<?xml version="1.0" encoding="utf-8"?>
+<Document>
+  <SW.Types.PlcStruct ID="0">
+    <AttributeList>
+      <Interface><Sections xmlns="http://www.siemens.com/automation/Openness/SW/Interface/v5">
+  <Section Name="None">
+    <Member Name="Running" Datatype="Bool" />
+    <Member Name="Speed" Datatype="Int" />
+  </Section>
+</Sections></Interface>
+      <Name>UDT_Motor</Name>
+    </AttributeList>
+  </SW.Types.PlcStruct>
+</Document>`;
+
+describe('SimaticML parser', () => {
+
+    it('should parse the interface of global DBs', () => {
+        let blocks = parseSimaticML(GLOBAL_DB);
+        expect(blocks).to.have.lengthOf(1);
+
+        let [block] = blocks;
+        expect(block.blockType).to.be.equal('DB');
+        expect(block.name).to.be.equal('Line_Data');
+        expect(block.number).to.be.equal(12);
+        expect(block.optimized).to.be.false;
+        expect(block.type.members).to.be.deep.equal([
+            { name: 'Enable', type: { kind: 'elementary', dataType: 'BOOL' } },
+            { name: 'Label', type: { kind: 'elementary', dataType: 'STRING', length: 10 } },
+            {
+                name: 'Motor', type: {
+                    kind: 'struct', members: [
+                        { name: 'Running', type: { kind: 'elementary', dataType: 'BOOL' } },
+                        { name: 'Speed', type: { kind: 'elementary', dataType: 'INT' } }
+                    ]
+                }
+            },
+            { name: 'Spare', type: { kind: 'udt', name: 'UDT_Motor' } },
+            {
+                name: 'Points', type: {
+                    kind: 'array', dims: [[0, 1]], element: {
+                        kind: 'struct', members: [
+                            { name: 'x', type: { kind: 'elementary', dataType: 'REAL' } },
+                            { name: 'y', type: { kind: 'elementary', dataType: 'REAL' } }
+                        ]
+                    }
+                }
+            },
+            { name: 'Values', type: { kind: 'array', dims: [[1, 3], [1, 2]], element: { kind: 'elementary', dataType: 'LREAL' } } },
+            {
+                name: 'Config', type: {
+                    kind: 'struct', members: [
+                        { name: 'Mode', type: { kind: 'elementary', dataType: 'BYTE' } },
+                        { name: 'Since', type: { kind: 'elementary', dataType: 'DATE_AND_TIME' } }
+                    ]
+                }
+            }
+        ]);
+    });
+
+    it('should parse PLC data types', () => {
+        expect(parseSimaticML(PLC_STRUCT)).to.be.deep.equal([{
+            blockType: 'UDT',
+            name: 'UDT_Motor',
+            number: undefined,
+            optimized: false,
+            type: {
+                kind: 'struct', members: [
+                    { name: 'Running', type: { kind: 'elementary', dataType: 'BOOL' } },
+                    { name: 'Speed', type: { kind: 'elementary', dataType: 'INT' } }
+                ]
+            }
+        }]);
+    });
+
+    it('should flag DBs with optimized access', () => {
+        let blocks = parseSimaticML(GLOBAL_DB.replace('<MemoryLayout>Standard', '<MemoryLayout>Optimized'));
+        expect(blocks[0].optimized).to.be.true;
+    });
+
+    it('should ignore other blocks', () => {
+        expect(parseSimaticML('<Document><SW.Blocks.FC ID="0"><AttributeList><Name>FC1</Name></AttributeList></SW.Blocks.FC></Document>')).to.be.deep.equal([]);
+    });
+
+    it('should throw on invalid documents', () => {
+        expect(() => parseSimaticML('<Document><A></B></Document>')).to.throw('Unexpected closing tag "B"');
+        expect(() => parseSimaticML('<Document><A>')).to.throw('Unclosed XML element "A"');
+        expect(() => parseSimaticML('<Document><A x=1></A></Document>')).to.throw('Invalid XML');
+        expect(() => parseSimaticML(PLC_STRUCT.replace('Datatype="Int"', 'Datatype="Array[0..#MAX] of Int"'))).to.throw();
+        expect(() => parseSimaticML(PLC_STRUCT.replace('<Name>UDT_Motor</Name>', ''))).to.throw('Missing name');
+    });
+});
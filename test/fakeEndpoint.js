@@ -0,0 +1,160 @@
+//@ts-check
+/*
+    Copyright (c) 2019 Guilherme Francescon Cittolin
+
+    Permission is hereby granted, free of charge, to any person obtaining a copy
+    of this software and associated documentation files (the "Software"), to deal
+    in the Software without restriction, including without limitation the rights
+    to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+    copies of the Software, and to permit persons to whom the Software is
+    furnished to do so, subject to the following conditions:
+
+    The above copyright notice and this permission notice shall be included in all
+    copies or substantial portions of the Software.
+
+    THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+    IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+    FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+    AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+    LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+    OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+    SOFTWARE.
+*/
+/*jshint esversion: 6, node: true*/
+
+const { EventEmitter } = require('events');
+const S7Endpoint = require('../src/s7endpoint.js');
+//@ts-ignore
+const constants = require('../src/constants.json');
+
+const BIT = constants.proto.transport.BIT;
+const { DATA_OK, DATA_ERR } = constants.proto.retval;
+
+// Fakes shared by the specs, simulating a PLC with a memory of 256 bytes
+// per area and DB. Reads and writes of the DBs listed in `missingDbs` fail
+// with DATA_ERR ("Object does not exist")
+
+/**
+ * Gets the memory of an area and DB of a fake PLC, creating it on the first access
+ * @param {any} plc
+ * @param {number} area
+ * @param {number} [db]
+ * @returns {Buffer}
+ */
+function getMemory(plc, area, db) {
+    let key = `${area}:${db || 0}`;
+    if (!plc.memory[key]) plc.memory[key] = Buffer.alloc(256);
+    return plc.memory[key];
+}
+
+/**
+ * @param {any} plc
+ * @param {number} area
+ * @param {number} db
+ * @param {number} address the byte address
+ * @param {number} length
+ */
+function readMemory(plc, area, db, address, length) {
+    if (plc.missingDbs.includes(db)) return { returnCode: DATA_ERR, data: Buffer.alloc(0) };
+
+    let data = Buffer.from(plc.getMemory(area, db).subarray(address, address + length));
+    return { returnCode: DATA_OK, data };
+}
+
+/**
+ * @param {any} plc
+ * @param {number} area
+ * @param {number} db
+ * @param {number} address the bit address on BIT transports, the byte address otherwise
+ * @param {number} transport
+ * @param {Buffer} data
+ */
+function writeMemory(plc, area, db, address, transport, data) {
+    if (plc.missingDbs.includes(db)) return { returnCode: DATA_ERR };
+
+    let mem = plc.getMemory(area, db);
+    if (transport === BIT) {
+        let mask = 1 << (address & 7);
+        mem[address >> 3] = data[0] ? mem[address >> 3] | mask : mem[address >> 3] & ~mask;
+    } else {
+        data.copy(mem, address);
+    }
+    return { returnCode: DATA_OK };
+}
+
+/**
+ * Creates a fake endpoint that records the requests sent to it, and
+ * the max number of reads in flight at the same time
+ * @param {object} [opts]
+ * @param {number} [opts.pduSize=240]
+ * @param {number} [opts.parallelJobs=2]
+ * @param {number} [opts.delay=0] how long each read takes, in milliseconds
+ */
+function createEndpoint(opts) {
+    opts = opts || {};
+
+    let endpoint = /** @type {any} */ (new EventEmitter());
+    endpoint.pduSize = opts.pduSize || 240;
+    endpoint.parallelJobs = opts.parallelJobs || 2;
+    endpoint.isConnected = true;
+    endpoint.memory = {};
+    endpoint.missingDbs = [];
+    endpoint.readRequests = [];
+    endpoint.writeRequests = [];
+    endpoint.inFlight = 0;
+    endpoint.maxInFlight = 0;
+    endpoint.getMemory = (area, db) => getMemory(endpoint, area, db);
+    endpoint.readVars = async (items) => {
+        endpoint.readRequests.push(items);
+        endpoint.maxInFlight = Math.max(endpoint.maxInFlight, ++endpoint.inFlight);
+        await new Promise(res => setTimeout(res, opts.delay || 0));
+        endpoint.inFlight--;
+        return items.map(i => readMemory(endpoint, i.area, i.db, i.address, i.length));
+    };
+    endpoint.writeVars = async (items) => {
+        endpoint.writeRequests.push(items);
+        return items.map(i => writeMemory(endpoint, i.area, i.db, i.address, i.transport, i.data));
+    };
+    return endpoint;
+}
+
+/**
+ * Creates a connected S7Endpoint over a fake connection, for testing the
+ * endpoint itself. The connection receives the addresses in bits, as sent
+ * on the wire
+ * @param {object} [opts]
+ * @param {function(any):void} [opts.afterWrite] called with the fake PLC after each write
+ * request, to simulate PLCs that change or limit the written values
+ * @param {object} [opts.endpoint] options of the S7Endpoint
+ * @returns {{endpoint: S7Endpoint, plc: any}}
+ */
+function createConnectedEndpoint(opts) {
+    opts = opts || {};
+
+    let plc = /** @type {any} */ (new EventEmitter());
+    plc.memory = {};
+    plc.missingDbs = [];
+    plc.readRequests = [];
+    plc.writeRequests = [];
+    plc.getMemory = (area, db) => getMemory(plc, area, db);
+    plc.requestReadVars = async (params) => {
+        plc.readRequests.push(params);
+        return params.map(p => readMemory(plc, p.area, p.db, p.address >> 3, p.length));
+    };
+    plc.requestWriteVar = async (params, data) => {
+        plc.writeRequests.push(params);
+        let res = params.map((p, i) => writeMemory(plc, p.area, p.db,
+            p.transport === BIT ? p.address : p.address >> 3, p.transport, data[i].data));
+        if (opts.afterWrite) opts.afterWrite(plc);
+        return res;
+    };
+
+    let endpoint = new S7Endpoint(Object.assign({ autoReconnect: 0 }, opts.endpoint));
+    endpoint._connection = plc;
+    endpoint._connectionState = 2;
+    endpoint._pduSize = 240;
+
+    return { endpoint, plc };
+}
+
+module.exports = { createEndpoint, createConnectedEndpoint };
@@ -0,0 +1,78 @@
+//@ts-check
+/*
+    Copyright (c) 2019 Guilherme Francescon Cittolin
+
+    Permission is hereby granted, free of charge, to any person obtaining a copy
+    of this software and associated documentation files (the "Software"), to deal
+    in the Software without restriction, including without limitation the rights
+    to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+    copies of the Software, and to permit persons to whom the Software is
+    furnished to do so, subject to the following conditions:
+
+    The above copyright notice and this permission notice shall be included in all
+    copies or substantial portions of the Software.
+
+    THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+    IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+    FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+    AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+    LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+    OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+    SOFTWARE.
+*/
+/*jshint esversion: 6, node: true*/
+
+const { expect } = require('chai');
+const NodeS7 = require('../../legacy.js');
+const S7ItemGroup = require('../../src/s7itemGroup.js');
+//@ts-ignore
+const constants = require('../../src/constants.json');
+const { createEndpoint } = require('../fakeEndpoint.js');
+
+/**
+ * Creates a legacy instance as if connected to a fake endpoint
+ */
+function createConnected() {
+    let endpoint = createEndpoint();
+    let plc = new NodeS7();
+    plc._ep = endpoint;
+    plc._group = new S7ItemGroup(endpoint);
+    return { plc, endpoint };
+}
+
+describe('NodeS7 (legacy)', () => {
+
+    it('should read all items without error', done => {
+        let { plc } = createConnected();
+        plc.addItems(['DB1,INT0', 'DB2,INT0']);
+
+        plc.readAllItems((err, values) => {
+            expect(err).to.be.false;
+            expect(values).to.be.deep.equal({ 'DB1,INT0': 0, 'DB2,INT0': 0 });
+            done();
+        });
+    });
+
+    it('should pass the error and mark only the items that could not be read as bad', done => {
+        let { plc, endpoint } = createConnected();
+        endpoint.missingDbs = [2];
+        endpoint.getMemory(constants.proto.area.DB, 1).writeInt16BE(42, 0);
+        plc.addItems(['DB1,INT0', 'DB2,INT0']);
+
+        plc.readAllItems((err, values) => {
+            expect(err).to.be.instanceOf(Error);
+            expect(err.message).to.be.a('string');
+            expect(values).to.be.deep.equal({ 'DB1,INT0': 42, 'DB2,INT0': 'BAD 255' });
+            done();
+        });
+    });
+
+    it('should pass true when not connected', done => {
+        let plc = new NodeS7();
+        plc.readAllItems((err, values) => {
+            expect(err).to.be.true;
+            expect(values).to.be.deep.equal({});
+            done();
+        });
+    });
+});
@@ -0,0 +1,346 @@
+//@ts-check
+/*
+    Copyright (c) 2019 Guilherme Francescon Cittolin
+
+    Permission is hereby granted, free of charge, to any person obtaining a copy
+    of this software and associated documentation files (the "Software"), to deal
+    in the Software without restriction, including without limitation the rights
+    to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+    copies of the Software, and to permit persons to whom the Software is
+    furnished to do so, subject to the following conditions:
+
+    The above copyright notice and this permission notice shall be included in all
+    copies or substantial portions of the Software.
+
+    THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+    IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+    FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+    AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+    LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+    OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+    SOFTWARE.
+*/
+/*jshint esversion: 6, node: true*/
+
+const { expect } = require('chai');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const S7DbLayout = require('../../src/s7dbLayout.js');
+const S7StructItem = require('../../src/s7structItem.js');
+const S7TagDatabase = require('../../src/s7tagDatabase.js');
+const S7ItemGroup = require('../../src/s7itemGroup.js');
+
+const SOURCE = `
+TYPE "UDT_Motor"
+VERSION : 0.1
+  STRUCT
+   Running : BOOL ;
+   Fault : BOOL ;
+   Speed : INT ;
+   Name : STRING [5 ] ;
+   Hours : REAL ;
+  END_STRUCT ;
+END_TYPE
+
+DATA_BLOCK DB 10
+TITLE = Motor data
+VERSION : 0.1
+  STRUCT
+   Enable : BOOL ;
+   Mode : BYTE ;
+   Motors : ARRAY [1 .. 2 ] OF "UDT_Motor";
+   Flags : ARRAY [0 .. 9] OF BOOL ;
+   Matrix : ARRAY [1 .. 2, 1 .. 3] OF INT ;
+  END_STRUCT ;
+BEGIN
+END_DATA_BLOCK
+
+DATA_BLOCK "Line"
+{ S7_Optimized_Access := 'FALSE' }
+VERSION : 0.1
+   VAR
+      Motor : "UDT_Motor";
+   END_VAR
+BEGIN
+END_DATA_BLOCK
+
+DATA_BLOCK "Fast"
+{ S7_Optimized_Access := 'TRUE' }
+VERSION : 0.1
+   VAR
+      a : Int;
+   END_VAR
+BEGIN
+END_DATA_BLOCK
+`;
+
+describe('S7DbLayout', () => {
+
+    it('should load blocks from sources', () => {
+        let layouts = new S7DbLayout();
+        expect(layouts.loadSource(SOURCE)).to.be.deep.equal(['UDT_Motor', 'DB10', 'Line', 'Fast']);
+        expect(layouts.blockNames).to.be.deep.equal(['DB10', 'Line', 'Fast']);
+        expect(layouts.typeNames).to.be.deep.equal(['UDT_Motor']);
+        expect(layouts.getLayout('DB 10').size).to.be.equal(48);
+        expect(layouts.getLayout('UDT_Motor').size).to.be.equal(16);
+    });
+
+    it('should generate tags for data blocks', () => {
+        let layouts = new S7DbLayout();
+        layouts.loadSource(SOURCE);
+
+        let tags = layouts.getTags('DB10');
+        expect(tags.map(t => `${t.name}=${t.address}`)).to.be.deep.equal([
+            'DB10.Enable=DB10,X0.0',
+            'DB10.Mode=DB10,B1',
+            'DB10.Motors[1].Running=DB10,X2.0',
+            'DB10.Motors[1].Fault=DB10,X2.1',
+            'DB10.Motors[1].Speed=DB10,I4',
+            'DB10.Motors[1].Name=DB10,S6.5',
+            'DB10.Motors[1].Hours=DB10,R14',
+            'DB10.Motors[2].Running=DB10,X18.0',
+            'DB10.Motors[2].Fault=DB10,X18.1',
+            'DB10.Motors[2].Speed=DB10,I20',
+            'DB10.Motors[2].Name=DB10,S22.5',
+            'DB10.Motors[2].Hours=DB10,R30',
+            'DB10.Flags=DB10,X34.0.10',
+            'DB10.Matrix=DB10,I36.6'
+        ]);
+
+        // tags can then be used by name on a group
+        let db = new S7TagDatabase();
+        tags.forEach(t => db.addTag(t.name, t.address, { dataType: t.dataType }));
+        expect(db.createItem('DB10.Motors[2].Hours').offset).to.be.equal(30);
+    });
+
+    it('should require the number of symbolic data blocks', () => {
+        let layouts = new S7DbLayout();
+        layouts.loadSource(SOURCE);
+
+        expect(() => layouts.getTags('Line')).to.throw('must be supplied');
+        expect(layouts.getTags('Line', { dbNumber: 3, prefix: 'L' }).map(t => `${t.name}=${t.address}`)).to.be.deep.equal([
+            'L.Motor.Running=DB3,X0.0',
+            'L.Motor.Fault=DB3,X0.1',
+            'L.Motor.Speed=DB3,I2',
+            'L.Motor.Name=DB3,S4.5',
+            'L.Motor.Hours=DB3,R12'
+        ]);
+    });
+
+    it('should refuse blocks without fixed offsets', () => {
+        let layouts = new S7DbLayout();
+        layouts.loadSource(SOURCE);
+
+        expect(() => layouts.getTags('Fast', { dbNumber: 4 })).to.throw('optimized access');
+        expect(() => layouts.getTags('UDT_Motor', { dbNumber: 4 })).to.throw('not a data block');
+        expect(() => layouts.getTags('DB99')).to.throw('Unknown block');
+
+        layouts.loadSource('DATA_BLOCK DB 5\n STRUCT\n  m : "Missing";\n END_STRUCT;\nBEGIN\nEND_DATA_BLOCK');
+        expect(() => layouts.getLayout('DB5')).to.throw('Unknown UDT "Missing"');
+    });
+
+    it('should load source files', async () => {
+        let filename = path.join(os.tmpdir(), `nodes7-test-${process.pid}.awl`);
+        fs.writeFileSync(filename, Buffer.from('DATA_BLOCK DB 1\nTITLE = Größen\n STRUCT\n  a : INT;\n END_STRUCT;\nBEGIN\nEND_DATA_BLOCK', 'latin1'));
+        try {
+            let layouts = new S7DbLayout();
+            expect(await layouts.loadFile(filename)).to.be.deep.equal(['DB1']);
+        } finally {
+            fs.unlinkSync(filename);
+        }
+    });
+});
+
+/**
+ * Builds a SimaticML export of a global DB
+ */
+function globalDB(name, number, layout, members) {
+    return `<?xml version="1.0" encoding="utf-8"?>
+<Document>
+  <SW.Blocks.GlobalDB ID="0">
+    <AttributeList>
+      <Interface><Sections xmlns="http://www.siemens.com/automation/Openness/SW/Interface/v5">
+        <Section Name="Static">${members}</Section>
+      </Sections></Interface>
+      <MemoryLayout>${layout}</MemoryLayout>
+      <Name>${name}</Name>
+      <Number>${number}</Number>
+    </AttributeList>
+  </SW.Blocks.GlobalDB>
+</Document>`;
+}
+
+const XML_MEMBERS = `
+  <Member Name="Enable" Datatype="Bool" />
+  <Member Name="Motor" Datatype="&quot;UDT_Motor&quot;" />
+  <Member Name="Points" Datatype="Array[0..1] of Struct">
+    <Member Name="x" Datatype="Real" />
+    <Member Name="ok" Datatype="Bool" />
+  </Member>`;
+
+describe('S7DbLayout SimaticML import', () => {
+
+    it('should compute the layout of non-optimized DBs', () => {
+        let layouts = new S7DbLayout();
+        layouts.loadSource(SOURCE);
+        expect(layouts.loadSimaticML(globalDB('Line_Data', 12, 'Standard', XML_MEMBERS))).to.be.deep.equal(['Line_Data']);
+
+        expect(layouts.getTags('Line_Data').map(t => `${t.name}=${t.address}`)).to.be.deep.equal([
+            'Line_Data.Enable=DB12,X0.0',
+            'Line_Data.Motor.Running=DB12,X2.0',
+            'Line_Data.Motor.Fault=DB12,X2.1',
+            'Line_Data.Motor.Speed=DB12,I4',
+            'Line_Data.Motor.Name=DB12,S6.5',
+            'Line_Data.Motor.Hours=DB12,R14',
+            'Line_Data.Points[0].x=DB12,R18',
+            'Line_Data.Points[0].ok=DB12,X22.0',
+            'Line_Data.Points[1].x=DB12,R24',
+            'Line_Data.Points[1].ok=DB12,X28.0'
+        ]);
+        expect(layouts.getOptimizedMembers()).to.be.deep.equal([{ block: 'Fast', members: ['Fast.a'] }]);
+    });
+
+    it('should register the members as items of a group', () => {
+        let layouts = new S7DbLayout();
+        layouts.loadSource(SOURCE);
+        layouts.loadSimaticML(globalDB('Line_Data', 12, 'Standard', XML_MEMBERS));
+
+        let group = new S7ItemGroup(/** @type {any} */(new EventEmitter()));
+        let names = layouts.addToGroup(group, 'Line_Data', { prefix: 'L' });
+        expect(names).to.have.lengthOf(10);
+        expect(names[3]).to.be.equal('L.Motor.Speed');
+        expect(group._items.get('L.Motor.Speed').offset).to.be.equal(4);
+        expect(group._items.get('L.Points[1].ok').bitOffset).to.be.equal(0);
+    });
+
+    it('should report the members of optimized DBs', () => {
+        let layouts = new S7DbLayout();
+        layouts.loadSource(SOURCE);
+        layouts.loadSimaticML(globalDB('Recipes', 20, 'Optimized', XML_MEMBERS));
+
+        expect(layouts.getOptimizedMembers()).to.be.deep.equal([
+            { block: 'Fast', members: ['Fast.a'] },
+            {
+                block: 'Recipes', members: [
+                    'Recipes.Enable',
+                    'Recipes.Motor.Running', 'Recipes.Motor.Fault', 'Recipes.Motor.Speed', 'Recipes.Motor.Name', 'Recipes.Motor.Hours',
+                    'Recipes.Points[0..1].x', 'Recipes.Points[0..1].ok'
+                ]
+            }
+        ]);
+
+        let group = new S7ItemGroup(/** @type {any} */(new EventEmitter()));
+        let err;
+        try {
+            layouts.addToGroup(group, 'Recipes');
+        } catch (e) {
+            err = e;
+        }
+        expect(err.message).to.contain('optimized access');
+        expect(err.info.members).to.have.lengthOf(8);
+        expect(group._items.size).to.be.equal(0);
+    });
+
+    it('should load XML files', async () => {
+        let filename = path.join(os.tmpdir(), `nodes7-test-${process.pid}.xml`);
+        fs.writeFileSync(filename, '\ufeff' + globalDB('Größen', 7, 'Standard', '<Member Name="a" Datatype="Int" />'));
+        try {
+            let layouts = new S7DbLayout();
+            expect(await layouts.loadFile(filename)).to.be.deep.equal(['Größen']);
+            expect(layouts.getTags('Größen')[0].address).to.be.equal('DB7,I0');
+        } finally {
+            fs.unlinkSync(filename);
+        }
+    });
+});
+
+describe('S7StructItem', () => {
+
+    it('should create items for whole blocks and struct members', () => {
+        let layouts = new S7DbLayout();
+        layouts.loadSource(SOURCE);
+
+        let item = layouts.createStructItem('DB10', 'Motors[2]');
+        expect(item).to.be.instanceOf(S7StructItem);
+        expect(item.name).to.be.equal('DB10.Motors[2]');
+        expect(item.address).to.be.equal('DB10,B18.16');
+        expect(item.layout.udt).to.be.equal('UDT_Motor');
+
+        expect(layouts.createStructItem('Line', null, { dbNumber: 3, itemName: 'line' }).address).to.be.equal('DB3,B0.16');
+        expect(layouts.createStructItem('DB10').address).to.be.equal('DB10,B0.48');
+        expect(() => layouts.createStructItem('DB10', 'Motors[3]')).to.throw('Unknown member');
+        expect(() => layouts.createStructItem('DB10', 'Motors[1].Speed')).to.throw('is not a struct');
+    });
+
+    it('should read the struct as an object', () => {
+        let layouts = new S7DbLayout();
+        layouts.loadSource(SOURCE);
+        let item = layouts.createStructItem('DB10');
+
+        let data = Buffer.alloc(48);
+        data[0] = 0x01; // Enable
+        data[1] = 7; // Mode
+        data[18] = 0x02; // Motors[2].Fault
+        data.writeInt16BE(-100, 20); // Motors[2].Speed
+        data.write('\x05\x02ab', 22, 'latin1'); // Motors[2].Name
+        data.writeFloatBE(1.5, 30); // Motors[2].Hours
+        data[35] = 0x02; // Flags[9]
+        data.writeInt16BE(6, 46); // Matrix[2,3]
+
+        item.readValueFromResponse({ returnCode: 0xff, data }, { address: 0 });
+        item.updateValueFromBuffer();
+
+        expect(item.value).to.be.deep.equal({
+            Enable: true,
+            Mode: 7,
+            Motors: [
+                { Running: false, Fault: false, Speed: 0, Name: '', Hours: 0 },
+                { Running: false, Fault: true, Speed: -100, Name: 'ab', Hours: 1.5 }
+            ],
+            Flags: [false, false, false, false, false, false, false, false, false, true],
+            Matrix: [[0, 0, 0], [0, 0, 6]]
+        });
+    });
+
+    it('should write the struct from an object', () => {
+        let layouts = new S7DbLayout();
+        layouts.loadSource(SOURCE);
+        let item = layouts.createStructItem('DB10', 'Motors[1]');
+
+        let data = Buffer.alloc(16);
+        data[0] = 0x82; // Fault and a bit outside the struct members
+        item.readValueFromResponse({ returnCode: 0xff, data }, { address: 2 });
+
+        let buf = item.getWriteBuffer({ Running: true, Speed: 300, Name: 'xyz' });
+        expect(buf.toString('hex')).to.be.equal('8300012c050378797a00000000000000');
+        expect(item.getWriteBuffer({ Fault: false })[0]).to.be.equal(0x80);
+
+        expect(() => item.getWriteBuffer(5)).to.throw('Expected an object');
+
+        let all = layouts.createStructItem('DB10');
+        all.readValueFromResponse({ returnCode: 0xff, data: Buffer.alloc(48) }, { address: 0 });
+        expect(() => all.getWriteBuffer({ Flags: [true] })).to.throw('Expected [10] values');
+        let b = all.getWriteBuffer({ Flags: [1, 0, 0, 0, 0, 0, 0, 0, 1, 1], Matrix: [[1, 2, 3], [4, 5, 6]] });
+        expect(b.slice(34, 48).toString('hex')).to.be.equal('0103000100020003000400050006');
+    });
+
+    it('should require all members when writing a struct that has not been read', () => {
+        let layouts = new S7DbLayout();
+        layouts.loadSource(SOURCE);
+        let item = layouts.createStructItem('DB10', 'Motors[1]');
+        let motor = { Running: true, Fault: false, Speed: 300, Name: 'xyz', Hours: 2 };
+
+        let err;
+        try {
+            item.getWriteBuffer({ Running: true, Speed: 300 });
+        } catch (e) {
+            err = e;
+        }
+        expect(err.code).to.be.equal('ERR_ILLEGAL_STATE');
+        expect(err.message).to.contain('Fault');
+
+        expect(item.getWriteBuffer(motor).toString('hex', 0, 4)).to.be.equal('0100012c');
+    });
+});
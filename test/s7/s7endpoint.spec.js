@@ -0,0 +1,130 @@
+//@ts-check
+/*
+    Copyright (c) 2019 Guilherme Francescon Cittolin
+
+    Permission is hereby granted, free of charge, to any person obtaining a copy
+    of this software and associated documentation files (the "Software"), to deal
+    in the Software without restriction, including without limitation the rights
+    to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+    copies of the Software, and to permit persons to whom the Software is
+    furnished to do so, subject to the following conditions:
+
+    The above copyright notice and this permission notice shall be included in all
+    copies or substantial portions of the Software.
+
+    THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+    IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+    FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+    AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+    LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+    OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+    SOFTWARE.
+*/
+/*jshint esversion: 6, node: true*/
+
+const { expect } = require('chai');
+const S7Endpoint = require('../../src/s7endpoint.js');
+const { createConnectedEndpoint } = require('../fakeEndpoint.js');
+//@ts-ignore
+const constants = require('../../src/constants.json');
+
+const DB = constants.proto.area.DB;
+const { DATA_OK: OK, DATA_ERR } = constants.proto.retval;
+
+/**
+ * Creates an endpoint connected to a fake PLC whose byte 10 of DB1
+ * cannot be changed, and where DB2 doesn't exist
+ */
+function createPlcEndpoint() {
+    let { endpoint, plc } = createConnectedEndpoint({ afterWrite: plc => { plc.getMemory(DB, 1)[10] = 0; } });
+    plc.missingDbs = [2];
+    return { endpoint, plc };
+}
+
+/**
+ * @param {number} db
+ * @param {number} address
+ * @param {string} hex
+ */
+function byteItem(db, address, hex) {
+    let data = Buffer.from(hex, 'hex');
+    return {
+        area: constants.proto.area.DB, db, address, data, length: data.length,
+        transport: constants.proto.transport.BYTE, dataTransport: constants.proto.dataTransport.BBYTE
+    };
+}
+
+describe('S7Endpoint', () => {
+
+    it('should compute the TSAPs from rack and slot', () => {
+        let plc = new S7Endpoint({ host: 'localhost', rack: 0, slot: 1, autoReconnect: 0 });
+        expect(plc._connOptsTcp.srcTSAP).to.be.equal(0x0100);
+        expect(plc._connOptsTcp.dstTSAP).to.be.equal(0x0101);
+    });
+
+    it('should use the TSAPs of the LOGO! preset', () => {
+        let plc = new S7Endpoint({ host: 'localhost', preset: 'logo', autoReconnect: 0 });
+        expect(plc._connOptsTcp.srcTSAP).to.be.equal(0x0100);
+        expect(plc._connOptsTcp.dstTSAP).to.be.equal(0x0200);
+    });
+
+    it('should let explicit options override the preset', () => {
+        let plc = new S7Endpoint({ host: 'localhost', preset: 'logo', srcTSAP: 0x2000, autoReconnect: 0 });
+        expect(plc._connOptsTcp.srcTSAP).to.be.equal(0x2000);
+        expect(plc._connOptsTcp.dstTSAP).to.be.equal(0x0200);
+    });
+
+    it('should not let undefined options override the preset', () => {
+        let plc = new S7Endpoint({ host: 'localhost', preset: 'logo', srcTSAP: undefined, dstTSAP: undefined, autoReconnect: 0 });
+        expect(plc._connOptsTcp.srcTSAP).to.be.equal(0x0100);
+        expect(plc._connOptsTcp.dstTSAP).to.be.equal(0x0200);
+    });
+
+    it('should throw on unknown presets', () => {
+        expect(() => new S7Endpoint({ preset: 'foo', autoReconnect: 0 })).to.throw('Unknown preset "foo"');
+    });
+
+    it('should read back the written data when verifying writes', async () => {
+        let { endpoint, plc } = createPlcEndpoint();
+
+        let res = await endpoint.writeVars([byteItem(1, 0, '0102'), byteItem(2, 0, '03'), byteItem(1, 4, '0405')], { verify: true });
+
+        expect(res.map(r => r.returnCode)).to.be.deep.equal([OK, DATA_ERR, OK]);
+        // the refused write is not read back
+        expect(plc.readRequests[0].map(p => [p.db, p.address >> 3, p.length])).to.be.deep.equal([[1, 0, 2], [1, 4, 2]]);
+        expect(plc.getMemory(DB, 1).toString('hex', 0, 6)).to.be.equal('010200000405');
+    });
+
+    it('should reject verified writes whose data is not held by the PLC', async () => {
+        let { endpoint } = createPlcEndpoint();
+
+        let err = await endpoint.writeVars([byteItem(1, 0, '0102'), byteItem(1, 9, '090a0b')], { verify: true }).catch(e => e);
+
+        expect(err.code).to.be.equal('ERR_VERIFY_MISMATCH');
+        expect(err.info.address).to.be.equal(9);
+        expect(err.info.expected.toString('hex')).to.be.equal('090a0b');
+        expect(err.info.actual.toString('hex')).to.be.equal('09000b');
+    });
+
+    it('should refuse verifying writes of write-only items only', async () => {
+        let { endpoint, plc } = createPlcEndpoint();
+        let output = Object.assign(byteItem(0, 0, '0102'), { area: constants.proto.area.PERIPHALS, writeOnly: true });
+
+        let err = await endpoint.writeVars([output], { verify: true }).catch(e => e);
+        expect(err.code).to.be.equal('ERR_INVALID_ARGUMENT');
+        expect(plc.readRequests.length).to.be.equal(0);
+
+        // peripheral inputs can be read back
+        let input = Object.assign(byteItem(0, 0, '0102'), { area: constants.proto.area.PERIPHALS });
+        let res = await endpoint.writeVars([input], { verify: true });
+        expect(res.map(r => r.returnCode)).to.be.deep.equal([OK]);
+        expect(plc.readRequests.length).to.be.equal(1);
+    });
+
+    it('should not read back unverified writes', async () => {
+        let { endpoint, plc } = createPlcEndpoint();
+
+        await endpoint.writeVars([byteItem(1, 9, '090a0b')]);
+        expect(plc.readRequests.length).to.be.equal(0);
+    });
+});
@@ -61,6 +61,24 @@ describe('S7Item', () => {
         done();
     });
 
+    it('should auto-detect the address format', done => {
+        expect(new S7Item("Item", "DB10,X4.3")._props).to.be.deep.equal(new S7Item("Item", "DB10.DBX4.3")._props);
+        expect(new S7Item("Item", "MW20")._props).to.be.deep.equal(new S7Item("Item", "%MW20")._props);
+        expect(new S7Item("Item", "C4")._props).to.be.deep.equal(new S7Item("Item", "Z4")._props);
+        expect(() => new S7Item("Bad", "DB10.DBX4")).to.throw('Bit address offset required');
+        expect(() => new S7Item("Bad", "DB10,FOO4")).to.throw('Unknown DB data type');
+        done();
+    });
+
+    it('should parse addresses with the selected format', done => {
+        expect(new S7Item("Item", "DB10.DBW6", { addressFormat: 'step7' }).datatype).to.be.equal('WORD');
+        expect(new S7Item("Item", "DB10,W6", { addressFormat: 'nodes7' }).datatype).to.be.equal('WORD');
+        expect(() => new S7Item("Bad", "DB10.DBW6", { addressFormat: 'nodes7' })).to.throw('invalid address format');
+        expect(() => new S7Item("Bad", "DB10,W6", { addressFormat: 'step7' })).to.throw('invalid address format');
+        expect(() => new S7Item("Bad", "DB10,W6", { addressFormat: 'foo' })).to.throw('Unknown address format');
+        done();
+    });
+
     testReadData('I0.0', false, Buffer.from('00', 'hex'));
     testReadData('E0.0', false, Buffer.from('fe', 'hex'));
     testReadData('I1.0', true, Buffer.from('01', 'hex'));
@@ -70,6 +88,8 @@ describe('S7Item', () => {
     testReadData('I1.7', true, Buffer.from('80', 'hex'));
     testReadData('E1.7', true, Buffer.from('ff', 'hex'));
     testReadData('E4.0.10', [false, true, false, true, false, true, false, true, false, true], Buffer.from('aaaa', 'hex'));
+    testReadData('%I1.0', true, Buffer.from('01', 'hex'));
+    testReadData('DB1.DBW2', 0x1234, Buffer.from('1234', 'hex'));
     testReadData('IB0', 0x55, Buffer.from('55', 'hex'));
     testReadData('QB0', 0x66, Buffer.from('66', 'hex'));
     testReadData('IW4', 0x1234, Buffer.from('1234', 'hex'));
@@ -79,9 +99,34 @@ describe('S7Item', () => {
     testReadData('DB10,CHAR20.5', 'abc\u0000\u0000', Buffer.from('6162630000', 'hex'));
     testReadData('DB10,C30.3', '\u0000\u0000\u0000', Buffer.from('000000', 'hex'));
     testReadData('DB10,S7.10', 'foo', Buffer.from('0a03666f6f00000000000000', 'hex'));
+    testReadData('DB10,WC4', 'a', Buffer.from('0061', 'hex'));
+    testReadData('DB10,WC4.3', 'Ωµ€', Buffer.from('03a900b520ac', 'hex'));
+    testReadData('DB10,WS10.5', 'Grüß', Buffer.from('000500040047007200fc00df0000', 'hex'));
+    testReadData('DB10,WS10.2.2', ['ab', ''], Buffer.from('000200020061006200020000aaaaaaaa', 'hex'));
+    testReadData('DB3,TIME0', -1500, Buffer.from('fffffa24', 'hex'));
+    testReadData('DB3,TIME0.2', [2147483647, 0], Buffer.from('7fffffff00000000', 'hex'));
+    testReadData('DB3,LTIME4', 86400000000000n, Buffer.from('00004e94914f0000', 'hex'));
+    testReadData('DB3,TOD12', 45296789, Buffer.from('02b32c95', 'hex'));
+    testReadData('DB3,LTOD16', 45296789012345n, Buffer.from('000029327b04bf79', 'hex'));
+    testReadData('DB3,S5TIME34', 2500, Buffer.from('1025', 'hex'));
+    testReadData('DB3,S5TIME34.4', [9990000, 10, 999000, 120], Buffer.from('3999000129990012', 'hex'));
     testReadData('II8.4', [-1, 1, 32767, -32768], Buffer.from('ffff00017fff8000', 'hex'));
     testReadData('QDI32.4', [-1, 1, 2147483647, -2147483648], Buffer.from('ffffffff000000017fffffff80000000', 'hex'));
     testReadData('DB1,REAL0.2', [3, 1234.5], Buffer.from('40400000449a5000', 'hex'));
+    testReadData('DB1,LR8', 1234.5, Buffer.from('40934a0000000000', 'hex'));
+    testReadData('DB1,LREAL8.2', [-1, 0.1], Buffer.from('bff00000000000003fb999999999999a', 'hex'));
+    testReadData('DB1,LI16', -2n, Buffer.from('fffffffffffffffe', 'hex'));
+    testReadData('DB1,LI16.2', [9223372036854775807n, -9223372036854775808n], Buffer.from('7fffffffffffffff8000000000000000', 'hex'));
+    testReadData('DB1,ULI24', 18446744073709551615n, Buffer.from('ffffffffffffffff', 'hex'));
+    testReadData('DB1,LW32', 0x0102030405060708n, Buffer.from('0102030405060708', 'hex'));
+    testReadData('DB2,SI1.4', [-1, 1, 127, -128], Buffer.from('ff017f80', 'hex'));
+    testReadData('MUSI2.2', [255, 128], Buffer.from('ff80', 'hex'));
+    testReadData('DB2,UI6', 65535, Buffer.from('ffff', 'hex'));
+    testReadData('IUDI8', 4294967295, Buffer.from('ffffffff', 'hex'));
+    testReadData('DB2,RUI10', 0x8001, Buffer.from('0180', 'hex'));
+    testReadData('DB2,RUDI12', 0x80000001, Buffer.from('01000080', 'hex'));
+    testReadData('DB5,RAW0.4', Buffer.from('deadbeef', 'hex'), Buffer.from('deadbeef', 'hex'));
+    testReadData('MBUFFER0.2.2', [Buffer.from('0102', 'hex'), Buffer.from('0304', 'hex')], Buffer.from('01020304', 'hex'));
 
     it('should read the value of item DB1,DT0', done => {
         let item = new S7Item("Item", "DB1,DT0");
@@ -135,6 +180,32 @@ describe('S7Item', () => {
         done();
     });
 
+    it('should read the value of item DB3,DATE24', done => {
+        let item = new S7Item("Item", "DB3,DATE24");
+        let req = item.getReadItemRequest();
+        let res = {
+            returnCode: constants.proto.retval.DATA_OK,
+            data: Buffer.from('2bf2', 'hex')
+        };
+        item.readValueFromResponse(res, req);
+        item.updateValueFromBuffer();
+        expect(item.value.toISOString()).to.be.equal('2020-10-20T00:00:00.000Z');
+        done();
+    });
+
+    it('should read the value of item DB3,LDT26', done => {
+        let item = new S7Item("Item", "DB3,LDT26");
+        let req = item.getReadItemRequest();
+        let res = {
+            returnCode: constants.proto.retval.DATA_OK,
+            data: Buffer.from('15ff5ed538299c40', 'hex')
+        };
+        item.readValueFromResponse(res, req);
+        item.updateValueFromBuffer();
+        expect(item.value.toISOString()).to.be.equal('2020-03-24T22:44:23.721Z');
+        done();
+    });
+
     it('should skip out of bounds read data', done => {
         let item = new S7Item("Item", "QB20.4");
 
@@ -196,6 +267,209 @@ describe('S7Item', () => {
     testWriteData('DB4,S2.5', 'smart-tech', '0505736d617274');
     testWriteData('DB66,S2.3', '', '0300000000');
     testWriteData('QR0.3', [0, 1234.5, 3], '00000000449a500040400000');
+    testWriteData('DB1,LR8', 1234.5, '40934a0000000000');
+    testWriteData('DB1,LREAL8.2', [-1, 0.1], 'bff00000000000003fb999999999999a');
+    testWriteData('DB1,LI16', -2n, 'fffffffffffffffe');
+    testWriteData('DB1,LI16', -2, 'fffffffffffffffe');
+    testWriteData('DB1,ULI24.2', [18446744073709551615n, 1], 'ffffffffffffffff0000000000000001');
+    testWriteData('DB1,LW32', 0x0102030405060708n, '0102030405060708');
+
+    testWriteData('DB2,WC2', 'C', '0043');
+    testWriteData('DB2,WC2.3', 'Ω', '03a900000000');
+    testWriteData('DB2,WS0.6', 'st-one', '0006000600730074002d006f006e0065');
+    testWriteData('DB2,WS0.4', 'Grüß', '000400040047007200fc00df');
+    testWriteData('DB2,WS0.2.2', ['a', 'bc'], '00020001006100000002000200620063');
+    testWriteData('DB3,TIME0', -1500, 'fffffa24');
+    testWriteData('DB3,LTIME4', 86400000000000n, '00004e94914f0000');
+    testWriteData('DB3,TOD12', 45296789, '02b32c95');
+    testWriteData('DB3,LTOD16', 45296789012345n, '000029327b04bf79');
+    testWriteData('DB3,S5TIME34.4', [9990000, 10, 999000, 120], '3999000129990012');
+    testWriteData('DB3,S5TIME34', 2500, '0250');
+    testWriteData('DB3,S5TIME34', 12300, '1123');
+    testWriteData('DB3,DATE24', new Date('2020-10-20T00:00:00.000Z'), '2bf2');
+    testWriteData('DB3,DATE24', 1603152000000, '2bf2');
+    testWriteData('DB3,LDT26', new Date('2020-03-24T22:44:23.721Z'), '15ff5ed538299c40');
+    testWriteData('DB2,SI1.4', [-1, 1, 127, -128], 'ff017f80');
+    testWriteData('MUSI2', 255, 'ff');
+    testWriteData('DB2,UI6.2', [65535, 1], 'ffff0001');
+    testWriteData('QUDI8', 4294967295, 'ffffffff');
+    testWriteData('DB2,RUI10', 0x8001, '0180');
+    testWriteData('DB2,RUDI12', 0x80000001, '01000080');
+    testWriteData('DB5,RAW0.4', Buffer.from('deadbeef', 'hex'), 'deadbeef');
+    testWriteData('DB5,BUFFER0.2.2', [Buffer.from('0102', 'hex'), Buffer.from('0304', 'hex')], '01020304');
+
+    it('should throw on writing buffers of a wrong length to RAW items', done => {
+        expect(() => new S7Item('Item', 'DB5,RAW0.4').getWriteBuffer(Buffer.alloc(3))).to.throw("doesn't match the length");
+        expect(() => new S7Item('Item', 'DB5,RAW0.4').getWriteBuffer(Buffer.alloc(5))).to.throw("doesn't match the length");
+        expect(() => new S7Item('Item', 'DB5,RAW0.4').getWriteBuffer('abcd')).to.throw('must be a Buffer');
+        done();
+    });
+
+    it('should return a copy of the data of RAW items', done => {
+        let item = new S7Item('Item', 'DB5,RAW0.2');
+        item.readValueFromResponse({ returnCode: constants.proto.retval.DATA_OK, data: Buffer.from('0102', 'hex') }, item.getReadItemRequest());
+        item.updateValueFromBuffer();
+        let value = item.value;
+        item.readValueFromResponse({ returnCode: constants.proto.retval.DATA_OK, data: Buffer.from('0304', 'hex') }, item.getReadItemRequest());
+        item.updateValueFromBuffer();
+        expect(value.toString('hex')).to.be.equal('0102');
+        expect(item.value.toString('hex')).to.be.equal('0304');
+        done();
+    });
+
+    it('should request instance DBs on the DI area', done => {
+        let req = new S7Item('Item', 'DI10,W4').getReadItemRequest();
+        expect(req.area).to.be.equal(constants.proto.area.DI);
+        expect(req.db).to.be.equal(10);
+        expect(req.address).to.be.equal(4);
+        done();
+    });
+
+    it('should not read peripheral outputs', done => {
+        let item = new S7Item('Item', 'PQW256');
+        expect(item.isWriteOnly).to.be.true;
+        expect(new S7Item('Item', 'PIW256').isWriteOnly).to.be.false;
+        expect(() => item.getReadItemRequest()).to.throw('write-only');
+        expect(item.getWriteBuffer(0x1234).toString('hex')).to.be.equal('1234');
+        done();
+    });
+
+    it('should read bits of words in the S7 byte order', done => {
+        let item = new S7Item('Item', 'DB3,WX20.11');
+        item.readValueFromResponse({ returnCode: constants.proto.retval.DATA_OK, data: Buffer.from('0800', 'hex') }, { address: 20 });
+        item.updateValueFromBuffer();
+        expect(item.value).to.be.true;
+
+        item = new S7Item('Item', 'DB3,DX24.30');
+        item.readValueFromResponse({ returnCode: constants.proto.retval.DATA_OK, data: Buffer.from('40000000', 'hex') }, { address: 24 });
+        item.updateValueFromBuffer();
+        expect(item.value).to.be.true;
+        done();
+    });
+
+    /**
+     * @param {string} addr
+     * @param {object} opts
+     * @param {string} hex
+     */
+    function readNamedValue(addr, opts, hex) {
+        let item = new S7Item('Item', addr, opts);
+        item.readValueFromResponse({ returnCode: constants.proto.retval.DATA_OK, data: Buffer.from(hex, 'hex') }, item.getReadItemRequest());
+        item.updateValueFromBuffer();
+        return item.value;
+    }
+
+    it('should decode enum values', done => {
+        let states = { enum: { 0: 'Stopped', 1: 'Running', 2: 'Fault' } };
+        expect(readNamedValue('DB1,INT0', states, '0001')).to.be.equal('Running');
+        expect(readNamedValue('DB1,INT0', states, '0007')).to.be.equal(7);
+        expect(readNamedValue('DB1,INT0.2', states, '00020000')).to.be.deep.equal(['Fault', 'Stopped']);
+        done();
+    });
+
+    it('should encode enum values', done => {
+        let item = new S7Item('Item', 'DB1,INT0', { enum: { 0: 'Stopped', 1: 'Running', 2: 'Fault' } });
+        expect(item.getWriteBuffer('Fault').toString('hex')).to.be.equal('0002');
+        expect(item.getWriteBuffer(7).toString('hex')).to.be.equal('0007');
+        expect(() => item.getWriteBuffer('Paused')).to.throw('Unknown name "Paused"');
+        done();
+    });
+
+    it('should decode bitmasks', done => {
+        let flags = { bitmask: { 0: 'Fault', 3: 'Running', 15: 'Remote' } };
+        expect(readNamedValue('DB1,W0', flags, '8009')).to.be.deep.equal(['Fault', 'Running', 'Remote']);
+        expect(readNamedValue('DB1,INT0', flags, '8008')).to.be.deep.equal(['Running', 'Remote']);
+        expect(readNamedValue('DB1,W0', flags, '0000')).to.be.deep.equal([]);
+        expect(readNamedValue('DB1,DI0', { bitmask: { 31: 'Sign' } }, '80000000')).to.be.deep.equal(['Sign']);
+        done();
+    });
+
+    it('should encode bitmasks', done => {
+        let flags = { bitmask: { 0: 'Fault', 3: 'Running', 15: 'Remote' } };
+        expect(new S7Item('Item', 'DB1,W0', flags).getWriteBuffer(['Running', 'Remote']).toString('hex')).to.be.equal('8008');
+        expect(new S7Item('Item', 'DB1,INT0', flags).getWriteBuffer(['Running', 'Remote']).toString('hex')).to.be.equal('8008');
+        expect(new S7Item('Item', 'DB1,W0', flags).getWriteBuffer(0x10).toString('hex')).to.be.equal('0010');
+        expect(new S7Item('Item', 'DB1,W0.2', flags).getWriteBuffer([['Fault'], []]).toString('hex')).to.be.equal('00010000');
+        expect(() => new S7Item('Item', 'DB1,W0', flags).getWriteBuffer('Fault')).to.throw('list of bit names');
+        done();
+    });
+
+    it('should validate enum and bitmask options', done => {
+        expect(() => new S7Item('Item', 'DB1,REAL0', { enum: { 0: 'Off' } })).to.throw('only supported by integer items');
+        expect(() => new S7Item('Item', 'DB1,INT0', { enum: { 0: 'Off' }, bitmask: { 0: 'On' } })).to.throw('cannot be used together');
+        expect(() => new S7Item('Item', 'DB1,B0', { bitmask: { 8: 'Off' } })).to.throw('Invalid bit "8"');
+        expect(() => new S7Item('Item', 'DB1,B0', { enum: { foo: 'Off' } })).to.throw('Invalid value "NaN"');
+        done();
+    });
+
+    it('should scale values read', done => {
+        let scale = { scale: { rawLow: 0, rawHigh: 27648, engLow: 0, engHigh: 100 } };
+        expect(readNamedValue('DB1,INT0', scale, '3600')).to.be.equal(50);
+        expect(readNamedValue('DB1,INT0', scale, '7000')).to.be.closeTo(103.70, 0.01);
+        expect(readNamedValue('DB1,INT0', { scale: Object.assign({ clamp: true }, scale.scale) }, '7000')).to.be.equal(100);
+        expect(readNamedValue('DB1,REAL0', { scale: { rawLow: 4, rawHigh: 20, engLow: -10, engHigh: 10 } }, '41200000')).to.be.equal(-2.5);
+        expect(readNamedValue('DB1,INT0', { scale: { rawLow: 0, rawHigh: 100, engLow: 100, engHigh: 0 } }, '00190000')).to.be.equal(75);
+        done();
+    });
+
+    it('should reverse the scaling of values written', done => {
+        let scale = { rawLow: 0, rawHigh: 27648, engLow: 0, engHigh: 100 };
+        expect(new S7Item('Item', 'DB1,INT0', { scale }).getWriteBuffer(50).toString('hex')).to.be.equal('3600');
+        expect(new S7Item('Item', 'DB1,INT0', { scale }).getWriteBuffer(33.3).toString('hex')).to.be.equal('23f7');
+        expect(new S7Item('Item', 'DB1,INT0', { scale: Object.assign({ clamp: true }, scale) }).getWriteBuffer(150).toString('hex')).to.be.equal('6c00');
+        expect(new S7Item('Item', 'DB1,REAL0', { scale: { rawLow: 4, rawHigh: 20, engLow: -10, engHigh: 10 } }).getWriteBuffer(-2.5).toString('hex')).to.be.equal('41200000');
+        expect(() => new S7Item('Item', 'DB1,INT0', { scale }).getWriteBuffer('50')).to.throw('Expected a number');
+        expect(() => new S7Item('Item', 'DB1,INT0', { scale }).getWriteBuffer(200)).to.throw('Value [200] out of the range 0 - 100').with.property('code', 'ERR_INVALID_ARGUMENT');
+        expect(() => new S7Item('Item', 'DB1,INT0', { scale: { rawLow: 0, rawHigh: 100, engLow: 100, engHigh: 0 } }).getWriteBuffer(-1)).to.throw('out of the range');
+        done();
+    });
+
+    it('should validate scaling options', done => {
+        let scale = { rawLow: 0, rawHigh: 27648, engLow: 0, engHigh: 100 };
+        expect(new S7Item('Item', 'DB1,INT0', { scale, unit: '°C' }).unit).to.be.equal('°C');
+        expect(() => new S7Item('Item', 'DB1,X0.0', { scale })).to.throw('only supported by numeric items');
+        expect(() => new S7Item('Item', 'DB1,INT0', { scale, enum: { 0: 'Off' } })).to.throw('cannot be used together');
+        expect(() => new S7Item('Item', 'DB1,INT0', { scale: { rawLow: 0, rawHigh: 10 } })).to.throw('requires numeric');
+        expect(() => new S7Item('Item', 'DB1,INT0', { scale: { rawLow: 0, rawHigh: 0, engLow: 0, engHigh: 1 } })).to.throw('non-empty ranges');
+        done();
+    });
+
+    it('should throw on writing strings longer than WCHAR and WSTRING items', done => {
+        expect(() => new S7Item('Item', 'DB1,WS0.4').getWriteBuffer('too long')).to.throw('exceeds the max length');
+        expect(() => new S7Item('Item', 'DB1,WC0.2').getWriteBuffer('abc')).to.throw('exceeds the max length');
+        expect(() => new S7Item('Item', 'DB1,WS0.4').getWriteBuffer(1234)).to.throw('must be a string');
+        done();
+    });
+
+    it('should throw on writing out of range values to time types', done => {
+        expect(() => new S7Item('Item', 'DB1,TIME0').getWriteBuffer(2147483648)).to.throw('out of range');
+        expect(() => new S7Item('Item', 'DB1,TOD0').getWriteBuffer(86400000)).to.throw('out of range');
+        expect(() => new S7Item('Item', 'DB1,LTOD0').getWriteBuffer(86400000000000n)).to.throw('out of range');
+        expect(() => new S7Item('Item', 'DB1,S5TIME0').getWriteBuffer(9990001)).to.throw('out of range');
+        expect(() => new S7Item('Item', 'DB1,S5TIME0').getWriteBuffer(12345)).to.throw('cannot be represented exactly');
+        expect(() => new S7Item('Item', 'DB1,S5TIME0').getWriteBuffer(9995)).to.throw('cannot be represented exactly');
+        expect(() => new S7Item('Item', 'DB1,DATE0').getWriteBuffer(new Date('1989-12-31T00:00:00.000Z'))).to.throw('out of range');
+        expect(() => new S7Item('Item', 'DB1,LDT0').getWriteBuffer('2020-01-01')).to.throw('must be instance of');
+        done();
+    });
+
+    it('should throw on writing out of range values to short and unsigned integers', done => {
+        expect(() => new S7Item('Item', 'DB1,SI0').getWriteBuffer(128)).to.throw('out of range');
+        expect(() => new S7Item('Item', 'DB1,USI0').getWriteBuffer(-1)).to.throw('out of range');
+        expect(() => new S7Item('Item', 'DB1,UI0').getWriteBuffer(65536)).to.throw('out of range');
+        expect(() => new S7Item('Item', 'DB1,RUI0').getWriteBuffer(-1)).to.throw('out of range');
+        expect(() => new S7Item('Item', 'DB1,UDI0').getWriteBuffer(4294967296)).to.throw('out of range');
+        expect(() => new S7Item('Item', 'DB1,UDI0').getWriteBuffer(1.5)).to.throw('out of range');
+        expect(() => new S7Item('Item', 'DB1,UI0.2').getWriteBuffer([1, -1])).to.throw('out of range');
+        done();
+    });
+
+    it('should throw on writing out of range values to 64-bit integers', done => {
+        expect(() => new S7Item('Item', 'DB1,LI0').getWriteBuffer(2n ** 63n)).to.throw('out of range');
+        expect(() => new S7Item('Item', 'DB1,ULI0').getWriteBuffer(-1n)).to.throw('out of range');
+        expect(() => new S7Item('Item', 'DB1,LW0').getWriteBuffer(1.5)).to.throw('must be a BigInt');
+        done();
+    });
 
     testWriteData('DB1,DT0', new Date('2019-11-12T21:02:16.709Z'), '1911121802167093');
     testWriteData('DB1,DTZ0', new Date('2019-11-12T21:02:16.709Z'), '1911122102167093');
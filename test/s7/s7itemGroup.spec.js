@@ -0,0 +1,645 @@
+//@ts-check
+/*
+    Copyright (c) 2019 Guilherme Francescon Cittolin
+
+    Permission is hereby granted, free of charge, to any person obtaining a copy
+    of this software and associated documentation files (the "Software"), to deal
+    in the Software without restriction, including without limitation the rights
+    to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+    copies of the Software, and to permit persons to whom the Software is
+    furnished to do so, subject to the following conditions:
+
+    The above copyright notice and this permission notice shall be included in all
+    copies or substantial portions of the Software.
+
+    THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+    IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+    FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+    AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+    LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+    OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+    SOFTWARE.
+*/
+/*jshint esversion: 6, node: true*/
+
+const { expect } = require('chai');
+const { once } = require('events');
+const S7ItemGroup = require('../../src/s7itemGroup.js');
+const { createEndpoint, createConnectedEndpoint } = require('../fakeEndpoint.js');
+//@ts-ignore
+const constants = require('../../src/constants.json');
+
+/**
+ * @param {number} ms
+ */
+function sleep(ms) {
+    return new Promise(res => setTimeout(res, ms));
+}
+
+describe('S7ItemGroup', () => {
+
+    it('should optimize reads of instance DBs apart from global DBs', () => {
+        let group = new S7ItemGroup(createEndpoint());
+        group.addItems(['DI10,W0', 'DI10,W2', 'DB10,W4', 'DI11,W4']);
+        group.getReadRequestCount();
+
+        let parts = group._readPackets[0].map(p => [p.area, p.db, p.address, p.length]);
+        expect(parts).to.be.deep.equal([
+            [constants.proto.area.DB, 10, 4, 2],
+            [constants.proto.area.DI, 10, 0, 4],
+            [constants.proto.area.DI, 11, 4, 2]
+        ]);
+    });
+
+    it('should not add peripheral outputs for reading', () => {
+        let group = new S7ItemGroup(createEndpoint());
+        expect(() => group.addItems(['PIW256', 'PQW256'])).to.throw('write-only');
+        expect(() => group.addItems('PAW256')).to.throw('write-only');
+    });
+
+    it('should add none of the items when one of them is invalid', async () => {
+        let group = new S7ItemGroup(createEndpoint());
+        group.addItems('DB1,INT0');
+        expect(await group.readAllItems()).to.be.deep.equal({ 'DB1,INT0': 0 });
+
+        expect(() => group.addItems(['DB1,INT2', 'PQW256'])).to.throw('write-only');
+        expect(() => group.addItems(['DB1,INT4', 'FOO'])).to.throw();
+        expect(await group.readAllItems()).to.be.deep.equal({ 'DB1,INT0': 0 });
+    });
+
+    it('should write peripheral outputs', async () => {
+        let endpoint = createEndpoint();
+        let group = new S7ItemGroup(endpoint);
+        await group.writeItems('PQW256', 0x1234);
+
+        let [req] = endpoint.writeRequests[0];
+        expect(req.area).to.be.equal(constants.proto.area.PERIPHALS);
+        expect(req.address).to.be.equal(256);
+        expect(req.data.toString('hex')).to.be.equal('1234');
+    });
+
+    it('should write bits of words as single bits', async () => {
+        let endpoint = createEndpoint();
+        let group = new S7ItemGroup(endpoint);
+        await group.writeItems('DB3,WX20.11', true);
+
+        let [req] = endpoint.writeRequests[0];
+        expect(req.transport).to.be.equal(constants.proto.transport.BIT);
+        expect(req.address).to.be.equal((20 << 3) + 3);
+        expect(req.data.toString('hex')).to.be.equal('01');
+    });
+
+    it('should scale the items added with scaling options', async () => {
+        let endpoint = createEndpoint();
+        endpoint.getMemory(constants.proto.area.DB, 1).writeInt16BE(13824, 0);
+        endpoint.getMemory(constants.proto.area.DB, 1).writeInt16BE(27648, 4);
+
+        let group = new S7ItemGroup(endpoint);
+        group.addItems(['DB1,INT0', 'DB1,INT2.2'], { scale: { rawLow: 0, rawHigh: 27648, engLow: 0, engHigh: 100 }, unit: '°C' });
+        group.addItems('DB1,INT6');
+
+        expect(await group.readAllItems()).to.be.deep.equal({ 'DB1,INT0': 50, 'DB1,INT2.2': [0, 100], 'DB1,INT6': 0 });
+        expect(group.getUnits()).to.be.deep.equal({ 'DB1,INT0': '°C', 'DB1,INT2.2': '°C' });
+
+        await group.writeItems(['DB1,INT0', 'DB1,INT2.2'], [25, [10, 20]]);
+        expect(endpoint.getMemory(constants.proto.area.DB, 1).toString('hex', 0, 6)).to.be.equal('1b000acd159a');
+    });
+
+    it('should merge contiguous items on a single write part', async () => {
+        let endpoint = createEndpoint();
+        let group = new S7ItemGroup(endpoint);
+        await group.writeItems(['DB1,INT2', 'DB1,X6.0', 'DB1,INT0', 'DB1,B4', 'DB1,B8', 'DB2,B5'], [0x0203, true, 0x0001, 4, 8, 5]);
+
+        expect(endpoint.writeRequests.length).to.be.equal(1);
+        expect(endpoint.writeRequests[0].map(i => [i.db, i.address, i.length])).to.be.deep.equal([
+            [1, 0, 5], [1, 6 << 3, 1], [1, 8, 1], [2, 5, 1]
+        ]);
+        expect(endpoint.getMemory(constants.proto.area.DB, 1).toString('hex', 0, 9)).to.be.equal('000102030400010008');
+    });
+
+    it('should not merge write parts when skipping optimization', async () => {
+        let endpoint = createEndpoint();
+        let group = new S7ItemGroup(endpoint, { skipOptimization: true });
+        await group.writeItems(['DB1,INT0', 'DB1,INT2'], [1, 2]);
+
+        expect(endpoint.writeRequests[0].length).to.be.equal(2);
+    });
+
+    it('should split items bigger than the PDU in multiple write requests', async () => {
+        let endpoint = createEndpoint({ pduSize: 60 });
+        let group = new S7ItemGroup(endpoint);
+        let value = Array.from({ length: 100 }, (v, i) => i);
+        await group.writeItems(['DB1,B0.100', 'DB1,INT100'], [value, 0x6465]);
+
+        // max payload of 48 bytes, minus 16 bytes of overhead per part
+        expect(endpoint.writeRequests.map(r => r.map(i => [i.address, i.length]))).to.be.deep.equal([
+            [[0, 32]], [[32, 32]], [[64, 32]], [[96, 6]]
+        ]);
+        expect(Array.from(endpoint.getMemory(constants.proto.area.DB, 1).subarray(0, 102))).to.be.deep.equal(value.concat(100, 101));
+    });
+
+    it('should not split small items merged with big ones across write requests', async () => {
+        let endpoint = createEndpoint({ pduSize: 240 });
+        let group = new S7ItemGroup(endpoint);
+        await group.writeItems(['DB1,B0.100', 'DB2,B0.94', 'DB2,DI94'], [new Array(100).fill(1), new Array(94).fill(2), 0x01020304]);
+
+        let dintParts = [].concat(...endpoint.writeRequests)
+            .filter(i => i.db === 2 && i.address < 98 && i.address + i.length > 94);
+        expect(dintParts.length).to.be.equal(1);
+        expect(dintParts[0].address).to.be.at.most(94);
+        expect(dintParts[0].address + dintParts[0].length).to.be.at.least(98);
+        expect(endpoint.getMemory(constants.proto.area.DB, 2).readUInt32BE(94)).to.be.equal(0x01020304);
+    });
+
+    it('should not split items that are not written byte-wise', async () => {
+        let group = new S7ItemGroup(createEndpoint({ pduSize: 60 }));
+        let err = await group.writeItems(['T0.30'], [new Array(30).fill(0)]).catch(e => e);
+        expect(err.code).to.be.equal('ERR_ITEM_TOO_BIG');
+    });
+
+    it('should write the items in the given order on ordered writes', async () => {
+        let endpoint = createEndpoint({ pduSize: 60 });
+        let writeVars = endpoint.writeVars;
+        let pending = 0, maxPending = 0;
+        endpoint.writeVars = async (items) => {
+            maxPending = Math.max(maxPending, ++pending);
+            await sleep(1);
+            pending--;
+            return writeVars(items);
+        };
+
+        let group = new S7ItemGroup(endpoint);
+        await group.writeItems(['DB1,B40.40', 'DB1,B0', 'DB1,B1'], [new Array(40).fill(1), 2, 3], { ordered: true });
+
+        expect(maxPending).to.be.equal(1);
+        expect(endpoint.writeRequests.map(r => r.map(i => [i.address, i.length]))).to.be.deep.equal([
+            [[40, 32]], [[72, 8], [0, 2]]
+        ]);
+    });
+
+    it('should stop ordered writes on the first error', async () => {
+        let endpoint = createEndpoint({ pduSize: 60 });
+        let writeVars = endpoint.writeVars;
+        endpoint.writeVars = async (items) => {
+            await writeVars(items);
+            return items.map(() => ({ returnCode: 5 }));
+        };
+
+        let group = new S7ItemGroup(endpoint);
+        let err = await group.writeItems(['DB1,B0.40', 'DB1,B100'], [new Array(40).fill(1), 2], { ordered: true }).catch(e => e);
+
+        expect(err.code).to.be.equal(5);
+        expect(endpoint.writeRequests.length).to.be.equal(1);
+    });
+
+    it('should report the item whose value read back differs on verified writes', async () => {
+        // a PLC that limits DB1,INT10 to 1000
+        let { endpoint } = createConnectedEndpoint({
+            afterWrite: plc => {
+                let mem = plc.getMemory(constants.proto.area.DB, 1);
+                mem.writeInt16BE(Math.min(mem.readInt16BE(10), 1000), 10);
+            }
+        });
+
+        let group = new S7ItemGroup(endpoint);
+        group.addItems('DB1,INT10');
+        await group.writeItems(['DB1,INT8', 'DB1,INT10'], [900, 1000], { verify: true });
+
+        let err = await group.writeItems(['DB1,INT8', 'DB1,INT10', 'DB1,INT12'], [900, 1234, 5], { verify: true }).catch(e => e);
+        expect(err.code).to.be.equal('ERR_VERIFY_MISMATCH');
+        expect(err.info).to.include({ tag: 'DB1,INT10', expected: 1234, actual: 1000 });
+        // the value of the item is only updated by reads
+        expect(group._items.get('DB1,INT10').value).to.be.undefined;
+    });
+
+    it('should refuse verifying write-only items', async () => {
+        let endpoint = createEndpoint();
+        let group = new S7ItemGroup(endpoint);
+
+        let err = await group.writeItems(['DB1,INT0', 'PQW0'], [1, 2], { verify: true }).catch(e => e);
+        expect(err.code).to.be.equal('ERR_INVALID_ARGUMENT');
+        expect(err.message).to.contain('write-only');
+        expect(endpoint.writeRequests.length).to.be.equal(0);
+    });
+
+    it('should read only the requested subset of items', async () => {
+        let endpoint = createEndpoint();
+        let mem = endpoint.getMemory(constants.proto.area.DB, 1);
+        mem.writeInt16BE(10, 0);
+        mem.writeInt16BE(20, 100);
+        mem.writeInt16BE(30, 200);
+
+        let group = new S7ItemGroup(endpoint);
+        group.addItems(['DB1,INT0', 'DB1,INT100', 'DB1,INT200', 'DB2,INT0']);
+
+        expect(await group.readItems(['DB1,INT200', 'DB1,INT0'])).to.be.deep.equal({ 'DB1,INT200': 30, 'DB1,INT0': 10 });
+        expect(endpoint.readRequests[0].map(i => [i.db, i.address, i.length])).to.be.deep.equal([[1, 0, 2], [1, 200, 2]]);
+
+        expect(await group.readItems('DB1,INT100', { vqt: true })).to.have.nested.property('DB1,INT100.quality', 'good');
+    });
+
+    it('should keep the read packets of each subset', async () => {
+        let endpoint = createEndpoint();
+        let group = new S7ItemGroup(endpoint);
+        group.addItems(['DB1,INT0', 'DB1,INT2', 'DB1,INT4']);
+
+        await group.readItems(['DB1,INT0', 'DB1,INT4']);
+        let [packets] = group._subsetReadPackets.values();
+        await group.readItems(['DB1,INT4', 'DB1,INT0']);
+        expect(group._subsetReadPackets.size).to.be.equal(1);
+        expect(group._subsetReadPackets.values().next().value).to.be.equal(packets);
+
+        group.addItems('DB1,INT6');
+        expect(group._subsetReadPackets.size).to.be.equal(0);
+    });
+
+    it('should reject reading a subset with unknown tags', async () => {
+        let group = new S7ItemGroup(createEndpoint());
+        group.addItems('DB1,INT0');
+
+        let err = await group.readItems(['DB1,INT0', 'DB1,INT2']).catch(e => e);
+        expect(err.code).to.be.equal('ERR_INVALID_ARGUMENT');
+        expect(err.message).to.contain('DB1,INT2');
+    });
+
+    it('should fail the whole read on the first bad item', async () => {
+        let endpoint = createEndpoint();
+        endpoint.missingDbs = [2];
+
+        let group = new S7ItemGroup(endpoint);
+        group.addItems(['DB1,INT0', 'DB2,INT0']);
+
+        let err = await group.readAllItems().catch(e => e);
+        expect(err.code).to.be.equal(10);
+        expect(err.message).to.contain('Object does not exist');
+    });
+
+    it('should return the quality and timestamp of each item on VQT mode', async () => {
+        let endpoint = createEndpoint();
+        endpoint.missingDbs = [2];
+        endpoint.getMemory(constants.proto.area.DB, 1).writeInt16BE(42, 0);
+
+        let group = new S7ItemGroup(endpoint);
+        group.addItems(['DB1,INT0', 'DB2,INT0', 'DB2,X4.0']);
+
+        let before = Date.now();
+        let res = await group.readAllItems({ vqt: true });
+
+        expect(res['DB1,INT0'].value).to.be.equal(42);
+        expect(res['DB1,INT0'].quality).to.be.equal('good');
+        expect(res['DB1,INT0'].error).to.be.null;
+        expect(res['DB1,INT0'].timestamp.getTime()).to.be.within(before, Date.now());
+
+        for (const tag of ['DB2,INT0', 'DB2,X4.0']) {
+            expect(res[tag].value).to.be.null;
+            expect(res[tag].quality).to.be.equal('bad');
+            expect(res[tag].error.code).to.be.equal(10);
+            expect(res[tag].error.message).to.contain('Object does not exist');
+        }
+    });
+
+    it('should mark only the items of a failed request as bad on VQT mode', async () => {
+        let endpoint = createEndpoint({ pduSize: 40 });
+        let readVars = endpoint.readVars;
+        endpoint.readVars = async (items) => {
+            if (items.some(i => i.db === 2)) throw new Error('Timeout');
+            return readVars(items);
+        };
+
+        let group = new S7ItemGroup(endpoint);
+        group.addItems(['DB1,B0.10', 'DB2,B0.10']);
+
+        let res = await group.readAllItems({ vqt: true });
+        expect(res['DB1,B0.10'].quality).to.be.equal('good');
+        expect(res['DB2,B0.10'].quality).to.be.equal('bad');
+        expect(res['DB2,B0.10'].error.message).to.be.equal('Timeout');
+    });
+
+    describe('transactions', () => {
+
+        /**
+         * A fake endpoint whose writes to DB3 fail with DATA_ACCESS_FAULT
+         */
+        function createFaultyEndpoint() {
+            let endpoint = createEndpoint({ pduSize: 60 });
+            let writeVars = endpoint.writeVars;
+            endpoint.writeVars = async (items) => {
+                let res = await writeVars(items.filter(i => i.db !== 3));
+                return items.map(i => i.db === 3 ? { returnCode: constants.proto.retval.DATA_ACCESS_FAULT } : res.shift());
+            };
+            endpoint.getMemory(constants.proto.area.DB, 1).writeInt16BE(100, 0);
+            endpoint.getMemory(constants.proto.area.DB, 2).writeInt16BE(200, 0);
+            return endpoint;
+        }
+
+        it('should commit when all items are written', async () => {
+            let endpoint = createFaultyEndpoint();
+            let group = new S7ItemGroup(endpoint);
+
+            let res = await group.writeTransaction(['DB1,INT0', 'DB2,INT0'], [1, 2]);
+
+            expect(res).to.be.deep.equal({ committed: true, written: ['DB1,INT0', 'DB2,INT0'], failed: [], rolledBack: [], rollbackFailed: [] });
+            expect(endpoint.readRequests.length).to.be.equal(1);
+            expect(endpoint.getMemory(constants.proto.area.DB, 2).readInt16BE(0)).to.be.equal(2);
+        });
+
+        it('should restore the written items when an item fails', async () => {
+            let endpoint = createFaultyEndpoint();
+            let group = new S7ItemGroup(endpoint);
+            let value = Array.from({ length: 40 }, (v, i) => i);
+
+            let res = await group.writeTransaction(['DB1,INT0', 'DB3,INT0', 'DB2,INT0', 'DB2,B10.40'], [1, 3, 2, value]);
+
+            expect(res.committed).to.be.false;
+            expect(res.written).to.be.deep.equal(['DB1,INT0', 'DB2,INT0', 'DB2,B10.40']);
+            expect(res.failed.map(f => [f.tag, f.error.code])).to.be.deep.equal([['DB3,INT0', constants.proto.retval.DATA_ACCESS_FAULT]]);
+            expect(res.rolledBack).to.be.deep.equal(['DB1,INT0', 'DB2,INT0', 'DB2,B10.40']);
+            expect(res.rollbackFailed).to.be.deep.equal([]);
+
+            expect(endpoint.getMemory(constants.proto.area.DB, 1).readInt16BE(0)).to.be.equal(100);
+            expect(endpoint.getMemory(constants.proto.area.DB, 2).readInt16BE(0)).to.be.equal(200);
+            expect(endpoint.getMemory(constants.proto.area.DB, 2).subarray(10, 50).every(b => b === 0)).to.be.true;
+        });
+
+        it('should report the items that could not be restored', async () => {
+            let endpoint = createFaultyEndpoint();
+            let writeVars = endpoint.writeVars;
+            let calls = 0;
+            endpoint.writeVars = async (items) => {
+                if (calls++) throw new Error('Timeout');
+                return writeVars(items);
+            };
+
+            let group = new S7ItemGroup(endpoint);
+            let res = await group.writeTransaction(['DB1,INT0', 'DB3,INT0'], [1, 3]);
+
+            expect(res.committed).to.be.false;
+            expect(res.rolledBack).to.be.deep.equal([]);
+            expect(res.rollbackFailed.map(f => [f.tag, f.error.message])).to.be.deep.equal([['DB1,INT0', 'Timeout']]);
+            expect(endpoint.getMemory(constants.proto.area.DB, 1).readInt16BE(0)).to.be.equal(1);
+        });
+
+        it('should reject write-only items', async () => {
+            let endpoint = createFaultyEndpoint();
+            let group = new S7ItemGroup(endpoint);
+
+            let err = await group.writeTransaction(['DB1,INT0', 'PQW0'], [1, 2]).catch(e => e);
+            expect(err.code).to.be.equal('ERR_INVALID_ARGUMENT');
+            expect(err.message).to.contain('write-only');
+            expect(endpoint.readRequests.length).to.be.equal(0);
+            expect(endpoint.writeRequests.length).to.be.equal(0);
+        });
+
+        it('should not write anything when the current values cannot be read', async () => {
+            let endpoint = createFaultyEndpoint();
+            endpoint.missingDbs = [2];
+
+            let group = new S7ItemGroup(endpoint);
+            let err = await group.writeTransaction(['DB1,INT0', 'DB2,INT0'], [1, 2]).catch(e => e);
+
+            expect(err.code).to.be.equal(10);
+            expect(err.info.tag).to.be.equal('DB2,INT0');
+            expect(endpoint.writeRequests.length).to.be.equal(0);
+        });
+    });
+
+    describe('polling', () => {
+
+        /** @type {S7ItemGroup} */
+        let group;
+
+        afterEach(() => group && group.destroy());
+
+        it('should emit data and change events', async () => {
+            let endpoint = createEndpoint();
+            let mem = endpoint.getMemory(constants.proto.area.DB, 1);
+            group = new S7ItemGroup(endpoint);
+            group.addItems(['DB1,INT0', 'DB1,INT2.2', 'DB1,DT8']);
+
+            let changes = [];
+            group.on('change', (tag, value, oldValue) => changes.push([tag, value, oldValue]));
+
+            group.startPolling(10);
+            expect(group.isPolling).to.be.true;
+            let [data] = await once(group, 'data');
+            expect(data['DB1,INT0']).to.be.equal(0);
+            expect(changes.map(c => c[0])).to.be.deep.equal(['DB1,INT0', 'DB1,INT2.2', 'DB1,DT8']);
+            expect(changes[0][2]).to.be.undefined;
+
+            changes = [];
+            await once(group, 'data');
+            expect(changes).to.be.deep.equal([]);
+
+            mem.writeInt16BE(5, 4);
+            await once(group, 'data');
+            expect(changes).to.be.deep.equal([['DB1,INT2.2', [0, 5], [0, 0]]]);
+
+            group.stopPolling();
+            expect(group.isPolling).to.be.false;
+        });
+
+        it('should report changes of quality on VQT mode', async () => {
+            let endpoint = createEndpoint();
+            group = new S7ItemGroup(endpoint);
+            group.addItems('DB2,INT0');
+
+            let changes = [];
+            group.on('change', (tag, value) => changes.push(value.quality));
+
+            group.startPolling(10, { vqt: true });
+            await once(group, 'data');
+            endpoint.missingDbs = [2];
+            await once(group, 'data');
+            await once(group, 'data');
+            expect(changes).to.be.deep.equal(['good', 'bad']);
+        });
+
+        /**
+         * Polls the group, changing the memory before each cycle,
+         * and returns the values of the change events of each cycle
+         * @param {S7ItemGroup} grp
+         * @param {Array<function>} steps
+         */
+        async function pollSteps(grp, steps) {
+            let changes;
+            grp.on('change', (tag, value) => changes.push(value));
+            let res = [];
+            grp.startPolling(5);
+            for (const step of steps) {
+                changes = [];
+                step();
+                await once(grp, 'data');
+                res.push(changes);
+            }
+            grp.stopPolling();
+            return res;
+        }
+
+        it('should filter changes within the absolute deadband', async () => {
+            let endpoint = createEndpoint();
+            let mem = endpoint.getMemory(constants.proto.area.DB, 1);
+            group = new S7ItemGroup(endpoint);
+            group.addItems('DB1,REAL0', { deadband: 0.5 });
+
+            let res = await pollSteps(group, [
+                () => mem.writeFloatBE(10, 0),
+                () => mem.writeFloatBE(10.4, 0),
+                () => mem.writeFloatBE(10.5, 0),
+                () => mem.writeFloatBE(10.75, 0),
+                () => mem.writeFloatBE(9.5, 0)
+            ]);
+            expect(res).to.be.deep.equal([[10], [], [], [10.75], [9.5]]);
+        });
+
+        it('should apply percent deadbands to the scaled range', async () => {
+            let endpoint = createEndpoint();
+            let mem = endpoint.getMemory(constants.proto.area.DB, 1);
+            group = new S7ItemGroup(endpoint);
+            group.addItems('DB1,INT0', { scale: { rawLow: 0, rawHigh: 27648, engLow: 0, engHigh: 100 }, deadbandPercent: 1 });
+
+            let res = await pollSteps(group, [
+                () => mem.writeInt16BE(13824, 0), // 50
+                () => mem.writeInt16BE(13960, 0), // 50.49
+                () => mem.writeInt16BE(14110, 0) // 51.03
+            ]);
+            expect(res.map(r => r.map(v => Math.round(v * 100) / 100))).to.be.deep.equal([[50], [], [51.03]]);
+        });
+
+        it('should apply percent deadbands to the last value of unscaled items', async () => {
+            let endpoint = createEndpoint();
+            let mem = endpoint.getMemory(constants.proto.area.DB, 1);
+            group = new S7ItemGroup(endpoint);
+            group.addItems('DB1,DI0', { deadbandPercent: 10 });
+
+            let res = await pollSteps(group, [
+                () => mem.writeInt32BE(1000, 0),
+                () => mem.writeInt32BE(1100, 0),
+                () => mem.writeInt32BE(1101, 0)
+            ]);
+            expect(res).to.be.deep.equal([[1000], [], [1101]]);
+        });
+
+        it('should apply deadbands to arrays element by element', async () => {
+            let endpoint = createEndpoint();
+            let mem = endpoint.getMemory(constants.proto.area.DB, 1);
+            group = new S7ItemGroup(endpoint);
+            group.addItems('DB1,INT0.3', { deadband: 2 });
+
+            let res = await pollSteps(group, [
+                () => mem.writeInt16BE(10, 2),
+                () => { mem.writeInt16BE(2, 0); mem.writeInt16BE(8, 2); mem.writeInt16BE(-2, 4); },
+                () => mem.writeInt16BE(-3, 4)
+            ]);
+            expect(res).to.be.deep.equal([[[0, 10, 0]], [], [[2, 8, -3]]]);
+        });
+
+        it('should respect the minimum and maximum publish intervals', async () => {
+            let endpoint = createEndpoint();
+            let mem = endpoint.getMemory(constants.proto.area.DB, 1);
+            group = new S7ItemGroup(endpoint);
+            group.addItems('DB1,INT0', { minPublishInterval: 1000 });
+            group.addItems('DB1,INT2', { maxPublishInterval: 15 });
+
+            let changes = [];
+            group.on('change', (tag, value) => changes.push([tag, value]));
+            group.startPolling(5);
+            await once(group, 'data');
+            mem.writeInt16BE(1, 0);
+            await sleep(40);
+            group.stopPolling();
+
+            // the change of INT0 is held back, while INT2 is published again without changes
+            expect(changes.filter(c => c[0] === 'DB1,INT0')).to.be.deep.equal([['DB1,INT0', 0]]);
+            expect(changes.filter(c => c[0] === 'DB1,INT2').length).to.be.greaterThan(1);
+        });
+
+        it('should validate the deadband options', () => {
+            group = new S7ItemGroup(createEndpoint());
+            expect(() => group.addItems('DB1,INT0', { deadband: -1 })).to.throw('non-negative number');
+            expect(() => group.addItems('DB1,INT0', { maxPublishInterval: '10' })).to.throw('non-negative number');
+        });
+
+        it('should not overlap cycles', async () => {
+            let endpoint = createEndpoint();
+            let readVars = endpoint.readVars;
+            let inFlight = 0, maxInFlight = 0;
+            endpoint.readVars = async (items) => {
+                maxInFlight = Math.max(maxInFlight, ++inFlight);
+                await sleep(30);
+                inFlight--;
+                return readVars(items);
+            };
+
+            group = new S7ItemGroup(endpoint);
+            group.addItems('DB1,INT0');
+            group.startPolling(1);
+            await sleep(100);
+
+            expect(endpoint.readRequests.length).to.be.within(1, 4);
+            expect(maxInFlight).to.be.equal(1);
+        });
+
+        it('should pause while disconnected', async () => {
+            let endpoint = createEndpoint();
+            group = new S7ItemGroup(endpoint);
+            group.addItems('DB1,INT0');
+
+            group.startPolling(5);
+            await once(group, 'data');
+
+            endpoint.isConnected = false;
+            endpoint.emit('disconnect');
+            let count = endpoint.readRequests.length;
+            await sleep(30);
+            expect(endpoint.readRequests.length).to.be.equal(count);
+
+            endpoint.isConnected = true;
+            endpoint.emit('connect');
+            await once(group, 'data');
+            expect(endpoint.readRequests.length).to.be.greaterThan(count);
+        });
+
+        it('should emit read errors', async () => {
+            let endpoint = createEndpoint();
+            endpoint.missingDbs = [1];
+            group = new S7ItemGroup(endpoint);
+            group.addItems('DB1,INT0');
+
+            group.startPolling(10);
+            let [err] = await once(group, 'error');
+            expect(err.code).to.be.equal(10);
+        });
+
+        it('should validate the interval', () => {
+            group = new S7ItemGroup(createEndpoint());
+            expect(() => group.startPolling(0)).to.throw('positive number');
+            expect(() => group.startPolling(/** @type {any} */('10'))).to.throw('positive number');
+        });
+
+        it('should publish the values read by the application', async () => {
+            let endpoint = createEndpoint();
+            let mem = endpoint.getMemory(constants.proto.area.DB, 1);
+            group = new S7ItemGroup(endpoint);
+            group.addItems(['DB1,INT0', 'DB1,INT2']);
+
+            let changes = [];
+            group.on('change', (tag, value, oldValue) => changes.push([tag, value, oldValue]));
+            let state = group.createChangeState();
+
+            group.publishValues(await group.readAllItems(), state);
+            expect(changes).to.be.deep.equal([['DB1,INT0', 0, undefined], ['DB1,INT2', 0, undefined]]);
+
+            changes = [];
+            mem.writeInt16BE(7, 2);
+            let [[data]] = await Promise.all([once(group, 'data'), group.readAllItems().then(res => group.publishValues(res, state))]);
+            expect(data).to.be.deep.equal({ 'DB1,INT0': 0, 'DB1,INT2': 7 });
+            expect(changes).to.be.deep.equal([['DB1,INT2', 7, 0]]);
+
+            // a new state publishes everything again
+            changes = [];
+            group.publishValues(await group.readAllItems(), group.createChangeState());
+            expect(changes.map(c => c[0])).to.be.deep.equal(['DB1,INT0', 'DB1,INT2']);
+            expect(group.isPolling).to.be.false;
+        });
+    });
+});
@@ -0,0 +1,173 @@
+//@ts-check
+/*
+    Copyright (c) 2019 Guilherme Francescon Cittolin
+
+    Permission is hereby granted, free of charge, to any person obtaining a copy
+    of this software and associated documentation files (the "Software"), to deal
+    in the Software without restriction, including without limitation the rights
+    to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+    copies of the Software, and to permit persons to whom the Software is
+    furnished to do so, subject to the following conditions:
+
+    The above copyright notice and this permission notice shall be included in all
+    copies or substantial portions of the Software.
+
+    THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+    IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+    FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+    AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+    LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+    OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+    SOFTWARE.
+*/
+/*jshint esversion: 6, node: true*/
+
+const { expect } = require('chai');
+const S7ReadCoordinator = require('../../src/s7readCoordinator.js');
+const S7ItemGroup = require('../../src/s7itemGroup.js');
+const { createConnectedEndpoint } = require('../fakeEndpoint.js');
+//@ts-ignore
+const constants = require('../../src/constants.json');
+
+const DB = constants.proto.area.DB;
+const BYTE = constants.proto.transport.BYTE;
+const OK = constants.proto.retval.DATA_OK;
+
+/**
+ * Creates a request function reading from a memory where each byte has
+ * the value of its address, with DBs up to 100 bytes long
+ */
+function createRequest() {
+    let request = /** @type {any} */ (async (items) => {
+        request.requests.push(items);
+        return items.map(i => {
+            if (i.db === 99 || i.address + i.length > 100) {
+                return { returnCode: 5, transportSize: 0, data: Buffer.alloc(0) };
+            }
+            let data = Buffer.alloc(i.length);
+            for (let j = 0; j < i.length; j++) data[j] = i.address + j;
+            return { returnCode: OK, transportSize: 4, data };
+        });
+    });
+    request.requests = [];
+    return request;
+}
+
+/**
+ * @param {number} address
+ * @param {number} length
+ * @param {number} [db]
+ */
+function item(address, length, db) {
+    return { area: DB, db: db || 1, transport: BYTE, address, length };
+}
+
+describe('S7ReadCoordinator', () => {
+
+    it('should merge overlapping and nearby reads of concurrent calls', async () => {
+        let request = createRequest();
+        let coord = new S7ReadCoordinator(request, () => 240);
+
+        let [res1, res2] = await Promise.all([
+            coord.read([item(0, 4), item(20, 2)]),
+            coord.read([item(2, 4), item(8, 2), item(20, 2, 2)])
+        ]);
+
+        expect(request.requests.length).to.be.equal(1);
+        expect(request.requests[0].map(i => [i.db, i.address, i.length])).to.be.deep.equal([
+            [1, 0, 10], [1, 20, 2], [2, 20, 2]
+        ]);
+
+        expect(res1.map(r => r.data.toString('hex'))).to.be.deep.equal(['00010203', '1415']);
+        expect(res2.map(r => r.data.toString('hex'))).to.be.deep.equal(['02030405', '0809', '1415']);
+        expect(res1[0].returnCode).to.be.equal(OK);
+    });
+
+    it('should not merge items further apart than the gap', async () => {
+        let request = createRequest();
+        let coord = new S7ReadCoordinator(request, () => 240, { gap: 0 });
+
+        await Promise.all([coord.read([item(0, 4)]), coord.read([item(4, 2), item(7, 1)])]);
+        expect(request.requests[0].map(i => [i.address, i.length])).to.be.deep.equal([[0, 6], [7, 1]]);
+    });
+
+    it('should merge calls within the time window', async () => {
+        let request = createRequest();
+        let coord = new S7ReadCoordinator(request, () => 240, { window: 10 });
+
+        let p1 = coord.read([item(0, 2)]);
+        await new Promise(res => setTimeout(res, 2));
+        let p2 = coord.read([item(2, 2)]);
+        await Promise.all([p1, p2]);
+
+        expect(request.requests.length).to.be.equal(1);
+        expect(request.requests[0].map(i => [i.address, i.length])).to.be.deep.equal([[0, 4]]);
+    });
+
+    it('should respect the PDU size', async () => {
+        let request = createRequest();
+        // max part length of 240 - 36 = 204 bytes
+        let coord = new S7ReadCoordinator(request, () => 240);
+
+        let res = await Promise.all([coord.read([item(0, 20)]), coord.read([item(10, 20, 2)]), coord.read([item(0, 200, 3)])]);
+
+        expect(request.requests.length).to.be.equal(2);
+        expect(res[2][0].returnCode).to.be.equal(5);
+        expect(res[0][0].data.length).to.be.equal(20);
+    });
+
+    it('should not merge items of other transports', async () => {
+        let request = createRequest();
+        let coord = new S7ReadCoordinator(request, () => 240);
+        let bit = { area: DB, db: 1, transport: constants.proto.transport.BIT, address: 8, length: 1 };
+
+        await Promise.all([coord.read([item(0, 2)]), coord.read([bit])]);
+        expect(request.requests[0].length).to.be.equal(2);
+    });
+
+    it('should retry the items of merged parts refused by the PLC', async () => {
+        let request = createRequest();
+        let coord = new S7ReadCoordinator(request, () => 240);
+
+        let [res1, res2] = await Promise.all([coord.read([item(90, 4)]), coord.read([item(96, 8)])]);
+
+        expect(request.requests.length).to.be.equal(2);
+        expect(res1[0].returnCode).to.be.equal(OK);
+        expect(res1[0].data.toString('hex')).to.be.equal('5a5b5c5d');
+        expect(res2[0].returnCode).to.be.equal(5);
+    });
+
+    it('should reject only the calls of failed requests', async () => {
+        let request = /** @type {any} */ (async (items) => {
+            if (items.some(i => i.db === 2)) throw new Error('Timeout');
+            return createRequest()(items);
+        });
+        // small PDU, so that each DB goes on its own request
+        let coord = new S7ReadCoordinator(request, () => 60);
+
+        let res = await Promise.all([
+            coord.read([item(0, 20)]).catch(e => e),
+            coord.read([item(0, 20, 2)]).catch(e => e)
+        ]);
+        expect(res[0][0].data.length).to.be.equal(20);
+        expect(res[1].message).to.be.equal('Timeout');
+    });
+
+    it('should be used by S7Endpoint when merging reads', async () => {
+        let { endpoint, plc } = createConnectedEndpoint({ endpoint: { mergeReads: { gap: 2 } } });
+        let mem = plc.getMemory(DB, 1);
+        for (let i = 0; i < mem.length; i++) mem[i] = i;
+
+        let group1 = new S7ItemGroup(endpoint);
+        group1.addItems(['DB1,B0', 'DB1,W4']);
+        let group2 = new S7ItemGroup(endpoint);
+        group2.addItems(['DB1,W2', 'DB1,B6']);
+
+        let [res1, res2] = await Promise.all([group1.readAllItems(), group2.readAllItems()]);
+
+        expect(plc.readRequests.length).to.be.equal(1);
+        expect(plc.readRequests[0].map(i => [i.address >> 3, i.length])).to.be.deep.equal([[0, 7]]);
+        expect(res1).to.be.deep.equal({ 'DB1,B0': 0, 'DB1,W4': 0x0405 });
+        expect(res2).to.be.deep.equal({ 'DB1,W2': 0x0203, 'DB1,B6': 6 });
+    });
+});
@@ -0,0 +1,273 @@
+//@ts-check
+/*
+    Copyright (c) 2019 Guilherme Francescon Cittolin
+
+    Permission is hereby granted, free of charge, to any person obtaining a copy
+    of this software and associated documentation files (the "Software"), to deal
+    in the Software without restriction, including without limitation the rights
+    to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+    copies of the Software, and to permit persons to whom the Software is
+    furnished to do so, subject to the following conditions:
+
+    The above copyright notice and this permission notice shall be included in all
+    copies or substantial portions of the Software.
+
+    THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+    IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+    FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+    AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+    LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+    OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+    SOFTWARE.
+*/
+/*jshint esversion: 6, node: true*/
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const S7ItemGroup = require('../../src/s7itemGroup.js');
+const S7RecipeManager = require('../../src/s7recipeManager.js');
+const { createEndpoint } = require('../fakeEndpoint.js');
+//@ts-ignore
+const constants = require('../../src/constants.json');
+
+const DB = constants.proto.area.DB;
+
+const SCHEMA = [
+    { tag: 'DB1,INT0', type: 'integer', min: 0, max: 100 },
+    { tag: 'DB1,REAL2', type: 'number', min: -10, max: 10 },
+    { tag: 'DB1,X6.0', type: 'boolean' },
+    { tag: 'DB1,S8.10', type: 'string', maxLength: 10 },
+    { tag: 'DB1,INT20.3', type: 'integer', min: 0, length: 3 }
+];
+
+const RECIPE = {
+    'DB1,INT0': 42,
+    'DB1,REAL2': 0.1,
+    'DB1,X6.0': true,
+    'DB1,S8.10': 'Type A',
+    'DB1,INT20.3': [1, 2, 3]
+};
+
+/**
+ * @param {any} [endpoint]
+ */
+function createManager(endpoint) {
+    let group = new S7ItemGroup(endpoint || createEndpoint(), { addressFormat: 'nodes7' });
+    return new S7RecipeManager(group, SCHEMA);
+}
+
+describe('S7RecipeManager', () => {
+
+    it('should not add the tags of the schema to the given group', async () => {
+        let endpoint = createEndpoint();
+        let group = new S7ItemGroup(endpoint, { addressFormat: 'nodes7' });
+        group.addItems('DB2,INT0');
+        let manager = new S7RecipeManager(group, SCHEMA);
+
+        expect(manager.tags).to.be.deep.equal(SCHEMA.map(p => p.tag));
+        expect(await group.readAllItems()).to.be.deep.equal({ 'DB2,INT0': 0 });
+
+        manager.destroy();
+        expect(endpoint.listenerCount('pdu-size')).to.be.equal(1);
+    });
+
+    it('should reject invalid schemas', () => {
+        let group = new S7ItemGroup(createEndpoint());
+        expect(() => new S7RecipeManager(group, [])).to.throw('non-empty array');
+        expect(() => new S7RecipeManager(group, [{ tag: 'DB1,INT0', type: 'int' }])).to.throw('Unknown type "int"');
+        expect(() => new S7RecipeManager(group, [{ tag: 'DB1,INT0', type: 'integer', min: 5, max: 1 }])).to.throw('Min greater than max');
+        expect(() => new S7RecipeManager(group, [SCHEMA[0], SCHEMA[0]])).to.throw('Duplicate parameter');
+    });
+
+    it('should reject parameters whose type does not match the datatype of the item', () => {
+        let group = new S7ItemGroup(createEndpoint(), { addressFormat: 'nodes7' });
+        expect(() => new S7RecipeManager(group, [{ tag: 'DB1,INT0', type: 'boolean' }])).to.throw('doesn\'t match the datatype INT');
+        expect(() => new S7RecipeManager(group, [{ tag: 'DB1,INT0', type: 'number' }])).to.throw('doesn\'t match');
+        expect(() => new S7RecipeManager(group, [{ tag: 'DB1,REAL0', type: 'string' }])).to.throw('doesn\'t match');
+        expect(() => new S7RecipeManager(group, [{ tag: 'DB1,LINT0', type: 'integer' }])).to.throw('doesn\'t match the datatype LINT');
+        expect(() => new S7RecipeManager(group, [{ tag: 'DB1,S0.10', type: 'integer' }])).to.throw('doesn\'t match');
+        expect(group._items.size).to.be.equal(0);
+
+        expect(() => new S7RecipeManager(group, [{ tag: 'DB1,REAL0', type: 'integer' }])).to.not.throw();
+    });
+
+    it('should reject parameters whose length does not match the item', () => {
+        let group = new S7ItemGroup(createEndpoint(), { addressFormat: 'nodes7' });
+        expect(() => new S7RecipeManager(group, [{ tag: 'DB1,INT0.3', type: 'integer', length: 4 }])).to.throw('an array of 3 elements');
+        expect(() => new S7RecipeManager(group, [{ tag: 'DB1,INT0.3', type: 'integer' }])).to.throw('an array of 3 elements');
+        expect(() => new S7RecipeManager(group, [{ tag: 'DB1,INT0', type: 'integer', length: 1 }])).to.throw('not an array');
+        expect(group._items.size).to.be.equal(0);
+    });
+
+    it('should compare only REALs with their precision on diffs', async () => {
+        let endpoint = createEndpoint();
+        let mem = endpoint.getMemory(DB, 1);
+        mem.writeFloatBE(0.1, 0);
+        mem.writeDoubleBE(0.1, 4);
+        mem.writeInt32BE(16777217, 12);
+        let schema = [
+            { tag: 'DB1,REAL0', type: 'number' },
+            { tag: 'DB1,LREAL4', type: 'number' },
+            { tag: 'DB1,DINT12', type: 'integer' }
+        ];
+        let manager = new S7RecipeManager(new S7ItemGroup(endpoint, { addressFormat: 'nodes7' }), schema);
+
+        manager.setRecipe('A', { 'DB1,REAL0': 0.1, 'DB1,LREAL4': 0.1, 'DB1,DINT12': 16777217 });
+        expect(await manager.diff('A')).to.be.deep.equal([]);
+
+        manager.setRecipe('B', { 'DB1,REAL0': 0.1, 'DB1,LREAL4': 0.1000000001, 'DB1,DINT12': 16777216 });
+        expect(await manager.diff('B')).to.be.deep.equal([
+            { tag: 'DB1,LREAL4', recipe: 0.1000000001, plc: 0.1 },
+            { tag: 'DB1,DINT12', recipe: 16777216, plc: 16777217 }
+        ]);
+    });
+
+    it('should handle 64-bit integers as bigint', async () => {
+        let schema = [{ tag: 'DB1,LINT0', type: 'bigint', min: 0n, max: 10n ** 15n }, { tag: 'DB1,ULINT8.2', type: 'bigint', length: 2 }];
+        let recipe = { 'DB1,LINT0': 123456789012345n, 'DB1,ULINT8.2': [1n, 2n ** 63n] };
+        let endpoint = createEndpoint();
+        let manager = new S7RecipeManager(new S7ItemGroup(endpoint, { addressFormat: 'nodes7' }), schema);
+
+        expect(manager.validate(Object.assign({}, recipe, { 'DB1,LINT0': 1 }))).to.be.deep.equal([
+            { tag: 'DB1,LINT0', reason: 'Expected a bigint' }
+        ]);
+        expect(manager.validate(Object.assign({}, recipe, { 'DB1,LINT0': -1n }))).to.be.deep.equal([
+            { tag: 'DB1,LINT0', reason: 'Value -1 below the minimum of 0' }
+        ]);
+
+        manager.setRecipe('A', recipe);
+        expect(manager.getRecipe('A')).to.be.deep.equal(recipe);
+
+        let json = JSON.stringify(manager);
+        expect(JSON.parse(json).A['DB1,ULINT8.2']).to.be.deep.equal(['1', '9223372036854775808']);
+        let other = new S7RecipeManager(new S7ItemGroup(createEndpoint(), { addressFormat: 'nodes7' }), schema);
+        expect(other.loadJSON(json)).to.be.deep.equal(['A']);
+        expect(other.getRecipe('A')).to.be.deep.equal(recipe);
+        expect(() => other.loadJSON({ B: { 'DB1,LINT0': '1.5', 'DB1,ULINT8.2': ['1', '2'] } })).to.throw('Expected a bigint');
+
+        await manager.download('A');
+        expect(endpoint.getMemory(DB, 1).readBigUInt64BE(16)).to.be.equal(2n ** 63n);
+        expect(await manager.diff('A')).to.be.deep.equal([]);
+        expect(await manager.upload('B')).to.be.deep.equal(recipe);
+    });
+
+    it('should validate the values of recipes', () => {
+        let manager = createManager();
+
+        expect(manager.validate(RECIPE)).to.be.deep.equal([]);
+        expect(manager.validate(Object.assign({}, RECIPE, {
+            'DB1,INT0': 101,
+            'DB1,REAL2': 'abc',
+            'DB1,X6.0': undefined,
+            'DB1,S8.10': 'A very long name',
+            'DB1,INT20.3': [1, -2, 3],
+            'DB1,INT40': 1
+        }))).to.be.deep.equal([
+            { tag: 'DB1,INT0', reason: 'Value 101 above the maximum of 100' },
+            { tag: 'DB1,REAL2', reason: 'Expected a number' },
+            { tag: 'DB1,X6.0', reason: 'Missing value' },
+            { tag: 'DB1,S8.10', reason: 'Longer than 10 characters' },
+            { tag: 'DB1,INT20.3', reason: 'Value -2 below the minimum of 0 at index 1' },
+            { tag: 'DB1,INT40', reason: 'Not a parameter of the recipe schema' }
+        ]);
+        expect(manager.validate(Object.assign({}, RECIPE, { 'DB1,INT0': 1.5 }))).to.be.deep.equal([
+            { tag: 'DB1,INT0', reason: 'Expected an integer' }
+        ]);
+    });
+
+    it('should store only valid recipes', () => {
+        let manager = createManager();
+        manager.setRecipe('A', RECIPE);
+
+        expect(manager.recipeNames).to.be.deep.equal(['A']);
+        expect(manager.getRecipe('A')).to.be.deep.equal(RECIPE);
+        expect(manager.getRecipe('A')).to.not.be.equal(manager.getRecipe('A'));
+
+        let err;
+        try {
+            manager.setRecipe('B', Object.assign({}, RECIPE, { 'DB1,INT0': -1 }));
+        } catch (e) {
+            err = e;
+        }
+        expect(err.code).to.be.equal('ERR_INVALID_ARGUMENT');
+        expect(err.info.violations).to.have.length(1);
+        expect(manager.hasRecipe('B')).to.be.false;
+
+        manager.removeRecipe('A');
+        expect(manager.recipeNames).to.be.deep.equal([]);
+    });
+
+    it('should serialize and load recipes as JSON', () => {
+        let manager = createManager();
+        manager.setRecipe('A', RECIPE);
+        let json = JSON.stringify(manager);
+
+        let other = createManager();
+        expect(other.loadJSON(json)).to.be.deep.equal(['A']);
+        expect(other.getRecipe('A')).to.be.deep.equal(RECIPE);
+
+        expect(() => other.loadJSON('{')).to.throw('Invalid JSON');
+        expect(() => other.loadJSON({ B: RECIPE, C: {} })).to.throw('Invalid values on recipe "C"');
+        expect(other.recipeNames).to.be.deep.equal(['A']);
+    });
+
+    it('should save and load recipe files', async () => {
+        let filename = path.join(os.tmpdir(), `nodes7-test-${process.pid}.json`);
+        let manager = createManager();
+        manager.setRecipe('A', RECIPE);
+
+        try {
+            await manager.saveFile(filename);
+            let other = createManager();
+            expect(await other.loadFile(filename)).to.be.deep.equal(['A']);
+            expect(other.getRecipe('A')).to.be.deep.equal(RECIPE);
+        } finally {
+            fs.unlinkSync(filename);
+        }
+    });
+
+    it('should download, upload and diff recipes', async () => {
+        let endpoint = createEndpoint();
+        let manager = createManager(endpoint);
+        manager.setRecipe('A', RECIPE);
+
+        await manager.download('A');
+        expect(endpoint.getMemory(DB, 1).readInt16BE(0)).to.be.equal(42);
+        expect(endpoint.getMemory(DB, 1).readInt16BE(22)).to.be.equal(2);
+        expect(await manager.diff('A')).to.be.deep.equal([]);
+
+        endpoint.getMemory(DB, 1).writeInt16BE(43, 0);
+        endpoint.getMemory(DB, 1).writeInt16BE(5, 24);
+        expect(await manager.diff('A')).to.be.deep.equal([
+            { tag: 'DB1,INT0', recipe: 42, plc: 43 },
+            { tag: 'DB1,INT20.3', recipe: [1, 2, 3], plc: [1, 2, 5] }
+        ]);
+
+        let uploaded = await manager.upload('B');
+        expect(uploaded['DB1,INT0']).to.be.equal(43);
+        expect(uploaded['DB1,S8.10']).to.be.equal('Type A');
+        expect(manager.recipeNames).to.be.deep.equal(['A', 'B']);
+        expect(await manager.diff('B')).to.be.deep.equal([]);
+    });
+
+    it('should not upload values out of the schema limits', async () => {
+        let endpoint = createEndpoint();
+        endpoint.getMemory(DB, 1).writeInt16BE(500, 0);
+        let manager = createManager(endpoint);
+
+        let err = await manager.upload('A').catch(e => e);
+        expect(err.code).to.be.equal('ERR_INVALID_ARGUMENT');
+        expect(manager.hasRecipe('A')).to.be.false;
+    });
+
+    it('should reject downloading unknown recipes', async () => {
+        let endpoint = createEndpoint();
+        let manager = createManager(endpoint);
+
+        let err = await manager.download('A').catch(e => e);
+        expect(err.message).to.contain('Unknown recipe "A"');
+        expect(endpoint.writeRequests.length).to.be.equal(0);
+    });
+});
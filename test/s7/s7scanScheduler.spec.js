@@ -0,0 +1,177 @@
+//@ts-check
+/*
+    Copyright (c) 2019 Guilherme Francescon Cittolin
+
+    Permission is hereby granted, free of charge, to any person obtaining a copy
+    of this software and associated documentation files (the "Software"), to deal
+    in the Software without restriction, including without limitation the rights
+    to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+    copies of the Software, and to permit persons to whom the Software is
+    furnished to do so, subject to the following conditions:
+
+    The above copyright notice and this permission notice shall be included in all
+    copies or substantial portions of the Software.
+
+    THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+    IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+    FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+    AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+    LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+    OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+    SOFTWARE.
+*/
+/*jshint esversion: 6, node: true*/
+
+const { expect } = require('chai');
+const { once } = require('events');
+const S7ScanScheduler = require('../../src/s7scanScheduler.js');
+const S7ItemGroup = require('../../src/s7itemGroup.js');
+const { createEndpoint } = require('../fakeEndpoint.js');
+
+/**
+ * The DBs read by each request sent to a fake endpoint
+ * @param {any} endpoint
+ */
+function readDbs(endpoint) {
+    return endpoint.readRequests.map(items => items[0].db);
+}
+
+/**
+ * @param {number} ms
+ */
+function sleep(ms) {
+    return new Promise(res => setTimeout(res, ms));
+}
+
+describe('S7ScanScheduler', () => {
+
+    /** @type {S7ScanScheduler} */
+    let scheduler;
+
+    afterEach(() => scheduler && scheduler.destroy());
+
+    it('should manage scan classes', () => {
+        scheduler = new S7ScanScheduler(createEndpoint());
+        let fast = scheduler.addScanClass('fast', 100);
+        expect(fast).to.be.instanceOf(S7ItemGroup);
+        scheduler.addScanClass('slow', 1000);
+
+        expect(scheduler.scanClasses).to.be.deep.equal(['fast', 'slow']);
+        expect(scheduler.getScanClass('fast')).to.be.equal(fast);
+        expect(() => scheduler.addScanClass('fast', 10)).to.throw('already exists');
+        expect(() => scheduler.addScanClass('foo', 0)).to.throw('positive number');
+
+        scheduler.removeScanClass('fast');
+        expect(scheduler.scanClasses).to.be.deep.equal(['slow']);
+        expect(scheduler.getScanClass('fast')).to.be.undefined;
+    });
+
+    it('should read each scan class at its rate', async () => {
+        let endpoint = createEndpoint();
+        scheduler = new S7ScanScheduler(endpoint);
+        scheduler.addScanClass('fast', 10).addItems('DB1,INT0');
+        scheduler.addScanClass('slow', 60).addItems('DB2,INT0');
+
+        let data = { fast: 0, slow: 0 };
+        scheduler.getScanClass('fast').on('data', () => data.fast++);
+        scheduler.getScanClass('slow').on('data', () => data.slow++);
+
+        scheduler.start();
+        expect(scheduler.isRunning).to.be.true;
+        await sleep(130);
+        scheduler.stop();
+
+        expect(data.fast).to.be.within(5, 14);
+        expect(data.slow).to.be.within(1, 3);
+    });
+
+    it('should emit the change events of the groups', async () => {
+        scheduler = new S7ScanScheduler(createEndpoint());
+        let group = scheduler.addScanClass('fast', 10, { vqt: true });
+        group.addItems('DB1,INT0');
+
+        scheduler.start();
+        let [tag, value] = await once(group, 'change');
+        expect(tag).to.be.equal('DB1,INT0');
+        expect(value.quality).to.be.equal('good');
+    });
+
+    it('should give priority to faster classes and respect the parallel jobs', async () => {
+        let endpoint = createEndpoint({ delay: 10, parallelJobs: 1 });
+        scheduler = new S7ScanScheduler(endpoint);
+        scheduler.addScanClass('slow', 1000).addItems('DB3,INT0');
+        scheduler.addScanClass('medium', 100).addItems('DB2,INT0');
+        scheduler.addScanClass('fast', 20).addItems('DB1,INT0');
+
+        scheduler.start();
+        await sleep(45);
+        scheduler.stop();
+
+        // the fast class is due again before the slow one gets a free job
+        expect(readDbs(endpoint).slice(0, 4)).to.be.deep.equal([1, 2, 1, 3]);
+        expect(endpoint.maxInFlight).to.be.equal(1);
+    });
+
+    it('should dispatch waiting classes when a running class is removed', async () => {
+        let endpoint = createEndpoint({ delay: 40, parallelJobs: 1 });
+        scheduler = new S7ScanScheduler(endpoint);
+        scheduler.addScanClass('fast', 10).addItems('DB1,INT0');
+        scheduler.addScanClass('slow', 1000).addItems('DB2,INT0');
+
+        scheduler.start();
+        // the slow class is due, but waits for the job of the fast one
+        await sleep(20);
+        expect(readDbs(endpoint)).to.be.deep.equal([1]);
+        scheduler.removeScanClass('fast');
+
+        await sleep(60);
+        expect(readDbs(endpoint)).to.be.deep.equal([1, 2]);
+    });
+
+    it('should report overruns', async () => {
+        let endpoint = createEndpoint({ delay: 30, parallelJobs: 4 });
+        scheduler = new S7ScanScheduler(endpoint);
+        scheduler.addScanClass('fast', 10).addItems('DB1,INT0');
+
+        let overruns = [];
+        scheduler.on('overrun', info => overruns.push(info));
+        scheduler.start();
+        await sleep(50);
+        scheduler.stop();
+
+        expect(overruns.map(o => o.reason)).to.include('duration');
+        expect(overruns.find(o => o.reason === 'late').missedCycles).to.be.greaterThan(0);
+        expect(overruns[0]).to.include({ scanClass: 'fast', interval: 10, requests: 1, pduSize: 240, parallelJobs: 4 });
+    });
+
+    it('should pause while disconnected', async () => {
+        let endpoint = createEndpoint();
+        scheduler = new S7ScanScheduler(endpoint);
+        scheduler.addScanClass('fast', 5).addItems('DB1,INT0');
+
+        scheduler.start();
+        await sleep(20);
+        endpoint.isConnected = false;
+        endpoint.emit('disconnect');
+        let count = readDbs(endpoint).length;
+        await sleep(30);
+        expect(readDbs(endpoint).length).to.be.equal(count);
+
+        endpoint.isConnected = true;
+        endpoint.emit('connect');
+        await sleep(20);
+        expect(readDbs(endpoint).length).to.be.greaterThan(count);
+    });
+
+    it('should emit read errors with the scan class name', async () => {
+        let endpoint = createEndpoint();
+        endpoint.readVars = async () => { throw new Error('Timeout'); };
+        scheduler = new S7ScanScheduler(endpoint);
+        scheduler.addScanClass('fast', 10).addItems('DB1,INT0');
+
+        scheduler.start();
+        let [err, name] = await once(scheduler, 'error');
+        expect(err.message).to.be.equal('Timeout');
+        expect(name).to.be.equal('fast');
+    });
+});
@@ -0,0 +1,164 @@
+//@ts-check
+/*
+    Copyright (c) 2019 Guilherme Francescon Cittolin
+
+    Permission is hereby granted, free of charge, to any person obtaining a copy
+    of this software and associated documentation files (the "Software"), to deal
+    in the Software without restriction, including without limitation the rights
+    to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+    copies of the Software, and to permit persons to whom the Software is
+    furnished to do so, subject to the following conditions:
+
+    The above copyright notice and this permission notice shall be included in all
+    copies or substantial portions of the Software.
+
+    THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+    IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+    FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+    AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+    LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+    OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+    SOFTWARE.
+*/
+/*jshint esversion: 6, node: true*/
+
+const { expect } = require('chai');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const S7TagDatabase = require('../../src/s7tagDatabase');
+const S7ItemGroup = require('../../src/s7itemGroup');
+
+const ASC_CONTENT = [
+    '126,Start_Button            I       0.0 BOOL      Start button of the line',
+    '126,Motor_Speed             MW     10   INT       ',
+    '126,Temperature             MD     20   REAL      Oven temperature',
+    '126,Counter_Parts           Z       3   COUNTER   ',
+    '126,Main                    OB      1   OB      1 Main cycle',
+    '126,Recipe_DB               DB     10   DB     10 ',
+    '126,Bad_Type                MW     30   FOO       '
+].join('\r\n');
+
+const SDF_CONTENT = [
+    '"Start_Button            ","I       0.0","BOOL      ","Start button of the line"',
+    '"Motor_Speed             ","MW     10","INT       ",""',
+    '"Valve_Open              ","A       4.1","BOOL      ","Valve, main ""open"" signal"'
+].join('\r\n');
+
+const CSV_CONTENT = [
+    'Name;Path;Data Type;Logical Address;Comment;Hmi Visible;Hmi Accessible;Hmi Writeable;Typeobject ID;Version ID',
+    'Start_Button;Default tag table;Bool;%I0.0;Start button;True;True;True;;',
+    'Line_Speed;Default tag table;LReal;%MD100;"Speed; in m/s";True;True;True;;',
+    'Status;Default tag table;UInt;%MW20;;True;True;True;;',
+    'Wrong;Default tag table;Int;%M1.0;;True;True;True;;'
+].join('\r\n');
+
+describe('S7TagDatabase', () => {
+
+    it('should add and remove tags', () => {
+        let db = new S7TagDatabase();
+        db.addTag('Speed', 'DB1,REAL4', { comment: 'line speed' });
+        expect(db.size).to.be.equal(1);
+        expect(db.hasTag('Speed')).to.be.true;
+        expect(db.getAddress('Speed')).to.be.equal('DB1,REAL4');
+        expect(db.getTag('Speed')).to.be.deep.equal({ name: 'Speed', address: 'DB1,REAL4', dataType: undefined, comment: 'line speed' });
+        db.removeTag('Speed');
+        expect(db.hasTag('Speed')).to.be.false;
+        expect(db.getAddress('Speed')).to.be.undefined;
+    });
+
+    it('should reject invalid tags', () => {
+        let db = new S7TagDatabase();
+        expect(() => db.addTag('', 'DB1,REAL4')).to.throw('non-empty string');
+        expect(() => db.addTag('Foo', 'DB1,FOO4')).to.throw('Unknown DB data type');
+        expect(() => db.createItem('Foo')).to.throw('Unknown tag');
+    });
+
+    it('should load STEP7 ASCII symbol tables', () => {
+        let db = new S7TagDatabase();
+        let res = db.loadSymbolTable(ASC_CONTENT);
+        expect(res.loaded).to.be.equal(4);
+        expect(res.skipped.map(s => s.name)).to.be.deep.equal(['Main', 'Recipe_DB', 'Bad_Type']);
+        expect(res.skipped[2].reason).to.contain('Unsupported data type');
+        expect(db.getTag('Start_Button')).to.be.deep.equal({ name: 'Start_Button', address: 'I0.0', dataType: 'BOOL', comment: 'Start button of the line' });
+        expect(db.getAddress('Motor_Speed')).to.be.equal('MI10');
+        expect(db.getAddress('Temperature')).to.be.equal('MR20');
+        expect(db.getAddress('Counter_Parts')).to.be.equal('C3');
+    });
+
+    it('should load STEP7 SDF symbol tables', () => {
+        let db = new S7TagDatabase();
+        let res = db.loadSymbolTable(SDF_CONTENT);
+        expect(res).to.be.deep.equal({ loaded: 3, skipped: [] });
+        expect(db.getAddress('Start_Button')).to.be.equal('I0.0');
+        expect(db.getAddress('Motor_Speed')).to.be.equal('MI10');
+        expect(db.getAddress('Valve_Open')).to.be.equal('Q4.1');
+        expect(db.getTag('Valve_Open').comment).to.be.equal('Valve, main "open" signal');
+    });
+
+    it('should load TIA Portal tag tables exported to CSV', () => {
+        let db = new S7TagDatabase();
+        let res = db.loadSymbolTable(CSV_CONTENT);
+        expect(res.loaded).to.be.equal(3);
+        expect(res.skipped.map(s => s.name)).to.be.deep.equal(['Wrong']);
+        expect(db.getAddress('Start_Button')).to.be.equal('I0.0');
+        expect(db.getAddress('Line_Speed')).to.be.equal('MLR100');
+        expect(db.getAddress('Status')).to.be.equal('MUI20');
+        expect(db.getTag('Line_Speed').comment).to.be.equal('Speed; in m/s');
+    });
+
+    it('should throw on unknown formats', () => {
+        let db = new S7TagDatabase();
+        expect(() => db.loadSymbolTable('foo bar')).to.throw('Could not detect');
+        expect(() => db.loadSymbolTable(ASC_CONTENT, 'xls')).to.throw('Unknown symbol table format');
+    });
+
+    it('should load symbol tables from files', async () => {
+        let filename = path.join(os.tmpdir(), `nodes7-test-${process.pid}.asc`);
+        // STEP7 exports are encoded in the Windows codepage
+        fs.writeFileSync(filename, Buffer.from('126,Motor_Geschw            MW     10   INT       Geschwindigkeit für Motor', 'latin1'));
+        try {
+            let db = new S7TagDatabase();
+            let res = await db.loadFile(filename);
+            expect(res.loaded).to.be.equal(1);
+            expect(db.getTag('Motor_Geschw').comment).to.be.equal('Geschwindigkeit für Motor');
+        } finally {
+            fs.unlinkSync(filename);
+        }
+    });
+
+    it('should create items for tags', () => {
+        let db = new S7TagDatabase();
+        db.loadSymbolTable(ASC_CONTENT);
+        let item = db.createItem('Temperature');
+        expect(item.name).to.be.equal('Temperature');
+        expect(item.datatype).to.be.equal('REAL');
+        expect(item.offset).to.be.equal(20);
+    });
+
+    it('should provide a translation callback', () => {
+        let db = new S7TagDatabase();
+        db.loadSymbolTable(ASC_CONTENT);
+        let cb = db.getTranslationCB();
+        expect(cb('Temperature')).to.be.equal('MR20');
+        expect(cb('DB1,X0.0')).to.be.equal('DB1,X0.0');
+    });
+
+    it('should resolve symbolic names on S7ItemGroup', () => {
+        let db = new S7TagDatabase();
+        db.loadSymbolTable(ASC_CONTENT);
+
+        let group = new S7ItemGroup(/** @type {any} */(new EventEmitter()), { tagDatabase: db });
+        group.addItems(['Motor_Speed', 'Start_Button', 'DB1,X0.1']);
+        expect(group._items.get('Motor_Speed').datatype).to.be.equal('INT');
+        expect(group._items.get('Start_Button').datatype).to.be.equal('X');
+        expect(group._items.get('DB1,X0.1').dbNumber).to.be.equal(1);
+
+        let group2 = new S7ItemGroup(/** @type {any} */(new EventEmitter()));
+        expect(() => group2.addItems('Motor_Speed')).to.throw();
+        group2.setTagDatabase(db);
+        group2.addItems('Motor_Speed');
+        expect(group2._items.get('Motor_Speed').offset).to.be.equal(10);
+    });
+});